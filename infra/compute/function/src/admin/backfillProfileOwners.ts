@@ -0,0 +1,63 @@
+/**
+ * Admin tool: record owners for profiles created through the form before owners were recorded.
+ *
+ *   npm run backfill-profile-owners [-- --dry-run]
+ *
+ * Older contact records only link their pull request. For each one that was merged, the profile
+ * folder it added is looked up on GitHub and the submission recorded as its owner, oldest first,
+ * so the candidate can update the profile. Uses the same CONTACT_* and GITHUB_* settings as the
+ * function app.
+ */
+import { parseArgs } from "util";
+import { StoredContactRecord } from "../types.js";
+import { GITHUB_REPO_NAME, GITHUB_REPO_OWNER, getOctokit } from "../github.js";
+import { getContactStore, loadContactRecord, registerProfileClaim, setProfileOwner } from "../contacts.js";
+import { CONTENT_ROOT } from "../profiles.js";
+import { parsePullRequestUrl } from "../status.js";
+import { CORRELATION_ID_PATTERN } from "../submissionQueue.js";
+
+const PROFILE_INDEX_PATTERN = new RegExp(`^${CONTENT_ROOT}/(candidates/.+)/index\\.md$`);
+
+async function main(): Promise<void> {
+    const { values } = parseArgs({ options: { "dry-run": { type: "boolean" } } });
+    const dryRun = !!values["dry-run"];
+    const store = await getContactStore();
+    const octokit = await getOctokit();
+
+    const records: StoredContactRecord[] = [];
+    for (const name of await store.list("")) {
+        const correlationId = name.slice(0, -".json".length);
+        if (!name.endsWith(".json") || !CORRELATION_ID_PATTERN.test(correlationId)) continue;
+        const record = await loadContactRecord(store, correlationId);
+        // Records from the form with a content path are indexed when they are processed
+        if (record && !record.contentPath && record.pullRequestUrl) records.push(record);
+    }
+    records.sort((a, b) => a.submittedAt.localeCompare(b.submittedAt));
+
+    for (const record of records) {
+        const ref = parsePullRequestUrl(record.pullRequestUrl);
+        if (!ref || ref.owner !== GITHUB_REPO_OWNER || ref.repo !== GITHUB_REPO_NAME) continue;
+
+        const { data: pr } = await octokit.pulls.get({ owner: ref.owner, repo: ref.repo, pull_number: ref.number });
+        if (!pr.merged_at) continue;
+        const files = await octokit.paginate(octokit.pulls.listFiles, { owner: ref.owner, repo: ref.repo, pull_number: ref.number, per_page: 100 });
+        const added = files.find(file => file.status === "added" && PROFILE_INDEX_PATTERN.test(file.filename));
+        if (!added) continue;
+
+        const contentPath = added.filename.match(PROFILE_INDEX_PATTERN)![1];
+        if (dryRun) {
+            console.log(`${contentPath}: would record ${record.correlationId} (PR #${ref.number})`);
+            continue;
+        }
+        await registerProfileClaim(store, contentPath, record.correlationId);
+        const owner = await setProfileOwner(store, contentPath, record.correlationId);
+        console.log(owner === record.correlationId
+            ? `${contentPath}: owned by ${record.correlationId} (PR #${ref.number})`
+            : `${contentPath}: already owned by ${owner}`);
+    }
+}
+
+main().catch(error => {
+    console.error(error instanceof Error ? error.message : error);
+    process.exitCode = 1;
+});
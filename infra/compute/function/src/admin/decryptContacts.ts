@@ -0,0 +1,47 @@
+/**
+ * Admin tool: print decrypted contact records.
+ *
+ *   npm run decrypt-contacts -- --key contacts-private.pem <correlation ID or profile path>...
+ *
+ * A profile path (e.g. candidates/2026/jane-doe) finds the recorded owner of the profile
+ * (see backfillProfileOwners.ts for profiles created before owners were recorded).
+ * Uses the same CONTACT_* settings as the function app; the private key is only ever on the
+ * admin's machine, and the output holds personal data, so keep it out of logs and tickets.
+ */
+import { readFile } from "fs/promises";
+import { parseArgs } from "util";
+import { getContactStore, loadContactRecord, loadProfileOwner } from "../contacts.js";
+import { openContactRecord, parsePrivateKey } from "../contactEncryption.js";
+import { CORRELATION_ID_PATTERN } from "../submissionQueue.js";
+
+const USAGE = "Usage: decrypt-contacts --key <private key file> <correlation ID or profile path>...";
+
+async function main(): Promise<void> {
+    const { values, positionals } = parseArgs({ options: { key: { type: "string" } }, allowPositionals: true });
+    const keyFile = values.key || process.env.CONTACT_ENCRYPTION_PRIVATE_KEY_FILE;
+    if (!keyFile || positionals.length === 0) {
+        console.error(USAGE);
+        process.exitCode = 2;
+        return;
+    }
+
+    const privateKey = parsePrivateKey(await readFile(keyFile, "utf-8"));
+    const store = await getContactStore();
+
+    for (const target of positionals) {
+        const stored = CORRELATION_ID_PATTERN.test(target)
+            ? await loadContactRecord(store, target)
+            : await loadProfileOwner(store, target);
+        if (!stored) {
+            console.error(`No contact record for ${target}`);
+            process.exitCode = 1;
+            continue;
+        }
+        console.log(JSON.stringify(openContactRecord(stored, privateKey), null, 2));
+    }
+}
+
+main().catch(error => {
+    console.error(error instanceof Error ? error.message : error);
+    process.exitCode = 1;
+});
@@ -0,0 +1,145 @@
+/**
+ * Structured biography sections (policy positions, experience, endorsements).
+ *
+ * The sections are stored as frontmatter data so layouts can use them, and are also
+ * written out as markdown at the start of the body in one fixed format, followed by
+ * the free-form biography. candidate-form.js renders the same markdown for its previews.
+ */
+import { BiographySections, Endorsement, ExperienceEntry, PolicyPosition } from "./types.js";
+
+export const SECTION_KEYS = ["positions", "experience", "endorsements"] as const;
+
+// Headings the sections are written under, in body order
+export const SECTION_HEADINGS: Record<keyof BiographySections, string> = {
+    positions: "Policy",
+    experience: "Experience",
+    endorsements: "Endorsements",
+};
+
+/**
+ * Escape characters markdown would treat as formatting, and keep each value on one line
+ */
+export function escapeMarkdownText(text: string): string {
+    return text.replace(/\s*\n\s*/g, " ").replace(/([\\`*_[\]<>#|~])/g, "\\$1");
+}
+
+// Parentheses and spaces would end a markdown link target early
+const escapeLinkTarget = (url: string): string =>
+    url.replace(/[()\s]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase().padStart(2, "0")}`);
+
+// Hand-edited frontmatter may hold numbers, e.g. `years: 2020`
+const trimmed = (value: unknown): string =>
+    typeof value === "string" ? value.trim() : typeof value === "number" ? String(value) : "";
+
+/**
+ * Trim every value and drop empty optional fields and entries missing their required field,
+ * so frontmatter and markdown never carry blank values
+ */
+export function normalizeSections(sections: BiographySections): Required<BiographySections> {
+    const positions: PolicyPosition[] = (sections.positions || [])
+        .map(entry => ({ issue: trimmed(entry.issue), stance: trimmed(entry.stance) }))
+        .filter(entry => entry.issue && entry.stance);
+
+    const experience: ExperienceEntry[] = (sections.experience || []).flatMap(entry => {
+        const role = trimmed(entry.role);
+        if (!role) return [];
+        const result: ExperienceEntry = { role };
+        for (const key of ["organization", "years", "description"] as const) {
+            const value = trimmed(entry[key]);
+            if (value) result[key] = value;
+        }
+        return [result];
+    });
+
+    const endorsements: Endorsement[] = (sections.endorsements || []).flatMap(entry => {
+        const name = trimmed(entry.name);
+        if (!name) return [];
+        const result: Endorsement = { name };
+        for (const key of ["organization", "url"] as const) {
+            const value = trimmed(entry[key]);
+            if (value) result[key] = value;
+        }
+        return [result];
+    });
+
+    return { positions, experience, endorsements };
+}
+
+export function hasSections(sections: BiographySections): boolean {
+    const normalized = normalizeSections(sections);
+    return SECTION_KEYS.some(key => normalized[key].length > 0);
+}
+
+function renderPosition(entry: PolicyPosition): string {
+    return `- **${escapeMarkdownText(entry.issue)}**: ${escapeMarkdownText(entry.stance)}`;
+}
+
+function renderExperience(entry: ExperienceEntry): string {
+    let line = `- **${escapeMarkdownText(entry.role)}**`;
+    if (entry.organization) line += `, ${escapeMarkdownText(entry.organization)}`;
+    if (entry.years) line += ` (${escapeMarkdownText(entry.years)})`;
+    if (entry.description) line += `: ${escapeMarkdownText(entry.description)}`;
+    return line;
+}
+
+function renderEndorsement(entry: Endorsement): string {
+    const name = escapeMarkdownText(entry.name);
+    let line = entry.url ? `- [${name}](${escapeLinkTarget(entry.url)})` : `- ${name}`;
+    if (entry.organization) line += `, ${escapeMarkdownText(entry.organization)}`;
+    return line;
+}
+
+/**
+ * Markdown for the non-empty sections, e.g. "### Policy\n\n- **Housing**: ...", or "" if there are none
+ */
+export function renderSectionsMarkdown(sections: BiographySections): string {
+    const { positions, experience, endorsements } = normalizeSections(sections);
+    const blocks: string[] = [];
+    const addBlock = (key: keyof BiographySections, lines: string[]) => {
+        if (lines.length > 0) blocks.push(`### ${SECTION_HEADINGS[key]}\n\n${lines.join("\n")}`);
+    };
+    addBlock("positions", positions.map(renderPosition));
+    addBlock("experience", experience.map(renderExperience));
+    addBlock("endorsements", endorsements.map(renderEndorsement));
+    return blocks.join("\n\n");
+}
+
+/**
+ * Full markdown body: the generated sections, then the free-form biography
+ */
+export function composeBiography(sections: BiographySections, content: string): string {
+    return [renderSectionsMarkdown(sections), content].filter(Boolean).join("\n\n");
+}
+
+/**
+ * Undo composeBiography for a published body, so the form edits the sections and the
+ * free-form text separately. When the body no longer starts with exactly the sections'
+ * markdown (it was edited by hand), the body is returned whole with no sections, so
+ * nothing is written twice on the next update.
+ */
+export function splitBiography(body: string, sections: BiographySections): { sections: BiographySections; content: string } {
+    const generated = renderSectionsMarkdown(sections);
+    if (!generated) return { sections: {}, content: body };
+    if (body === generated) return { sections: normalizeSections(sections), content: "" };
+    if (body.startsWith(`${generated}\n\n`)) {
+        return { sections: normalizeSections(sections), content: body.slice(generated.length + 2) };
+    }
+    return { sections: {}, content: body };
+}
+
+/**
+ * Read sections from parsed frontmatter, ignoring entries that are not in the form's shape
+ */
+export function sectionsFromFrontmatter(data: Record<string, unknown>): BiographySections {
+    const entries = (key: keyof BiographySections): Array<Record<string, unknown>> => {
+        const value = data[key];
+        if (!Array.isArray(value)) return [];
+        return value.filter((entry): entry is Record<string, unknown> =>
+            !!entry && typeof entry === "object" && !Array.isArray(entry));
+    };
+    return normalizeSections({
+        positions: entries("positions") as unknown as PolicyPosition[],
+        experience: entries("experience") as unknown as ExperienceEntry[],
+        endorsements: entries("endorsements") as unknown as Endorsement[],
+    });
+}
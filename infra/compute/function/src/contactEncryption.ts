@@ -0,0 +1,104 @@
+/**
+ * Envelope encryption of the personal fields of contact records.
+ *
+ * Each record gets a random AES-256-GCM data key, which is wrapped with the RSA public key
+ * from configuration. The function app only has the public key, so it can seal records but
+ * never read them back; opening a record needs the private key, which only admin tooling has.
+ * Ownership checks compare a keyed hash of the contact email instead of the email itself.
+ */
+import { KeyObject, createCipheriv, createDecipheriv, createHash, createHmac, createPrivateKey, createPublicKey, constants, privateDecrypt, publicEncrypt, randomBytes } from "crypto";
+import { ContactPiiField, ContactRecord, StoredContactRecord } from "./types.js";
+
+export const CONTACT_PII_FIELDS: readonly ContactPiiField[] = [
+    "contactEmail", "contactPhone", "contactNotes", "submitterName", "submitterRelationship",
+];
+
+const SEAL_ALGORITHM = "RSA-OAEP-256+A256GCM";
+const OAEP = { padding: constants.RSA_PKCS1_OAEP_PADDING, oaepHash: "sha256" };
+
+export interface ContactKeys {
+    publicKey: KeyObject;
+    emailHashKey: string;    // HMAC key for contact email hashes
+}
+
+/**
+ * Read a PEM key from configuration, where newlines are often stored as "\n"
+ */
+export function parsePublicKey(pem: string): KeyObject {
+    return createPublicKey(pem.trim().replace(/\\n/g, "\n"));
+}
+
+export function parsePrivateKey(pem: string): KeyObject {
+    return createPrivateKey(pem.trim().replace(/\\n/g, "\n"));
+}
+
+/**
+ * Short fingerprint of a key pair, stored with each record so admins know which private key opens it
+ */
+export function contactKeyId(key: KeyObject): string {
+    const publicKey = key.type === "private" ? createPublicKey(key) : key;
+    const der = publicKey.export({ type: "spki", format: "der" });
+    return createHash("sha256").update(der).digest("hex").slice(0, 16);
+}
+
+/**
+ * Keyed hash of a contact email, normalized the way isSameContactEmail compares them
+ */
+export function contactEmailHash(email: string, emailHashKey: string): string {
+    return createHmac("sha256", emailHashKey).update(email.trim().toLowerCase()).digest("hex");
+}
+
+/**
+ * Replace the personal fields of a record with a sealed copy.
+ * The correlation ID is authenticated with the ciphertext, so sealed fields cannot be moved to another record.
+ */
+export function sealContactRecord(record: ContactRecord, keys: ContactKeys): StoredContactRecord {
+    const stored: StoredContactRecord = { ...record };
+    const fields: Partial<Pick<ContactRecord, ContactPiiField>> = {};
+    for (const field of CONTACT_PII_FIELDS) {
+        if (record[field] !== undefined) fields[field] = record[field];
+        delete stored[field];
+    }
+
+    const dataKey = randomBytes(32);
+    const iv = randomBytes(12);
+    const cipher = createCipheriv("aes-256-gcm", dataKey, iv);
+    cipher.setAAD(Buffer.from(record.correlationId));
+    const ciphertext = Buffer.concat([cipher.update(JSON.stringify(fields), "utf-8"), cipher.final()]);
+
+    stored.contactEmailHash = contactEmailHash(record.contactEmail, keys.emailHashKey);
+    stored.sealed = {
+        algorithm: SEAL_ALGORITHM,
+        keyId: contactKeyId(keys.publicKey),
+        wrappedKey: publicEncrypt({ key: keys.publicKey, ...OAEP }, dataKey).toString("base64"),
+        iv: iv.toString("base64"),
+        ciphertext: ciphertext.toString("base64"),
+        tag: cipher.getAuthTag().toString("base64"),
+    };
+    return stored;
+}
+
+/**
+ * Decrypt the personal fields of a stored record. For admin tooling only: the function app
+ * does not have the private key. Records stored before encryption are returned as they are.
+ */
+export function openContactRecord(stored: StoredContactRecord, privateKey: KeyObject): ContactRecord {
+    const { sealed, contactEmailHash: _hash, ...record } = stored;
+    if (!sealed) return record as ContactRecord;
+
+    if (sealed.algorithm !== SEAL_ALGORITHM) {
+        throw new Error(`Unsupported contact encryption "${sealed.algorithm}"`);
+    }
+    const keyId = contactKeyId(privateKey);
+    if (sealed.keyId !== keyId) {
+        throw new Error(`Record ${stored.correlationId} was sealed with key ${sealed.keyId}, not ${keyId}`);
+    }
+
+    const dataKey = privateDecrypt({ key: privateKey, ...OAEP }, Buffer.from(sealed.wrappedKey, "base64"));
+    const decipher = createDecipheriv("aes-256-gcm", dataKey, Buffer.from(sealed.iv, "base64"));
+    decipher.setAAD(Buffer.from(stored.correlationId));
+    decipher.setAuthTag(Buffer.from(sealed.tag, "base64"));
+    const fields = Buffer.concat([decipher.update(Buffer.from(sealed.ciphertext, "base64")), decipher.final()]);
+
+    return { ...record, ...JSON.parse(fields.toString("utf-8")) } as ContactRecord;
+}
@@ -0,0 +1,114 @@
+/**
+ * Storage backends for contact records and the profile ownership index: the private blob
+ * container in production, a local directory for development next to Azurite, or memory for tests.
+ * Documents are JSON text by name, e.g. "<correlationId>.json" or "profiles/<contentPath>/owner.json".
+ */
+import { ContainerClient, RestError } from "@azure/storage-blob";
+import { mkdir, readFile, readdir, writeFile } from "fs/promises";
+import { dirname, resolve, sep } from "path";
+
+export interface ContactStore {
+    read(name: string): Promise<string | null>;
+    /** Store a document; with `onlyIfNew` an existing one is kept and false is returned */
+    write(name: string, body: string, options?: { onlyIfNew?: boolean }): Promise<boolean>;
+    /** Names of the documents in a folder, e.g. "profiles/candidates/2026/jane-doe/claims/" */
+    list(folder: string): Promise<string[]>;
+}
+
+export function createBlobContactStore(containerClient: ContainerClient): ContactStore {
+    return {
+        async read(name) {
+            try {
+                const buffer = await containerClient.getBlockBlobClient(name).downloadToBuffer();
+                return buffer.toString("utf-8");
+            } catch (error) {
+                if (error instanceof RestError && error.statusCode === 404) return null;
+                throw error;
+            }
+        },
+        async write(name, body, options) {
+            try {
+                await containerClient.getBlockBlobClient(name).upload(body, Buffer.byteLength(body), {
+                    blobHTTPHeaders: { blobContentType: "application/json" },
+                    conditions: options?.onlyIfNew ? { ifNoneMatch: "*" } : undefined,
+                });
+                return true;
+            } catch (error) {
+                if (options?.onlyIfNew && error instanceof RestError && error.statusCode === 409) return false;
+                throw error;
+            }
+        },
+        async list(folder) {
+            const names: string[] = [];
+            for await (const blob of containerClient.listBlobsByHierarchy("/", { prefix: folder })) {
+                if (blob.kind === "blob") names.push(blob.name);
+            }
+            return names;
+        },
+    };
+}
+
+/**
+ * Contact store in a local directory, for development. Files are readable by the owner only.
+ */
+export function createFileContactStore(directory: string): ContactStore {
+    const root = resolve(directory);
+    // Names come from correlation IDs and profile paths; keep every file inside the directory
+    const pathFor = (name: string) => {
+        const full = resolve(root, name);
+        if (!full.startsWith(root + sep)) throw new Error(`Refusing to use a path outside the contact store: ${name}`);
+        return full;
+    };
+
+    return {
+        async read(name) {
+            try {
+                return await readFile(pathFor(name), "utf-8");
+            } catch (error) {
+                if ((error as NodeJS.ErrnoException).code === "ENOENT") return null;
+                throw error;
+            }
+        },
+        async write(name, body, options) {
+            const path = pathFor(name);
+            await mkdir(dirname(path), { recursive: true, mode: 0o700 });
+            try {
+                await writeFile(path, body, { mode: 0o600, flag: options?.onlyIfNew ? "wx" : "w" });
+                return true;
+            } catch (error) {
+                if ((error as NodeJS.ErrnoException).code === "EEXIST") return false;
+                throw error;
+            }
+        },
+        async list(folder) {
+            try {
+                const entries = await readdir(folder ? pathFor(folder) : root, { withFileTypes: true });
+                return entries.filter(entry => entry.isFile()).map(entry => `${folder}${entry.name}`);
+            } catch (error) {
+                if ((error as NodeJS.ErrnoException).code === "ENOENT") return [];
+                throw error;
+            }
+        },
+    };
+}
+
+/**
+ * In-process contact store for tests
+ */
+export function createMemoryContactStore(): ContactStore & { documents: Map<string, string> } {
+    const documents = new Map<string, string>();
+    return {
+        documents,
+        async read(name) {
+            return documents.get(name) ?? null;
+        },
+        async write(name, body, options) {
+            if (options?.onlyIfNew && documents.has(name)) return false;
+            documents.set(name, body);
+            return true;
+        },
+        async list(folder) {
+            return [...documents.keys()].filter(name => name.startsWith(folder) && !name.slice(folder.length).includes("/"));
+        },
+    };
+}
@@ -0,0 +1,184 @@
+/**
+ * Private contact record storage (never committed to GitHub).
+ * Personal fields are sealed before they are stored; see contactEncryption.ts.
+ */
+import { BlobServiceClient, ContainerClient } from "@azure/storage-blob";
+import { ContactRecord, StoredContactRecord } from "./types.js";
+import { ContactKeys, contactEmailHash, parsePublicKey, sealContactRecord } from "./contactEncryption.js";
+import { ContactStore, createBlobContactStore, createFileContactStore } from "./contactStore.js";
+
+const CONTACT_STORAGE_CONNECTION = process.env.CONTACT_STORAGE_CONNECTION!;
+const CONTACT_CONTAINER_NAME = process.env.CONTACT_CONTAINER_NAME!;
+const IS_LOCAL_DEV = process.env.IS_LOCAL_DEV === "true";
+// "blob" (default) or "file", which keeps contact records in LOCAL_CONTACT_DIR for local development
+const CONTACT_STORE = process.env.CONTACT_STORE || "blob";
+const LOCAL_CONTACT_DIR = process.env.LOCAL_CONTACT_DIR || ".contacts";
+// Public half of the admins' key pair (PEM); the private key is never given to the function app
+const CONTACT_ENCRYPTION_PUBLIC_KEY = process.env.CONTACT_ENCRYPTION_PUBLIC_KEY || "";
+const CONTACT_EMAIL_HASH_KEY = process.env.CONTACT_EMAIL_HASH_KEY || "";
+
+// Profile ownership index: profiles/<contentPath>.json -> { correlationId } of the original submission
+const PROFILE_INDEX_PREFIX = "profiles";
+
+/**
+ * Client for the private contacts container, created on first use
+ */
+export async function getContainerClient(): Promise<ContainerClient> {
+    const blobServiceClient = BlobServiceClient.fromConnectionString(CONTACT_STORAGE_CONNECTION);
+    const containerClient = blobServiceClient.getContainerClient(CONTACT_CONTAINER_NAME);
+
+    // Ensure container exists (safe for both local and prod)
+    await containerClient.createIfNotExists();
+    return containerClient;
+}
+
+/**
+ * The contact store selected by CONTACT_STORE
+ */
+export async function getContactStore(): Promise<ContactStore> {
+    switch (CONTACT_STORE) {
+        case "blob":
+            return createBlobContactStore(await getContainerClient());
+        case "file":
+            return createFileContactStore(LOCAL_CONTACT_DIR);
+        default:
+            throw new Error(`Unknown CONTACT_STORE "${CONTACT_STORE}"`);
+    }
+}
+
+let contactKeys: ContactKeys | null | undefined;
+
+/**
+ * Keys for sealing contact records. Null only in local dev with neither key set,
+ * where records are stored in the clear; anywhere else a missing key is an error.
+ */
+export function getContactKeys(): ContactKeys | null {
+    if (contactKeys !== undefined) return contactKeys;
+    if (CONTACT_ENCRYPTION_PUBLIC_KEY && CONTACT_EMAIL_HASH_KEY) {
+        return contactKeys = { publicKey: parsePublicKey(CONTACT_ENCRYPTION_PUBLIC_KEY), emailHashKey: CONTACT_EMAIL_HASH_KEY };
+    }
+    if (IS_LOCAL_DEV && !CONTACT_ENCRYPTION_PUBLIC_KEY && !CONTACT_EMAIL_HASH_KEY) {
+        return contactKeys = null;
+    }
+    throw new Error("CONTACT_ENCRYPTION_PUBLIC_KEY and CONTACT_EMAIL_HASH_KEY must be set to store contact details");
+}
+
+function contactRecordName(correlationId: string): string {
+    return `${correlationId}.json`;
+}
+
+async function readJson<T>(store: ContactStore, name: string): Promise<T | null> {
+    const body = await store.read(name);
+    return body === null ? null : JSON.parse(body) as T;
+}
+
+/**
+ * Seal the personal fields of a contact record and store it
+ */
+export async function storeContactInfo(
+    store: ContactStore,
+    record: ContactRecord,
+    keys: ContactKeys | null = getContactKeys()
+): Promise<void> {
+    const stored: StoredContactRecord = keys ? sealContactRecord(record, keys) : record;
+    await store.write(contactRecordName(record.correlationId), JSON.stringify(stored, null, 2));
+}
+
+/**
+ * Load a stored contact record by correlation ID. Personal fields stay sealed.
+ */
+export async function loadContactRecord(store: ContactStore, correlationId: string): Promise<StoredContactRecord | null> {
+    return readJson<StoredContactRecord>(store, contactRecordName(correlationId));
+}
+
+/**
+ * Update the processing state of a stored record, leaving its sealed fields as they are
+ */
+export async function updateContactRecord(
+    store: ContactStore,
+    record: StoredContactRecord,
+    changes: Pick<Partial<StoredContactRecord>, "status" | "pullRequestUrl" | "failureReason">
+): Promise<void> {
+    await store.write(contactRecordName(record.correlationId), JSON.stringify({ ...record, ...changes }, null, 2));
+}
+
+/**
+ * Record that a submission asked to create a profile folder. Every such submission is kept:
+ * the owner is only decided once one of them is published (see findProfileOwner), so a
+ * rejected or squatting submission under the same slug cannot lock the candidate out.
+ */
+export async function registerProfileClaim(store: ContactStore, contentPath: string, correlationId: string): Promise<void> {
+    await store.write(`${PROFILE_INDEX_PREFIX}/${contentPath}/claims/${correlationId}.json`, JSON.stringify({ correlationId }));
+}
+
+/**
+ * Record the owner of a published profile. The first owner recorded is kept;
+ * returns the correlation ID of whoever owns the profile afterwards.
+ */
+export async function setProfileOwner(store: ContactStore, contentPath: string, correlationId: string): Promise<string> {
+    const name = `${PROFILE_INDEX_PREFIX}/${contentPath}/owner.json`;
+    if (await store.write(name, JSON.stringify({ correlationId }), { onlyIfNew: true })) return correlationId;
+    return (await readJson<{ correlationId: string }>(store, name))?.correlationId || correlationId;
+}
+
+/**
+ * Contact record of the recorded owner of a profile folder, without checking unconfirmed claims
+ */
+export async function loadProfileOwner(store: ContactStore, contentPath: string): Promise<StoredContactRecord | null> {
+    const owner = await readJson<{ correlationId: string }>(store, `${PROFILE_INDEX_PREFIX}/${contentPath}/owner.json`);
+    return owner ? loadContactRecord(store, owner.correlationId) : null;
+}
+
+/**
+ * Find the contact record of the submission that created a published profile folder.
+ * The owner is recorded the first time it is looked up after its change was published;
+ * until then, the claims are checked oldest first with `isPublished` (the publisher's check
+ * that a PR was merged).
+ */
+export async function findProfileOwner(
+    store: ContactStore,
+    contentPath: string,
+    isPublished: (changeUrl: string) => Promise<boolean>
+): Promise<StoredContactRecord | null> {
+    const owner = await loadProfileOwner(store, contentPath);
+    if (owner) return owner;
+
+    const claimIds = (await store.list(`${PROFILE_INDEX_PREFIX}/${contentPath}/claims/`))
+        .map(name => name.slice(name.lastIndexOf("/") + 1, -".json".length));
+    // Index format used before claims: a single entry for the first submission
+    const legacy = await readJson<{ correlationId: string }>(store, `${PROFILE_INDEX_PREFIX}/${contentPath}.json`);
+    if (legacy && !claimIds.includes(legacy.correlationId)) claimIds.push(legacy.correlationId);
+
+    const claims = (await Promise.all(claimIds.map(id => loadContactRecord(store, id))))
+        .filter((record): record is StoredContactRecord => !!record?.pullRequestUrl)
+        .sort((a, b) => a.submittedAt.localeCompare(b.submittedAt));
+    for (const claim of claims) {
+        if (await isPublished(claim.pullRequestUrl!)) {
+            const ownerId = await setProfileOwner(store, contentPath, claim.correlationId);
+            return ownerId === claim.correlationId ? claim : loadContactRecord(store, ownerId);
+        }
+    }
+    return null;
+}
+
+/**
+ * Whether an email is the contact email of a stored record: by keyed hash for sealed
+ * records, directly for records from before encryption
+ */
+export function isContactEmailOf(
+    record: StoredContactRecord,
+    email: string,
+    emailHashKey: string | null = getContactKeys()?.emailHashKey ?? null
+): boolean {
+    if (record.contactEmailHash) {
+        return !!emailHashKey && record.contactEmailHash === contactEmailHash(email, emailHashKey);
+    }
+    return record.contactEmail !== undefined && isSameContactEmail(record.contactEmail, email);
+}
+
+/**
+ * Compare contact emails the way people type them (case and surrounding whitespace ignored)
+ */
+export function isSameContactEmail(a: string, b: string): boolean {
+    return a.trim().toLowerCase() === b.trim().toLowerCase();
+}
@@ -0,0 +1,215 @@
+/**
+ * Saved form drafts, resumable on any device with a secret token
+ */
+import { RestError } from "@azure/storage-blob";
+import { createCipheriv, createDecipheriv, createHash, hkdfSync, randomBytes } from "crypto";
+import { CandidateDraft, DraftField } from "./types.js";
+import { getContainerClient } from "./contacts.js";
+import { CONTACT_PII_FIELDS } from "./contactEncryption.js";
+import { LIMITS, PROFILE_PATH_PATTERN, checkSections, checkString, isBase64Image, isImagePath } from "./validation.js";
+import { SECTION_KEYS } from "./biography.js";
+
+// Drafts are stored next to contact records (they hold the same private data, sealed like it)
+export const DRAFT_PREFIX = "drafts";
+export const DRAFT_TTL_DAYS = 30;
+// Room for both photos plus inline images at the form's processed sizes
+export const MAX_DRAFT_BYTES = 25 * 1024 * 1024;
+
+const TOKEN_PATTERN = /^[A-Za-z0-9_-]{32}$/;
+const IMAGE_ID_PATTERN = /^img-[a-z0-9]{1,20}$/;
+
+// Per-field length limits; drafts may be incomplete, so nothing is required
+const DRAFT_FIELD_LIMITS: Record<DraftField, number> = {
+    candidate: LIMITS.candidate,
+    title: LIMITS.title,
+    party: LIMITS.party,
+    electionDate: 10,
+    website: LIMITS.website,
+    category: 50,
+    state: 50,
+    about: LIMITS.about,
+    contactEmail: LIMITS.contactEmail,
+    contactPhone: LIMITS.contactPhone,
+    contactNotes: LIMITS.contactNotes,
+    submitterName: LIMITS.submitterName,
+    submitterRelationship: LIMITS.submitterRelationship,
+};
+
+// Contact fields encrypted with a key derived from the resume token (base64 values)
+interface SealedDraftFields {
+    iv: string;
+    ciphertext: string;
+    tag: string;
+}
+
+export interface StoredDraft {
+    savedAt: string;
+    draft: CandidateDraft;       // Without the contact fields once they are sealed
+    sealed?: SealedDraftFields;  // Absent in drafts saved before contact fields were encrypted
+}
+
+/**
+ * New random resume token (192 bits, URL safe)
+ */
+export function createDraftToken(): string {
+    return randomBytes(24).toString("base64url");
+}
+
+export function isValidDraftToken(token: unknown): token is string {
+    return typeof token === "string" && TOKEN_PATTERN.test(token);
+}
+
+/**
+ * Blobs are named by token hash so a storage listing does not reveal working resume links
+ */
+export function draftBlobName(token: string): string {
+    return `${DRAFT_PREFIX}/${createHash("sha256").update(token).digest("hex")}.json`;
+}
+
+export function draftExpiresAt(savedAt: Date): Date {
+    return new Date(savedAt.getTime() + DRAFT_TTL_DAYS * 24 * 60 * 60 * 1000);
+}
+
+// Only someone with the resume link can derive the key; the blob name is a different hash of the token
+function draftKey(token: string): Buffer {
+    return Buffer.from(hkdfSync("sha256", token, "", "candidate-draft-contacts", 32));
+}
+
+/**
+ * Move a draft's contact fields into an encrypted envelope, so stored drafts do not hold them in the clear
+ */
+export function sealDraft(token: string, draft: CandidateDraft, savedAt: Date): StoredDraft {
+    const fields = { ...draft.fields };
+    const contacts: Partial<Record<DraftField, string>> = {};
+    for (const field of CONTACT_PII_FIELDS) {
+        if (fields[field] !== undefined) contacts[field] = fields[field];
+        delete fields[field];
+    }
+
+    const iv = randomBytes(12);
+    const cipher = createCipheriv("aes-256-gcm", draftKey(token), iv);
+    const ciphertext = Buffer.concat([cipher.update(JSON.stringify(contacts), "utf-8"), cipher.final()]);
+    return {
+        savedAt: savedAt.toISOString(),
+        draft: { ...draft, fields },
+        sealed: { iv: iv.toString("base64"), ciphertext: ciphertext.toString("base64"), tag: cipher.getAuthTag().toString("base64") },
+    };
+}
+
+/**
+ * The draft as the form saved it, with its contact fields decrypted
+ */
+export function openDraft(token: string, stored: StoredDraft): CandidateDraft {
+    if (!stored.sealed) return stored.draft;
+    const { iv, ciphertext, tag } = stored.sealed;
+    const decipher = createDecipheriv("aes-256-gcm", draftKey(token), Buffer.from(iv, "base64"));
+    decipher.setAuthTag(Buffer.from(tag, "base64"));
+    const contacts = Buffer.concat([decipher.update(Buffer.from(ciphertext, "base64")), decipher.final()]);
+    return { ...stored.draft, fields: { ...stored.draft.fields, ...JSON.parse(contacts.toString("utf-8")) } };
+}
+
+/**
+ * Validate a draft payload. Drafts may be incomplete, but everything present must be
+ * well-formed, since a resume link can be shared and the draft is loaded into the form.
+ */
+export function validateDraft(body: unknown): string[] {
+    if (!body || typeof body !== "object" || Array.isArray(body)) {
+        return ["Draft must be a JSON object"];
+    }
+
+    const draft = body as Partial<Record<keyof CandidateDraft, unknown>>;
+    const errors: string[] = [];
+
+    if (!draft.fields || typeof draft.fields !== "object" || Array.isArray(draft.fields)) {
+        errors.push("Draft fields must be an object");
+    } else {
+        for (const [key, value] of Object.entries(draft.fields)) {
+            const limit = DRAFT_FIELD_LIMITS[key as DraftField];
+            if (limit === undefined) {
+                errors.push(`Unknown draft field: ${key}`);
+            } else {
+                checkString(errors, value, `Draft field ${key}`, limit, false);
+            }
+        }
+    }
+
+    if (!Array.isArray(draft.tags) || !draft.tags.every(tag => typeof tag === "string" && tag.length <= LIMITS.tag)) {
+        errors.push(`Draft tags must be a list of strings up to ${LIMITS.tag} characters`);
+    } else if (draft.tags.length > LIMITS.maxTags) {
+        errors.push(`At most ${LIMITS.maxTags} tags are allowed`);
+    }
+
+    if (draft.sections !== undefined && draft.sections !== null) {
+        if (typeof draft.sections !== "object" || Array.isArray(draft.sections)) {
+            errors.push("Draft sections must be an object");
+        } else {
+            const unknown = Object.keys(draft.sections).filter(key => !(SECTION_KEYS as readonly string[]).includes(key));
+            if (unknown.length > 0) errors.push(`Unknown draft sections: ${unknown.join(", ")}`);
+            checkSections(errors, draft.sections, { partial: true });
+        }
+    }
+
+    checkString(errors, draft.content, "Draft content", LIMITS.content, false);
+
+    if (!Array.isArray(draft.images)) {
+        errors.push("Draft images must be a list");
+    } else {
+        if (draft.images.length > LIMITS.maxAdditionalImages) {
+            errors.push(`At most ${LIMITS.maxAdditionalImages} inline images are allowed`);
+        }
+        draft.images.forEach((img, index) => {
+            const entry = img as { id?: unknown; filename?: unknown; data?: unknown } | null;
+            if (!entry || typeof entry.id !== "string" || !IMAGE_ID_PATTERN.test(entry.id)
+                || typeof entry.filename !== "string" || !isImagePath(entry.filename)
+                || typeof entry.data !== "string" || !entry.data.startsWith("data:image/") || !isBase64Image(entry.data)) {
+                errors.push(`Draft image ${index + 1} is malformed`);
+            }
+        });
+    }
+
+    for (const [field, label] of [["avatarImage", "Main photo"], ["titleImage", "Title photo"]] as const) {
+        const value = draft[field];
+        if (value === undefined || value === null || value === "") continue;
+        if (typeof value !== "string" || !value.startsWith("data:image/") || !isBase64Image(value)) {
+            errors.push(`${label} must be an image data URL`);
+        }
+    }
+
+    if (checkString(errors, draft.existingProfilePath, "Existing profile", 200, false)
+        && !PROFILE_PATH_PATTERN.test(draft.existingProfilePath)) {
+        errors.push("Existing profile path is invalid");
+    }
+
+    return errors;
+}
+
+/**
+ * Store a draft under its token, replacing any earlier save
+ */
+export async function saveDraft(token: string, draft: CandidateDraft, savedAt: Date = new Date()): Promise<void> {
+    const containerClient = await getContainerClient();
+    const body = JSON.stringify(sealDraft(token, draft, savedAt));
+
+    await containerClient.getBlockBlobClient(draftBlobName(token)).upload(
+        body,
+        Buffer.byteLength(body),
+        { blobHTTPHeaders: { blobContentType: "application/json" } }
+    );
+}
+
+/**
+ * Load a draft by token, or null if it does not exist or has expired
+ */
+export async function loadDraft(token: string, now: Date = new Date()): Promise<{ draft: CandidateDraft; savedAt: Date } | null> {
+    const containerClient = await getContainerClient();
+    try {
+        const buffer = await containerClient.getBlockBlobClient(draftBlobName(token)).downloadToBuffer();
+        const stored = JSON.parse(buffer.toString("utf-8")) as StoredDraft;
+        const savedAt = new Date(stored.savedAt);
+        if (draftExpiresAt(savedAt) <= now) return null;
+        return { draft: openDraft(token, stored), savedAt };
+    } catch (error) {
+        if (error instanceof RestError && error.statusCode === 404) return null;
+        throw error;
+    }
+}
@@ -0,0 +1,81 @@
+/**
+ * Duplicate candidate detection for form submissions
+ */
+import { Octokit } from "@octokit/rest";
+import { CONTENT_ROOT } from "./profiles.js";
+
+export interface DuplicateCheckOptions {
+    owner: string;
+    repo: string;            // Main repo where profiles are published and PRs are opened
+    formRepo: string;        // Fork repo that form branches are pushed to
+    baseBranch: string;      // Default branch of the main repo
+    slug: string;
+    year: string;
+}
+
+export interface DuplicateCheckResult {
+    existingProfiles: Array<{ path: string; url: string }>;
+    openPullRequests: Array<{ number: number; url: string; title: string }>;
+}
+
+const CANDIDATES_ROOT = `${CONTENT_ROOT}/candidates`;
+
+/**
+ * True when the result contains anything a reviewer should look at
+ */
+export function hasPossibleDuplicates(result: DuplicateCheckResult): boolean {
+    return result.existingProfiles.length > 0 || result.openPullRequests.length > 0;
+}
+
+/**
+ * Look for published profiles and open form PRs for the same candidate slug.
+ * Checks the election-year folder plus the legacy un-dated folder, and open
+ * PRs from the form repo whose branch is named for this slug and whose files
+ * touch the same election-year folder.
+ */
+export async function findPossibleDuplicates(octokit: Octokit, options: DuplicateCheckOptions): Promise<DuplicateCheckResult> {
+    const { owner, repo, formRepo, baseBranch, slug, year } = options;
+    const result: DuplicateCheckResult = { existingProfiles: [], openPullRequests: [] };
+
+    const candidatePath = `${CANDIDATES_ROOT}/${year}/${slug}`;
+    for (const path of [candidatePath, `${CANDIDATES_ROOT}/${slug}`]) {
+        try {
+            await octokit.repos.getContent({ owner, repo, path: `${path}/index.md`, ref: baseBranch });
+            result.existingProfiles.push({ path, url: `https://github.com/${owner}/${repo}/tree/${baseBranch}/${path}` });
+        } catch (error) {
+            if ((error as { status?: number }).status !== 404) throw error;
+        }
+    }
+
+    const pulls = await octokit.paginate(octokit.pulls.list, { owner, repo, state: "open", per_page: 100 });
+    const candidatePulls = pulls.filter(pr =>
+        pr.head.repo?.full_name === `${owner}/${formRepo}` && pr.head.ref.startsWith(`form-${slug}-`)
+    );
+
+    for (const pr of candidatePulls) {
+        // Inline images can push the profile's index.md past the first page
+        const files = await octokit.paginate(octokit.pulls.listFiles, { owner, repo, pull_number: pr.number, per_page: 100 });
+        if (files.some(file => file.filename.startsWith(`${candidatePath}/`))) {
+            result.openPullRequests.push({ number: pr.number, url: pr.html_url, title: pr.title });
+        }
+    }
+
+    return result;
+}
+
+/**
+ * Markdown section for the PR body listing possible duplicates
+ */
+export function formatDuplicateNotice(result: DuplicateCheckResult): string {
+    if (!hasPossibleDuplicates(result)) return "";
+
+    const lines = ["## ⚠️ Possible Duplicate", ""];
+    result.existingProfiles.forEach(profile => {
+        lines.push(`- Existing profile: [\`${profile.path}\`](${profile.url})`);
+    });
+    result.openPullRequests.forEach(pr => {
+        lines.push(`- Open PR: #${pr.number} ${pr.title}`);
+    });
+    lines.push("", "Please compare with the submissions above before merging.", "");
+    return lines.join("\n");
+}
@@ -0,0 +1,190 @@
+/**
+ * Hugo frontmatter serialization for candidate profiles
+ */
+import { Document, isScalar, isSeq, parse, parseDocument } from "yaml";
+import { CandidateSubmission, Endorsement, ExperienceEntry, PolicyPosition } from "./types.js";
+import { SECTION_KEYS, normalizeSections } from "./biography.js";
+
+// Frontmatter keys in the order they appear in archetypes/candidates.md
+export interface CandidateFrontmatter {
+    title: string;
+    meta_title: string;
+    description: string;
+    candidate: string;
+    party: string;
+    election_date: string;
+    image: string;
+    categories: string[];
+    tags: string[];
+    draft: boolean;
+    avatar: string;
+    about: string;
+    pledge_version: string;
+    website?: string;
+    positions?: PolicyPosition[];
+    experience?: ExperienceEntry[];
+    endorsements?: Endorsement[];
+}
+
+const STRINGIFY_OPTIONS = {
+    defaultStringType: "QUOTE_DOUBLE",
+    defaultKeyType: "PLAIN",
+    lineWidth: 0, // Never fold long strings such as `about`
+} as const;
+
+/**
+ * Build the frontmatter data object for a submission
+ */
+export function buildFrontmatterData(
+    submission: CandidateSubmission,
+    avatarFilename?: string,
+    imageFilename?: string
+): CandidateFrontmatter {
+    const data: CandidateFrontmatter = {
+        title: submission.title,
+        meta_title: `${submission.candidate} for ${submission.title}`,
+        description: `${submission.candidate} for ${submission.title}`,
+        candidate: submission.candidate,
+        party: submission.party,
+        election_date: `${submission.electionDate}T12:00:00Z`,
+        image: imageFilename || "",
+        categories: submission.categories,
+        tags: submission.tags,
+        draft: false,
+        avatar: avatarFilename || "",
+        about: submission.about,
+        pledge_version: submission.pledgeVersion,
+    };
+    if (submission.website) {
+        data.website = submission.website;
+    }
+    // Sections are only written when the candidate filled them in
+    const { positions, experience, endorsements } = normalizeSections(submission);
+    if (positions.length > 0) data.positions = positions;
+    if (experience.length > 0) data.experience = experience;
+    if (endorsements.length > 0) data.endorsements = endorsements;
+    return data;
+}
+
+/**
+ * Serialize frontmatter data to YAML.
+ * Every string is double-quoted and escaped by the serializer, so quotes,
+ * backslashes, colons and newlines in user input cannot break out of a value.
+ */
+export function serializeFrontmatter(data: CandidateFrontmatter): string {
+    const doc = new Document(data);
+    Object.keys(data).forEach(key => styleNode(doc, key));
+    return doc.toString(STRINGIFY_OPTIONS);
+}
+
+function styleNode(doc: Document, key: string): void {
+    const node = doc.get(key, true);
+    // Keep election_date as a bare timestamp so Hugo reads it as a date (it is validated as YYYY-MM-DD upstream)
+    if (key === "election_date" && isScalar(node)) node.type = "PLAIN";
+    // Flow style keeps short lists on one line, matching existing profiles; lists of sections stay in block style
+    if (isSeq(node)) node.flow = node.items.every(item => isScalar(item));
+}
+
+function splitFrontmatter(markdown: string): { yaml: string; body: string } {
+    const match = markdown.match(/^---\r?\n([\s\S]*?)\r?\n---(?:\r?\n|$)([\s\S]*)$/);
+    if (!match) {
+        throw new Error("Document does not start with a YAML frontmatter block");
+    }
+    return { yaml: match[1], body: match[2].replace(/^\r?\n/, "") };
+}
+
+/**
+ * Split an index.md document into parsed frontmatter and markdown body
+ */
+export function parseMarkdownDocument(markdown: string): { data: Record<string, unknown>; body: string } {
+    const { yaml, body } = splitFrontmatter(markdown);
+    const data = parse(yaml);
+    if (!data || typeof data !== "object" || Array.isArray(data)) {
+        throw new Error("Frontmatter is not a YAML mapping");
+    }
+    return { data: data as Record<string, unknown>, body };
+}
+
+/**
+ * Parse a generated index.md back and confirm it matches what we meant to write.
+ * Throws if any key was added, dropped or changed, or if the body differs.
+ * `preservedKeys` lists keys carried over from an existing profile that the form does not manage.
+ */
+export function verifyMarkdownRoundTrip(
+    markdown: string,
+    expected: CandidateFrontmatter,
+    content: string,
+    preservedKeys: string[] = []
+): void {
+    const { data, body } = parseMarkdownDocument(markdown);
+
+    const expectedKeys = [...new Set([...Object.keys(expected), ...preservedKeys])].sort();
+    const actualKeys = Object.keys(data).sort();
+    if (JSON.stringify(expectedKeys) !== JSON.stringify(actualKeys)) {
+        throw new Error(`Frontmatter round-trip mismatch: expected keys [${expectedKeys}] but found [${actualKeys}]`);
+    }
+
+    for (const key of Object.keys(expected)) {
+        const want = JSON.stringify(expected[key as keyof CandidateFrontmatter]);
+        const got = JSON.stringify(data[key]);
+        if (want !== got) {
+            throw new Error(`Frontmatter round-trip mismatch for "${key}"`);
+        }
+    }
+
+    if (body !== `${content}\n`) {
+        throw new Error("Frontmatter round-trip mismatch for markdown body");
+    }
+}
+
+/**
+ * Generate Hugo index.md (frontmatter + body) from submission, verified by round-trip parsing
+ */
+export function generateFrontmatter(submission: CandidateSubmission, avatarFilename?: string, imageFilename?: string): string {
+    const data = buildFrontmatterData(submission, avatarFilename, imageFilename);
+    const markdown = `---\n${serializeFrontmatter(data)}---\n\n${submission.content}\n`;
+
+    verifyMarkdownRoundTrip(markdown, data, submission.content);
+
+    return markdown;
+}
+
+/**
+ * Apply a submission to an existing profile's index.md.
+ * Keys the form does not manage are kept, and unchanged values keep their
+ * original formatting, so the PR diff only shows what the candidate edited.
+ */
+export function updateFrontmatter(
+    existingMarkdown: string,
+    submission: CandidateSubmission,
+    avatarFilename?: string,
+    imageFilename?: string
+): string {
+    const doc = parseDocument(splitFrontmatter(existingMarkdown).yaml);
+    const current = (doc.toJS() || {}) as Record<string, unknown>;
+    const data = buildFrontmatterData(submission, avatarFilename, imageFilename);
+
+    // Hand-written SEO fields are only regenerated when the name or office they describe changes
+    if (current.candidate === data.candidate && current.title === data.title) {
+        if (typeof current.meta_title === "string") data.meta_title = current.meta_title;
+        if (typeof current.description === "string") data.description = current.description;
+    }
+
+    for (const [key, value] of Object.entries(data)) {
+        if (JSON.stringify(current[key]) === JSON.stringify(value)) continue;
+        doc.set(key, doc.createNode(value));
+        styleNode(doc, key);
+    }
+    // The form clears the website field to remove the link, and empties a section to remove it
+    const clearable = ["website", ...SECTION_KEYS] as const;
+    for (const key of clearable) {
+        if (!data[key] && doc.has(key)) doc.delete(key);
+    }
+
+    const preservedKeys = Object.keys(current).filter(key => !(clearable as readonly string[]).includes(key));
+    const markdown = `---\n${doc.toString(STRINGIFY_OPTIONS)}---\n\n${submission.content}\n`;
+
+    verifyMarkdownRoundTrip(markdown, data, submission.content, preservedKeys);
+
+    return markdown;
+}
@@ -0,0 +1,124 @@
+import { app, HttpRequest, HttpResponseInit, InvocationContext } from "@azure/functions";
+import { CandidateDraft, DraftResponse } from "../types.js";
+import { getContainerClient } from "../contacts.js";
+import { getCorsHeaders } from "../http.js";
+import { RATE_LIMITS, checkRateLimits, createBlobCounterStore, getClientIp } from "../rateLimit.js";
+import {
+    MAX_DRAFT_BYTES,
+    createDraftToken,
+    draftExpiresAt,
+    isValidDraftToken,
+    loadDraft,
+    saveDraft,
+    validateDraft,
+} from "../drafts.js";
+
+/**
+ * Save (POST) or load (GET ?token=) an in-progress candidate form.
+ * POST without a token starts a new draft; with a token it replaces that draft,
+ * so the resume link stays the same across saves.
+ */
+async function candidateDraft(request: HttpRequest, context: InvocationContext): Promise<HttpResponseInit> {
+    // Drafts hold contact details, so responses must never be cached
+    const headers = { ...getCorsHeaders(request, "GET, POST, OPTIONS"), "Cache-Control": "no-store" };
+
+    if (request.method === "OPTIONS") {
+        return { status: 204, headers };
+    }
+
+    try {
+        if (request.method === "GET") {
+            const token = request.query.get("token");
+            if (!isValidDraftToken(token)) {
+                return { status: 400, headers, jsonBody: { success: false, message: "A valid draft token is required" } as DraftResponse };
+            }
+
+            const saved = await loadDraft(token);
+            if (!saved) {
+                return { status: 404, headers, jsonBody: { success: false, message: "Draft not found or expired" } as DraftResponse };
+            }
+
+            return {
+                status: 200,
+                headers,
+                jsonBody: {
+                    success: true,
+                    token,
+                    expiresAt: draftExpiresAt(saved.savedAt).toISOString(),
+                    draft: saved.draft,
+                } as DraftResponse,
+            };
+        }
+
+        const text = await request.text();
+        if (Buffer.byteLength(text) > MAX_DRAFT_BYTES) {
+            return { status: 413, headers, jsonBody: { success: false, message: "Draft is too large to save" } as DraftResponse };
+        }
+
+        let body: { token?: unknown; draft?: unknown };
+        try {
+            body = JSON.parse(text);
+        } catch {
+            return { status: 400, headers, jsonBody: { success: false, message: "Request body must be valid JSON" } as DraftResponse };
+        }
+
+        if (body.token !== undefined && !isValidDraftToken(body.token)) {
+            return { status: 400, headers, jsonBody: { success: false, message: "Draft token is invalid" } as DraftResponse };
+        }
+
+        const errors = validateDraft(body.draft);
+        if (errors.length > 0) {
+            return { status: 400, headers, jsonBody: { success: false, message: "Draft validation failed", errors } as DraftResponse };
+        }
+
+        const limit = await checkRateLimits(createBlobCounterStore(await getContainerClient()), [
+            { rule: RATE_LIMITS.drafts, subject: getClientIp(request.headers.get("x-forwarded-for")) },
+        ]);
+        if (!limit.allowed) {
+            return {
+                status: 429,
+                headers: { ...headers, "Retry-After": String(limit.retryAfterSeconds) },
+                jsonBody: { success: false, message: "Too many saves. Please wait a few minutes and try again." } as DraftResponse,
+            };
+        }
+
+        // Keep only known keys so nothing unexpected is stored or handed back to the form
+        const input = body.draft as CandidateDraft;
+        const draft: CandidateDraft = {
+            fields: input.fields,
+            tags: input.tags,
+            // Section entries were checked field by field, so they hold only known keys
+            sections: input.sections || undefined,
+            content: input.content || "",
+            images: input.images.map(({ id, filename, data }) => ({ id, filename, data })),
+            avatarImage: input.avatarImage || undefined,
+            titleImage: input.titleImage || undefined,
+            existingProfilePath: input.existingProfilePath || undefined,
+        };
+
+        const token = (body.token as string | undefined) || createDraftToken();
+        const savedAt = new Date();
+        await saveDraft(token, draft, savedAt);
+        context.log("Saved candidate draft");
+
+        return {
+            status: 200,
+            headers,
+            jsonBody: { success: true, token, expiresAt: draftExpiresAt(savedAt).toISOString() } as DraftResponse,
+        };
+
+    } catch (error) {
+        context.error("Error handling draft:", error);
+        return {
+            status: 500,
+            headers,
+            jsonBody: { success: false, message: "An error occurred saving your draft. Please try again." } as DraftResponse,
+        };
+    }
+}
+
+app.http("candidateDraft", {
+    methods: ["GET", "POST", "OPTIONS"],
+    authLevel: "anonymous",
+    handler: candidateDraft,
+});
@@ -0,0 +1,82 @@
+import { app, HttpRequest, HttpResponseInit, InvocationContext } from "@azure/functions";
+import { CandidateProfileResponse } from "../types.js";
+import { parseMarkdownDocument } from "../frontmatter.js";
+import { sectionsFromFrontmatter, splitBiography } from "../biography.js";
+import { getCorsHeaders } from "../http.js";
+import { getContentPublisher, isPublisherConfigured } from "../publisher.js";
+import { PROFILE_PATH_PATTERN } from "../validation.js";
+
+// Frontmatter keys the form can edit; everything else stays server-side
+const EDITABLE_KEYS = [
+    "title", "candidate", "party", "election_date", "image", "categories", "tags", "avatar", "about", "website",
+];
+
+/**
+ * Load a published candidate profile so the form can pre-fill an update.
+ * Only public page data is returned; contact records are never exposed.
+ */
+async function getCandidateProfile(request: HttpRequest, context: InvocationContext): Promise<HttpResponseInit> {
+    const corsHeaders = getCorsHeaders(request, "GET, OPTIONS");
+
+    if (request.method === "OPTIONS") {
+        return { status: 204, headers: corsHeaders };
+    }
+
+    const path = request.query.get("path") || "";
+    if (!PROFILE_PATH_PATTERN.test(path)) {
+        return {
+            status: 400,
+            headers: corsHeaders,
+            jsonBody: { success: false, message: "A valid profile path is required" } as CandidateProfileResponse,
+        };
+    }
+
+    if (!isPublisherConfigured()) {
+        return {
+            status: 503,
+            headers: corsHeaders,
+            jsonBody: { success: false, message: "Profile lookup is not configured" } as CandidateProfileResponse,
+        };
+    }
+
+    try {
+        const publisher = await getContentPublisher();
+        const markdown = await publisher.fetchProfileMarkdown(path);
+        if (markdown === null) {
+            return {
+                status: 404,
+                headers: corsHeaders,
+                jsonBody: { success: false, message: "Profile not found" } as CandidateProfileResponse,
+            };
+        }
+
+        const { data, body } = parseMarkdownDocument(markdown);
+        const frontmatter = Object.fromEntries(EDITABLE_KEYS.filter(key => key in data).map(key => [key, data[key]]));
+        // The form edits the structured sections in their own fields, so their generated markdown is split off
+        const { sections, content } = splitBiography(body.replace(/\n$/, ""), sectionsFromFrontmatter(data));
+
+        const response: CandidateProfileResponse = {
+            success: true,
+            path,
+            frontmatter,
+            sections,
+            content,
+            pageUrl: `/${path}/`,
+        };
+        return { status: 200, headers: corsHeaders, jsonBody: response };
+
+    } catch (error) {
+        context.error(`Error loading profile ${path}:`, error);
+        return {
+            status: 500,
+            headers: corsHeaders,
+            jsonBody: { success: false, message: "An error occurred loading the profile. Please try again." } as CandidateProfileResponse,
+        };
+    }
+}
+
+app.http("getCandidateProfile", {
+    methods: ["GET", "OPTIONS"],
+    authLevel: "anonymous",
+    handler: getCandidateProfile,
+});
@@ -0,0 +1,114 @@
+import { app, HttpRequest, HttpResponseInit, InvocationContext } from "@azure/functions";
+import { SubmissionStatusResponse } from "../types.js";
+import { getCorsHeaders } from "../http.js";
+import { GITHUB_PRIVATE_KEY_SAFE, GITHUB_REPO_NAME, GITHUB_REPO_OWNER, getOctokit } from "../github.js";
+import { getContactStore, getContainerClient, loadContactRecord } from "../contacts.js";
+import { RATE_LIMITS, checkRateLimits, createBlobCounterStore, getClientIp } from "../rateLimit.js";
+import { getPullRequestStatus, parsePullRequestUrl } from "../status.js";
+import { CORRELATION_ID_PATTERN } from "../submissionQueue.js";
+
+/**
+ * Look up the review status of a submission by correlation ID.
+ * Only public PR information is returned; contact details stay in storage.
+ */
+async function getSubmissionStatus(request: HttpRequest, context: InvocationContext): Promise<HttpResponseInit> {
+    // Status changes as reviewers act, so responses must not be cached between polls
+    const headers = { ...getCorsHeaders(request, "GET, OPTIONS"), "Cache-Control": "no-store" };
+
+    if (request.method === "OPTIONS") {
+        return { status: 204, headers };
+    }
+
+    const correlationId = (request.query.get("cid") || "").toLowerCase();
+    if (!CORRELATION_ID_PATTERN.test(correlationId)) {
+        return {
+            status: 400,
+            headers,
+            jsonBody: { success: false, message: "A valid correlation ID is required" } as SubmissionStatusResponse,
+        };
+    }
+
+    try {
+        // Each lookup may call GitHub, so polling is limited per client
+        const limit = await checkRateLimits(createBlobCounterStore(await getContainerClient()), [
+            { rule: RATE_LIMITS.status, subject: getClientIp(request.headers.get("x-forwarded-for")) },
+        ]);
+        if (!limit.allowed) {
+            return {
+                status: 429,
+                headers: { ...headers, "Retry-After": String(limit.retryAfterSeconds) },
+                jsonBody: { success: false, message: "Too many status checks. Please try again later." } as SubmissionStatusResponse,
+            };
+        }
+
+        const record = await loadContactRecord(await getContactStore(), correlationId);
+        if (!record) {
+            return {
+                status: 404,
+                headers,
+                jsonBody: { success: false, message: "Submission not found" } as SubmissionStatusResponse,
+            };
+        }
+
+        // Queued submissions have no PR yet, and failed ones never will (any partial PR was closed again)
+        if (record.status === "pending" || record.status === "failed") {
+            const response: SubmissionStatusResponse = {
+                success: true,
+                correlationId,
+                status: record.status === "pending" ? "processing" : "failed",
+                candidateName: record.candidateName,
+                submittedAt: record.submittedAt,
+                message: record.status === "failed"
+                    ? record.failureReason || "This submission could not be completed. Please submit it again."
+                    : undefined,
+            };
+            return { status: 200, headers, jsonBody: response };
+        }
+
+        // Only look up PRs in our own repo, whatever the stored URL says
+        const pullRequest = parsePullRequestUrl(record.pullRequestUrl);
+        if (!pullRequest || pullRequest.owner !== GITHUB_REPO_OWNER || pullRequest.repo !== GITHUB_REPO_NAME) {
+            return {
+                status: 404,
+                headers,
+                jsonBody: { success: false, message: "No pull request is linked to this submission" } as SubmissionStatusResponse,
+            };
+        }
+
+        if (!GITHUB_PRIVATE_KEY_SAFE) {
+            return {
+                status: 503,
+                headers,
+                jsonBody: { success: false, message: "Status lookup is not configured" } as SubmissionStatusResponse,
+            };
+        }
+
+        const octokit = await getOctokit();
+        const { status, updatedAt } = await getPullRequestStatus(octokit, pullRequest);
+
+        const response: SubmissionStatusResponse = {
+            success: true,
+            correlationId,
+            status,
+            candidateName: record.candidateName,
+            submittedAt: record.submittedAt,
+            pullRequestUrl: record.pullRequestUrl,
+            updatedAt,
+        };
+        return { status: 200, headers, jsonBody: response };
+
+    } catch (error) {
+        context.error(`Error loading status for ${correlationId}:`, error);
+        return {
+            status: 500,
+            headers,
+            jsonBody: { success: false, message: "An error occurred checking the submission status. Please try again." } as SubmissionStatusResponse,
+        };
+    }
+}
+
+app.http("getSubmissionStatus", {
+    methods: ["GET", "OPTIONS"],
+    authLevel: "anonymous",
+    handler: getSubmissionStatus,
+});
@@ -0,0 +1,144 @@
+import { app, InvocationContext } from "@azure/functions";
+import { StoredContactRecord } from "../types.js";
+import { prepareSubmissionImages } from "../images.js";
+import { getContactStore, getContainerClient, loadContactRecord, registerProfileClaim, updateContactRecord } from "../contacts.js";
+import { ContactStore } from "../contactStore.js";
+import { createCandidatePR } from "../pullRequest.js";
+import { getContentPublisher } from "../publisher.js";
+import { createRollback } from "../rollback.js";
+import { createBlobClaimStore, finishSubmission } from "../idempotency.js";
+import {
+    MAX_DEQUEUE_COUNT,
+    QueuedSubmission,
+    SUBMISSION_QUEUE_CONNECTION,
+    SUBMISSION_QUEUE_NAME,
+    deleteQueuedSubmission,
+    isRetryableError,
+    loadQueuedSubmission,
+    parseQueueMessage,
+    withRetries,
+} from "../submissionQueue.js";
+
+// Attempts within one delivery; the queue delivers the message again (up to MAX_DEQUEUE_COUNT) after that
+const ATTEMPTS_PER_DELIVERY = 3;
+const RETRY_BASE_DELAY_MS = 5000;
+
+const DEFAULT_FAILURE_REASON = "We could not create a pull request for this submission. Please submit it again.";
+
+/**
+ * Open the PR for a queued submission, register the claim to a new profile and mark the contact record submitted.
+ * Returns a failure reason for problems that retrying cannot fix; throws for everything else.
+ * Anything this attempt created is rolled back before it throws.
+ */
+async function openPullRequest(queued: QueuedSubmission, contacts: ContactStore, record: StoredContactRecord, context: InvocationContext): Promise<{ pullRequestUrl: string } | { failureReason: string }> {
+    const { correlationId, submission } = queued;
+    const { images, errors } = prepareSubmissionImages(submission);
+    if (errors.length > 0) {
+        // Checked before queuing, so this only happens if the image rules changed in between
+        context.error(`Queued images for ${correlationId} failed verification:`, errors);
+        return { failureReason: "The images in this submission could not be verified. Please upload them again." };
+    }
+
+    // GitHub, or a local backend in local dev (see CONTENT_PUBLISHER)
+    const publisher = await getContentPublisher();
+
+    let existingMarkdown: string | undefined;
+    if (submission.existingProfilePath) {
+        const markdown = await publisher.fetchProfileMarkdown(submission.existingProfilePath);
+        if (markdown === null) {
+            return { failureReason: "Profile not found. Recently submitted profiles can be updated once they are published." };
+        }
+        existingMarkdown = markdown;
+    }
+
+    // The publisher registers its undo actions (branch, PR), so a failed attempt leaves nothing behind for the next one
+    const rollback = createRollback();
+    try {
+        const pullRequestUrl = await createCandidatePR(publisher, submission, images, correlationId, context, rollback, existingMarkdown, queued.pledgeVerified !== false);
+        if (!submission.existingProfilePath && record.contentPath) {
+            await registerProfileClaim(contacts, record.contentPath, correlationId);
+        }
+        // Marked submitted last, so the status page only links PRs that are complete
+        await updateContactRecord(contacts, record, { status: "submitted", pullRequestUrl });
+        return { pullRequestUrl };
+    } catch (error) {
+        context.warn(`Pull request for ${correlationId} failed, rolling back:`, error);
+        for (const failure of await rollback.run()) {
+            context.error(`Rollback step "${failure.description}" failed for ${correlationId}:`, failure.error);
+        }
+        throw error;
+    }
+}
+
+/**
+ * Record the outcome on the idempotency claim; the submission itself is already settled, so failures are only logged
+ */
+async function settleClaim(queued: QueuedSubmission, state: "completed" | "failed", context: InvocationContext, pullRequestUrl?: string): Promise<void> {
+    if (!queued.idempotencyKey) return;
+    try {
+        await finishSubmission(createBlobClaimStore(await getContainerClient()), queued.idempotencyKey, {
+            state,
+            requestHash: queued.requestHash,
+            correlationId: queued.correlationId,
+            pullRequestUrl,
+        });
+    } catch (error) {
+        context.warn(`Could not update the idempotency key for ${queued.correlationId}:`, error);
+    }
+}
+
+/**
+ * Queue trigger: create the pull request for a submission accepted by submitCandidate
+ */
+async function processSubmission(message: unknown, context: InvocationContext): Promise<void> {
+    const parsed = parseQueueMessage(message);
+    if (!parsed) {
+        context.error("Ignoring malformed submission queue message");
+        return;
+    }
+    const { correlationId } = parsed;
+    const dequeueCount = Number(context.triggerMetadata?.dequeueCount) || 1;
+    context.log(`Processing queued submission ${correlationId} (delivery ${dequeueCount})`);
+
+    const contacts = await getContactStore();
+    const [queued, record] = await Promise.all([loadQueuedSubmission(correlationId), loadContactRecord(contacts, correlationId)]);
+    if (!queued || !record || record.status !== "pending") {
+        // Already processed (queue messages can be delivered more than once) or rolled back
+        context.warn(`Submission ${correlationId} is not waiting to be processed; skipping`);
+        return;
+    }
+
+    let outcome: { pullRequestUrl: string } | { failureReason: string };
+    try {
+        outcome = await withRetries(() => openPullRequest(queued, contacts, record, context), {
+            attempts: ATTEMPTS_PER_DELIVERY,
+            baseDelayMs: RETRY_BASE_DELAY_MS,
+            onRetry: (error, attempt, delayMs) =>
+                context.warn(`Attempt ${attempt} for ${correlationId} failed, retrying in ${Math.round(delayMs / 1000)}s:`, error),
+        });
+    } catch (error) {
+        // Leave the message on the queue for a later delivery unless this was the last one
+        if (isRetryableError(error) && dequeueCount < MAX_DEQUEUE_COUNT) {
+            context.warn(`Submission ${correlationId} will be retried by the queue`);
+            throw error;
+        }
+        context.error(`Giving up on submission ${correlationId}:`, error);
+        outcome = { failureReason: DEFAULT_FAILURE_REASON };
+    }
+
+    if ("failureReason" in outcome) {
+        await updateContactRecord(contacts, record, { status: "failed", failureReason: outcome.failureReason });
+        await settleClaim(queued, "failed", context);
+    } else {
+        context.log(`Submission ${correlationId} is in ${outcome.pullRequestUrl}`);
+        await settleClaim(queued, "completed", context, outcome.pullRequestUrl);
+    }
+
+    await deleteQueuedSubmission(correlationId);
+}
+
+app.storageQueue("processSubmission", {
+    queueName: SUBMISSION_QUEUE_NAME,
+    connection: SUBMISSION_QUEUE_CONNECTION,
+    handler: processSubmission,
+});
@@ -0,0 +1,115 @@
+import { app, HttpRequest, HttpResponseInit, InvocationContext } from "@azure/functions";
+import { ImageUploadResponse } from "../types.js";
+import { ImageKind } from "../images.js";
+import { getContainerClient } from "../contacts.js";
+import { getCorsHeaders } from "../http.js";
+import { RATE_LIMITS, checkRateLimits, createBlobCounterStore, getClientIp } from "../rateLimit.js";
+import {
+    UPLOAD_CHUNK_BYTES,
+    completeUpload,
+    isValidUploadId,
+    isValidUploadToken,
+    stageChunk,
+    startUpload,
+    validateUploadStart,
+} from "../uploads.js";
+
+// The upload token travels in a header so it stays out of URLs and request logs
+const TOKEN_HEADER = "X-Upload-Token";
+
+/**
+ * Staged image uploads, in three steps selected by ?action=:
+ *   POST ?action=start     {kind, size}            -> imageId, uploadToken, chunkSize, chunkCount
+ *   PUT  ?action=chunk&imageId=&index=  raw bytes  (token header)
+ *   POST ?action=complete&imageId=                 (token header) -> verified dimensions
+ * The returned imageId is then sent to submitCandidate in place of the base64 image.
+ */
+async function uploadImage(request: HttpRequest, context: InvocationContext): Promise<HttpResponseInit> {
+    const headers = getCorsHeaders(request, "POST, PUT, OPTIONS", `Content-Type, ${TOKEN_HEADER}`);
+
+    if (request.method === "OPTIONS") {
+        return { status: 204, headers };
+    }
+
+    const fail = (status: number, message: string, errors?: string[]): HttpResponseInit => ({
+        status,
+        headers,
+        jsonBody: { success: false, message, errors } as ImageUploadResponse,
+    });
+
+    try {
+        const action = request.query.get("action");
+
+        if (action === "start" && request.method === "POST") {
+            let body: unknown;
+            try {
+                body = await request.json();
+            } catch {
+                return fail(400, "Request body must be valid JSON");
+            }
+            const errors = validateUploadStart(body);
+            if (errors.length > 0) {
+                return fail(400, "Upload validation failed", errors);
+            }
+
+            const limit = await checkRateLimits(createBlobCounterStore(await getContainerClient()), [
+                { rule: RATE_LIMITS.uploads, subject: getClientIp(request.headers.get("x-forwarded-for")) },
+            ]);
+            if (!limit.allowed) {
+                return {
+                    status: 429,
+                    headers: { ...headers, "Retry-After": String(limit.retryAfterSeconds) },
+                    jsonBody: { success: false, message: "Too many uploads. Please wait a few minutes and try again." } as ImageUploadResponse,
+                };
+            }
+
+            const { kind, size } = body as { kind: ImageKind; size: number };
+            const upload = await startUpload(kind, size);
+            return { status: 200, headers, jsonBody: { success: true, ...upload } as ImageUploadResponse };
+        }
+
+        const imageId = request.query.get("imageId");
+        const token = request.headers.get(TOKEN_HEADER);
+        if (!isValidUploadId(imageId) || !isValidUploadToken(token)) {
+            return fail(400, "A valid image id and upload token are required");
+        }
+
+        if (action === "chunk" && request.method === "PUT") {
+            const index = Number(request.query.get("index"));
+            const data = Buffer.from(await request.arrayBuffer());
+            if (data.length > UPLOAD_CHUNK_BYTES) {
+                return fail(413, `Chunks must be at most ${UPLOAD_CHUNK_BYTES} bytes`);
+            }
+            const error = await stageChunk(imageId, token, index, data);
+            if (error) {
+                return fail(error === "Upload not found or expired" ? 404 : 400, error);
+            }
+            return { status: 200, headers, jsonBody: { success: true, imageId } as ImageUploadResponse };
+        }
+
+        if (action === "complete" && request.method === "POST") {
+            const result = await completeUpload(imageId, token);
+            if (result.errors.length > 0) {
+                return fail(400, "Image validation failed", result.errors);
+            }
+            context.log(`Verified staged image ${imageId}`);
+            return {
+                status: 200,
+                headers,
+                jsonBody: { success: true, imageId, width: result.width, height: result.height } as ImageUploadResponse,
+            };
+        }
+
+        return fail(400, "Unknown upload action");
+
+    } catch (error) {
+        context.error("Error handling image upload:", error);
+        return fail(500, "An error occurred uploading the image. Please try again.");
+    }
+}
+
+app.http("uploadImage", {
+    methods: ["POST", "PUT", "OPTIONS"],
+    authLevel: "anonymous",
+    handler: uploadImage,
+});
@@ -0,0 +1,216 @@
+/**
+ * GitHub publisher: a branch in the form repo with the profile files, opened as a PR against the main repo
+ */
+import { Octokit } from "@octokit/rest";
+import type { ContentPublisher } from "./publisher.js";
+import { findPossibleDuplicates } from "./duplicates.js";
+import { fetchProfileMarkdown, listProfileFiles } from "./profiles.js";
+import { parsePullRequestUrl } from "./status.js";
+
+export interface PullRequestTarget {
+    owner: string;
+    repo: string;            // Main repo the PR is opened against
+    formRepo: string;        // Fork repo the branch is pushed to
+}
+
+export function createGitHubPublisher(octokit: Octokit, target: PullRequestTarget): ContentPublisher {
+    // Looked up once per publisher; a publisher is created for each submission attempt
+    let formBase: Promise<string> | undefined;
+    let mainBranch: Promise<string> | undefined;
+
+    // Head of the form repo's default branch, which submission branches start from
+    const getFormBase = () => formBase ||= (async () => {
+        const { data: formRepo } = await octokit.repos.get({
+            owner: target.owner,
+            repo: target.formRepo,
+        });
+        const { data: ref } = await octokit.git.getRef({
+            owner: target.owner,
+            repo: target.formRepo,
+            ref: `heads/${formRepo.default_branch}`,
+        });
+        return ref.object.sha;
+    })();
+
+    // Main repo default branch (PR base)
+    const getMainBranch = () => mainBranch ||= (async () => {
+        const { data: mainRepo } = await octokit.repos.get({
+            owner: target.owner,
+            repo: target.repo,
+        });
+        return mainRepo.default_branch;
+    })();
+
+    return {
+        fetchProfileMarkdown(profilePath) {
+            return fetchProfileMarkdown(octokit, { owner: target.owner, repo: target.repo, profilePath });
+        },
+
+        async listProfileFiles(profilePath) {
+            return listProfileFiles(octokit, {
+                owner: target.owner,
+                repo: target.formRepo,
+                ref: await getFormBase(),
+                profilePath,
+            });
+        },
+
+        async findPossibleDuplicates(slug, year) {
+            return findPossibleDuplicates(octokit, {
+                owner: target.owner,
+                repo: target.repo,
+                formRepo: target.formRepo,
+                baseBranch: await getMainBranch(),
+                slug,
+                year,
+            });
+        },
+
+        fileUrl(branchName, path) {
+            return `https://raw.githubusercontent.com/${target.owner}/${target.formRepo}/${branchName}/${path}`;
+        },
+
+        async publish(change, rollback, context) {
+            const { branchName } = change;
+            const baseSha = await getFormBase();
+            const base = await getMainBranch();
+
+            // Create branch in formsubmissions repo
+            await octokit.git.createRef({
+                owner: target.owner,
+                repo: target.formRepo,
+                ref: `refs/heads/${branchName}`,
+                sha: baseSha,
+            });
+
+            context.log(`Created branch ${branchName} in ${target.formRepo}`);
+            rollback.add(`delete branch ${branchName}`, async () => {
+                await octokit.git.deleteRef({
+                    owner: target.owner,
+                    repo: target.formRepo,
+                    ref: `heads/${branchName}`,
+                });
+            });
+
+            // Create tree with all files
+            const { data: baseTree } = await octokit.git.getTree({
+                owner: target.owner,
+                repo: target.formRepo,
+                tree_sha: baseSha,
+            });
+
+            // Create blobs for all files and build tree items
+            const treeItems = await Promise.all(change.files.map(async (file) => {
+                if (file.content === null) {
+                    // Deletion: a null sha removes the path from the tree
+                    return {
+                        path: file.path,
+                        mode: "100644" as const,
+                        type: "blob" as const,
+                        sha: null,
+                    };
+                } else if (file.encoding === 'base64') {
+                    // For binary files, create blob separately with base64 encoding
+                    const { data: blob } = await octokit.git.createBlob({
+                        owner: target.owner,
+                        repo: target.formRepo,
+                        content: file.content,
+                        encoding: 'base64',
+                    });
+
+                    return {
+                        path: file.path,
+                        mode: "100644" as const,
+                        type: "blob" as const,
+                        sha: blob.sha,
+                    };
+                } else {
+                    // For text files, use inline content
+                    return {
+                        path: file.path,
+                        mode: "100644" as const,
+                        type: "blob" as const,
+                        content: file.content,
+                    };
+                }
+            }));
+
+            const { data: newTree } = await octokit.git.createTree({
+                owner: target.owner,
+                repo: target.formRepo,
+                base_tree: baseTree.sha,
+                tree: treeItems,
+            });
+
+            // Create commit
+            const { data: commit } = await octokit.git.createCommit({
+                owner: target.owner,
+                repo: target.formRepo,
+                message: change.title,
+                tree: newTree.sha,
+                parents: [baseSha],
+            });
+
+            // Update branch reference
+            await octokit.git.updateRef({
+                owner: target.owner,
+                repo: target.formRepo,
+                ref: `heads/${branchName}`,
+                sha: commit.sha,
+            });
+
+            context.log(`Committed files to ${branchName}`);
+
+            // Create PR from formsubmissions fork to main repo
+            // For same-org cross-repo PRs: head is bare branch name, head_repo is "owner/repo" (full path)
+            const { data: pr } = await octokit.pulls.create({
+                owner: target.owner,
+                repo: target.repo,
+                title: change.title,
+                body: change.description,
+                head: branchName,
+                head_repo: `${target.owner}/${target.formRepo}`,
+                base,
+                maintainer_can_modify: true,
+            });
+
+            context.log(`Created PR #${pr.number}: ${pr.html_url}`);
+            rollback.add(`close PR #${pr.number}`, async () => {
+                await octokit.pulls.update({
+                    owner: target.owner,
+                    repo: target.repo,
+                    pull_number: pr.number,
+                    state: "closed",
+                });
+                await octokit.issues.createComment({
+                    owner: target.owner,
+                    repo: target.repo,
+                    issue_number: pr.number,
+                    body: `Closed automatically: the submission could not be completed, so the candidate was asked to submit again.\n\n*Branch: \`${branchName}\`*`,
+                });
+            });
+
+            // Labels help reviewers filter the queue; the PR is still usable without them
+            try {
+                await octokit.issues.addLabels({
+                    owner: target.owner,
+                    repo: target.repo,
+                    issue_number: pr.number,
+                    labels: change.labels,
+                });
+            } catch (error) {
+                context.warn(`Could not label PR #${pr.number}, continuing:`, error);
+            }
+
+            return pr.html_url;
+        },
+
+        async isPublished(changeUrl) {
+            // Only PRs in the main repo count, whatever the stored URL says
+            const ref = parsePullRequestUrl(changeUrl);
+            if (!ref || ref.owner !== target.owner || ref.repo !== target.repo) return false;
+            const { data: pr } = await octokit.pulls.get({ owner: ref.owner, repo: ref.repo, pull_number: ref.number });
+            return !!pr.merged_at;
+        },
+    };
+}
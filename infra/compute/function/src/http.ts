@@ -0,0 +1,24 @@
+/**
+ * Shared HTTP helpers for the function app
+ */
+import { HttpRequest } from "@azure/functions";
+
+// CORS: allowed origins from env (comma-separated) or fallback to prod default
+const ALLOWED_ORIGINS: string[] = (
+    process.env.ALLOWED_ORIGINS || "https://www.democracycandidate.us"
+).split(",").map(o => o.trim()).filter(Boolean);
+
+/**
+ * Return CORS headers for a given request origin.
+ * Always returns the specific requesting origin (not wildcard) so credentials work.
+ */
+export function getCorsHeaders(request: HttpRequest, methods = "POST, OPTIONS", headers = "Content-Type"): Record<string, string> {
+    const origin = request.headers.get("origin") || "";
+    const allowedOrigin = ALLOWED_ORIGINS.includes(origin) ? origin : ALLOWED_ORIGINS[0];
+    return {
+        "Access-Control-Allow-Origin": allowedOrigin,
+        "Access-Control-Allow-Methods": methods,
+        "Access-Control-Allow-Headers": headers,
+        "Access-Control-Max-Age": "86400",
+    };
+}
@@ -0,0 +1,165 @@
+/**
+ * Idempotent submissions.
+ *
+ * The form sends a random idempotency key with each submission and reuses it when
+ * the user retries (for example after a timeout). The first request with a key claims
+ * it; a retry of a queued or completed submission gets the original result back
+ * instead of opening a second PR. A key whose submission failed and was rolled back
+ * can be claimed again.
+ */
+import { ContainerClient, RestError } from "@azure/storage-blob";
+import { createHash } from "crypto";
+import { CandidateSubmission } from "./types.js";
+
+// Records are stored next to the contact records (a lifecycle rule expires them)
+export const IDEMPOTENCY_PREFIX = "submissions";
+// A pending claim older than this belongs to a request that died without rolling back
+export const PENDING_TIMEOUT_MINUTES = 10;
+
+export interface SubmissionClaim {
+    // queued: stored and handed to the queue, which may still have failed to take it;
+    // processSubmission sets completed or failed once the PR is settled
+    state: "pending" | "queued" | "completed" | "failed";
+    requestHash: string;     // Which submission the key was first used for
+    updatedAt: string;
+    correlationId?: string;
+    pullRequestUrl?: string;
+}
+
+/**
+ * Claim records by hashed key. `etag` is null to create a record only if there is none,
+ * or the etag of the record being replaced; writes return false when that condition fails.
+ */
+export interface ClaimStore {
+    read(key: string): Promise<{ claim: SubmissionClaim; etag: string } | null>;
+    write(key: string, claim: SubmissionClaim, etag?: string | null): Promise<boolean>;
+}
+
+export type ClaimResult =
+    | { status: "claimed" }
+    | { status: "queued"; correlationId: string }
+    | { status: "completed"; correlationId: string; pullRequestUrl: string }
+    | { status: "in-progress" }
+    | { status: "reused" };
+
+// Left out of the fingerprint: single-use or per-attempt values, and the images, which a
+// retry stages again under new upload ids (the content still names every inline image)
+const UNHASHED_FIELDS = new Set<string>([
+    "turnstileToken", "idempotencyKey", "additionalImages",
+    "titleImage", "avatarImage", "titleImageId", "avatarImageId",
+    "titleImageWebp", "avatarImageWebp", "titleImageWebpId", "avatarImageWebpId",
+]);
+
+/**
+ * Fingerprint of what was submitted, the same for every retry of one submission
+ */
+export function submissionHash(submission: CandidateSubmission): string {
+    const fields = Object.entries(submission).filter(([key]) => !UNHASHED_FIELDS.has(key));
+    return createHash("sha256").update(JSON.stringify(fields)).digest("hex");
+}
+
+function keyHash(idempotencyKey: string): string {
+    return createHash("sha256").update(idempotencyKey).digest("hex");
+}
+
+/**
+ * Claim a key for a new attempt, or report what an earlier request with the key did.
+ * A queued or completed key used for a different submission is "reused", so a stale key
+ * cannot return someone else's result or swallow a new submission.
+ */
+export async function claimSubmission(
+    store: ClaimStore,
+    idempotencyKey: string,
+    requestHash: string,
+    now: Date = new Date()
+): Promise<ClaimResult> {
+    const key = keyHash(idempotencyKey);
+    const pending: SubmissionClaim = { state: "pending", requestHash, updatedAt: now.toISOString() };
+
+    const existing = await store.read(key);
+    if (!existing) {
+        // Another request may create the record first; it then owns the key
+        return (await store.write(key, pending, null)) ? { status: "claimed" } : { status: "in-progress" };
+    }
+
+    const { claim, etag } = existing;
+    if (claim.state === "completed" || claim.state === "queued") {
+        if (claim.requestHash !== requestHash) return { status: "reused" };
+        return claim.state === "queued"
+            ? { status: "queued", correlationId: claim.correlationId || "" }
+            : { status: "completed", correlationId: claim.correlationId || "", pullRequestUrl: claim.pullRequestUrl || "" };
+    }
+    const stale = new Date(claim.updatedAt).getTime() + PENDING_TIMEOUT_MINUTES * 60 * 1000 <= now.getTime();
+    if (claim.state === "pending" && !stale) return { status: "in-progress" };
+
+    return (await store.write(key, pending, etag)) ? { status: "claimed" } : { status: "in-progress" };
+}
+
+/**
+ * Record the outcome of a claimed attempt
+ */
+export async function finishSubmission(
+    store: ClaimStore,
+    idempotencyKey: string,
+    claim: Omit<SubmissionClaim, "updatedAt">,
+    now: Date = new Date()
+): Promise<void> {
+    await store.write(keyHash(idempotencyKey), { ...claim, updatedAt: now.toISOString() });
+}
+
+/**
+ * Claim store in the contacts container, using blob ETags so two requests cannot both claim a key
+ */
+export function createBlobClaimStore(containerClient: ContainerClient): ClaimStore {
+    const blobFor = (key: string) => containerClient.getBlockBlobClient(`${IDEMPOTENCY_PREFIX}/${key}.json`);
+    return {
+        async read(key) {
+            try {
+                // One download, so the etag belongs to the content that was read
+                const download = await blobFor(key).download();
+                const chunks: Buffer[] = [];
+                for await (const chunk of download.readableStreamBody || []) {
+                    chunks.push(Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk));
+                }
+                const claim = JSON.parse(Buffer.concat(chunks).toString("utf-8")) as SubmissionClaim;
+                return { claim, etag: download.etag || "" };
+            } catch (error) {
+                if (error instanceof RestError && error.statusCode === 404) return null;
+                throw error;
+            }
+        },
+        async write(key, claim, etag) {
+            const body = JSON.stringify(claim);
+            try {
+                await blobFor(key).upload(body, Buffer.byteLength(body), {
+                    blobHTTPHeaders: { blobContentType: "application/json" },
+                    conditions: etag === null ? { ifNoneMatch: "*" } : etag ? { ifMatch: etag } : undefined,
+                });
+                return true;
+            } catch (error) {
+                if (error instanceof RestError && (error.statusCode === 409 || error.statusCode === 412)) return false;
+                throw error;
+            }
+        },
+    };
+}
+
+/**
+ * In-process claim store for tests
+ */
+export function createMemoryClaimStore(): ClaimStore {
+    const claims = new Map<string, { claim: SubmissionClaim; etag: string }>();
+    let version = 0;
+    return {
+        async read(key) {
+            return claims.get(key) || null;
+        },
+        async write(key, claim, etag) {
+            const current = claims.get(key);
+            if (etag === null && current) return false;
+            if (etag && (!current || current.etag !== etag)) return false;
+            claims.set(key, { claim, etag: String(++version) });
+            return true;
+        },
+    };
+}
@@ -0,0 +1,515 @@
+/**
+ * Image verification for submitted photos.
+ *
+ * The browser checks type, size and shape before upload, but the payload is
+ * untrusted by the time it reaches the function. Everything here works on the
+ * decoded bytes: the file type comes from magic bytes (never the data URI or
+ * filename), dimensions come from the image header, and metadata segments
+ * (EXIF/GPS, XMP, IPTC, text chunks) are removed before anything is committed.
+ */
+import { CandidateSubmission } from "./types.js";
+import { sanitizeSvg } from "./svg.js";
+
+export type ImageType = "jpeg" | "png" | "gif" | "webp" | "svg";
+
+export interface ProcessedImage {
+    type: ImageType;
+    extension: string;       // File extension without dot, derived from the sniffed type
+    data: Buffer;            // Verified bytes with metadata stripped
+    width?: number;          // Display width (after EXIF orientation), undefined for SVG
+    height?: number;
+}
+
+// A verified image and, for JPEG/PNG/GIF, an optional WebP copy of it
+export type PreparedImage = ProcessedImage & { webp?: ProcessedImage };
+
+export interface PreparedImages {
+    avatar?: PreparedImage;
+    title?: PreparedImage;
+    inline: Array<PreparedImage & { path: string }>;
+}
+
+export const MAX_IMAGE_BYTES = 5 * 1024 * 1024;  // Matches the 5MB limit shown on the form
+export const MAX_IMAGE_DIMENSION = 10000;        // Guards against decompression bombs
+export const SQUARE_TOLERANCE_PX = 10;           // The form crops exactly; allows for photos cropped elsewhere
+export const WIDE_MIN_DIFFERENCE_PX = 100;
+
+const EXTENSIONS: Record<ImageType, string> = {
+    jpeg: "jpg",
+    png: "png",
+    gif: "gif",
+    webp: "webp",
+    svg: "svg",
+};
+
+const RASTER_TYPES: ImageType[] = ["jpeg", "png", "gif", "webp"];
+
+export type ImageKind = "avatar" | "title" | "inline";
+
+export interface ImageRules {
+    allowedTypes?: ImageType[];
+    requireSquare?: boolean;
+    requireWide?: boolean;
+}
+
+// Checks for each place an image can be used, shared by submissions and staged uploads
+export const IMAGE_RULES: Record<ImageKind, { label: string; rules: ImageRules }> = {
+    avatar: { label: "Main photo", rules: { requireSquare: true } },
+    title: { label: "Title photo", rules: { requireWide: true } },
+    inline: { label: "Inline image", rules: { allowedTypes: [...RASTER_TYPES, "svg"] } },
+};
+
+/**
+ * Decode a data URI or raw base64 string to bytes
+ */
+export function decodeBase64Image(input: string): Buffer {
+    return Buffer.from(input.replace(/^data:[^;,]*;base64,/, ""), "base64");
+}
+
+/**
+ * Identify the image type from its leading bytes
+ */
+export function sniffImageType(data: Buffer): ImageType | null {
+    if (data.length >= 3 && data[0] === 0xff && data[1] === 0xd8 && data[2] === 0xff) {
+        return "jpeg";
+    }
+    if (data.length >= 8 && data.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) {
+        return "png";
+    }
+    if (data.length >= 6 && ["GIF87a", "GIF89a"].includes(data.toString("ascii", 0, 6))) {
+        return "gif";
+    }
+    if (data.length >= 12 && data.toString("ascii", 0, 4) === "RIFF" && data.toString("ascii", 8, 12) === "WEBP") {
+        return "webp";
+    }
+    if (looksLikeSvg(data)) {
+        return "svg";
+    }
+    return null;
+}
+
+function looksLikeSvg(data: Buffer): boolean {
+    let head = data.toString("utf-8", 0, Math.min(data.length, 4096)).replace(/^\uFEFF/, "");
+    // Skip XML declaration, comments and doctype before the root element
+    head = head.replace(/^\s*(<\?xml[\s\S]*?\?>|<!--[\s\S]*?-->|<!DOCTYPE[^>]*>|\s)*/i, "");
+    return /^<svg[\s>]/i.test(head);
+}
+
+/**
+ * Read pixel dimensions from the image header, or null if the header is malformed
+ */
+export function readImageDimensions(data: Buffer, type: ImageType): { width: number; height: number } | null {
+    switch (type) {
+        case "png":
+            // IHDR is always the first chunk: width/height at bytes 16-23
+            if (data.length < 24 || data.toString("ascii", 12, 16) !== "IHDR") return null;
+            return { width: data.readUInt32BE(16), height: data.readUInt32BE(20) };
+        case "gif":
+            if (data.length < 10) return null;
+            return { width: data.readUInt16LE(6), height: data.readUInt16LE(8) };
+        case "jpeg":
+            return readJpegDimensions(data);
+        case "webp":
+            return readWebpDimensions(data);
+        default:
+            return null;
+    }
+}
+
+// ===== JPEG =====
+
+interface JpegSegment {
+    marker: number;
+    start: number;   // Offset of the 0xFF byte
+    end: number;     // Offset just past the segment
+}
+
+/**
+ * Walk JPEG marker segments up to (not including) the start of scan
+ */
+function readJpegSegments(data: Buffer): { segments: JpegSegment[]; scanStart: number } | null {
+    const segments: JpegSegment[] = [];
+    let offset = 2; // Skip SOI
+
+    while (offset + 4 <= data.length) {
+        if (data[offset] !== 0xff) return null;
+        const marker = data[offset + 1];
+        if (marker === 0xff) {
+            offset++; // Fill byte
+            continue;
+        }
+        if (marker === 0xda || marker === 0xd9) {
+            return { segments, scanStart: offset };
+        }
+        const length = data.readUInt16BE(offset + 2);
+        if (length < 2 || offset + 2 + length > data.length) return null;
+        segments.push({ marker, start: offset, end: offset + 2 + length });
+        offset += 2 + length;
+    }
+    return null;
+}
+
+const JPEG_SOF_MARKERS = [0xc0, 0xc1, 0xc2, 0xc3, 0xc5, 0xc6, 0xc7, 0xc9, 0xca, 0xcb, 0xcd, 0xce, 0xcf];
+
+function readJpegDimensions(data: Buffer): { width: number; height: number } | null {
+    const parsed = readJpegSegments(data);
+    if (!parsed) return null;
+    const sof = parsed.segments.find(s => JPEG_SOF_MARKERS.includes(s.marker));
+    if (!sof || sof.end - sof.start < 9) return null;
+    return { height: data.readUInt16BE(sof.start + 5), width: data.readUInt16BE(sof.start + 7) };
+}
+
+/**
+ * Read the EXIF Orientation tag (1-8) from an APP1 segment, if present
+ */
+function readExifOrientation(data: Buffer, segment: JpegSegment): number | undefined {
+    const payload = segment.start + 4;
+    if (data.toString("binary", payload, payload + 6) !== "Exif\0\0") return undefined;
+
+    const tiff = payload + 6;
+    if (tiff + 8 > segment.end) return undefined;
+    const order = data.toString("ascii", tiff, tiff + 2);
+    if (order !== "II" && order !== "MM") return undefined;
+    const le = order === "II";
+    const u16 = (o: number) => le ? data.readUInt16LE(o) : data.readUInt16BE(o);
+    const u32 = (o: number) => le ? data.readUInt32LE(o) : data.readUInt32BE(o);
+
+    const ifd = tiff + u32(tiff + 4);
+    if (ifd + 2 > segment.end) return undefined;
+    const count = u16(ifd);
+    for (let i = 0; i < count; i++) {
+        const entry = ifd + 2 + i * 12;
+        if (entry + 12 > segment.end) return undefined;
+        if (u16(entry) === 0x0112) {
+            const value = u16(entry + 8);
+            return value >= 1 && value <= 8 ? value : undefined;
+        }
+    }
+    return undefined;
+}
+
+/**
+ * Build a minimal APP1 segment that carries only the Orientation tag
+ */
+function buildOrientationSegment(orientation: number): Buffer {
+    const segment = Buffer.alloc(36);
+    segment.writeUInt16BE(0xffe1, 0);
+    segment.writeUInt16BE(34, 2);                 // Length excludes the marker
+    segment.write("Exif\0\0", 4, "binary");
+    segment.write("MM", 10, "ascii");             // Big-endian TIFF header
+    segment.writeUInt16BE(0x002a, 12);
+    segment.writeUInt32BE(8, 14);                 // IFD0 directly after header
+    segment.writeUInt16BE(1, 18);                 // One entry
+    segment.writeUInt16BE(0x0112, 20);            // Orientation
+    segment.writeUInt16BE(3, 22);                 // SHORT
+    segment.writeUInt32BE(1, 24);                 // Count
+    segment.writeUInt16BE(orientation, 28);
+    segment.writeUInt32BE(0, 32);                 // No next IFD
+    return segment;
+}
+
+// APP1 (EXIF/XMP), APP12 (Ducky), APP13 (IPTC/Photoshop) and COM carry metadata; APP0/APP2/APP14 are kept for rendering
+const JPEG_METADATA_MARKERS = [0xe1, 0xec, 0xed, 0xfe];
+
+function stripJpegMetadata(data: Buffer): { data: Buffer; orientation?: number } | null {
+    const parsed = readJpegSegments(data);
+    if (!parsed) return null;
+
+    let orientation: number | undefined;
+    const kept: Buffer[] = [data.subarray(0, 2)];
+    for (const segment of parsed.segments) {
+        if (JPEG_METADATA_MARKERS.includes(segment.marker)) {
+            if (segment.marker === 0xe1 && orientation === undefined) {
+                orientation = readExifOrientation(data, segment);
+            }
+            continue;
+        }
+        kept.push(data.subarray(segment.start, segment.end));
+    }
+
+    // Preserve rotation so phone photos do not appear sideways once EXIF is gone.
+    // JFIF requires APP0 directly after SOI, so the new APP1 goes after it when there is one.
+    if (orientation && orientation !== 1) {
+        const afterApp0 = parsed.segments[0]?.marker === 0xe0 ? 2 : 1;
+        kept.splice(afterApp0, 0, buildOrientationSegment(orientation));
+    }
+    kept.push(data.subarray(parsed.scanStart));
+    return { data: Buffer.concat(kept), orientation };
+}
+
+// ===== GIF =====
+
+// Application extensions that control animation; any other (e.g. XMP) is metadata
+const GIF_ANIMATION_APPLICATIONS = ["NETSCAPE2.0", "ANIMEXTS1.0"];
+
+/**
+ * Skip a chain of data sub-blocks starting at `offset`; returns the offset after the terminator, or -1
+ */
+function skipGifSubBlocks(data: Buffer, offset: number): number {
+    while (offset < data.length) {
+        const size = data[offset];
+        offset += 1 + size;
+        if (size === 0) return offset;
+    }
+    return -1;
+}
+
+function colorTableBytes(packed: number): number {
+    return packed & 0x80 ? 3 * (2 << (packed & 0x07)) : 0;
+}
+
+/**
+ * Remove comment and non-animation application extensions (XMP and the like)
+ */
+function stripGifMetadata(data: Buffer): Buffer | null {
+    if (data.length < 13) return null;
+    let offset = 13 + colorTableBytes(data[10]);
+    const kept: Buffer[] = [data.subarray(0, offset)];
+
+    while (offset < data.length) {
+        const start = offset;
+        const introducer = data[offset];
+        if (introducer === 0x3b) {
+            kept.push(data.subarray(offset, offset + 1));
+            return Buffer.concat(kept);
+        }
+
+        let drop = false;
+        if (introducer === 0x21) {
+            if (offset + 2 > data.length) return null;
+            const label = data[offset + 1];
+            if (label === 0xfe) {
+                drop = true;
+            } else if (label === 0xff) {
+                const identifier = data.toString("ascii", offset + 3, offset + 14);
+                drop = data[offset + 2] !== 11 || !GIF_ANIMATION_APPLICATIONS.includes(identifier);
+            }
+            offset = skipGifSubBlocks(data, offset + 2);
+        } else if (introducer === 0x2c) {
+            if (offset + 11 > data.length) return null;
+            offset += 10 + colorTableBytes(data[offset + 9]) + 1; // Descriptor, local color table, LZW code size
+            offset = skipGifSubBlocks(data, offset);
+        } else {
+            return null;
+        }
+        if (offset < 0 || offset > data.length) return null;
+        if (!drop) kept.push(data.subarray(start, offset));
+    }
+    return null; // No trailer
+}
+
+// ===== PNG =====
+
+const PNG_METADATA_CHUNKS = ["eXIf", "tEXt", "zTXt", "iTXt", "tIME"];
+
+function stripPngMetadata(data: Buffer): Buffer | null {
+    const kept: Buffer[] = [data.subarray(0, 8)];
+    let offset = 8;
+    while (offset + 12 <= data.length) {
+        const length = data.readUInt32BE(offset);
+        const type = data.toString("ascii", offset + 4, offset + 8);
+        const end = offset + 12 + length;
+        if (end > data.length) return null;
+        if (!PNG_METADATA_CHUNKS.includes(type)) {
+            kept.push(data.subarray(offset, end));
+        }
+        offset = end;
+        if (type === "IEND") return Buffer.concat(kept);
+    }
+    return null;
+}
+
+// ===== WebP =====
+
+function readWebpChunks(data: Buffer): Array<{ type: string; start: number; end: number }> | null {
+    const chunks: Array<{ type: string; start: number; end: number }> = [];
+    let offset = 12;
+    while (offset + 8 <= data.length) {
+        const type = data.toString("ascii", offset, offset + 4);
+        const size = data.readUInt32LE(offset + 4);
+        const end = offset + 8 + size + (size % 2); // Chunks are padded to even length
+        if (offset + 8 + size > data.length) return null;
+        chunks.push({ type, start: offset, end: Math.min(end, data.length) });
+        offset = end;
+    }
+    return chunks;
+}
+
+function readWebpDimensions(data: Buffer): { width: number; height: number } | null {
+    const chunks = readWebpChunks(data);
+    if (!chunks || chunks.length === 0) return null;
+    const chunk = chunks[0];
+    const body = chunk.start + 8;
+
+    if (chunk.type === "VP8X" && chunk.end - body >= 10) {
+        return { width: data.readUIntLE(body + 4, 3) + 1, height: data.readUIntLE(body + 7, 3) + 1 };
+    }
+    if (chunk.type === "VP8L" && chunk.end - body >= 5 && data[body] === 0x2f) {
+        const bits = data.readUInt32LE(body + 1);
+        return { width: (bits & 0x3fff) + 1, height: ((bits >> 14) & 0x3fff) + 1 };
+    }
+    if (chunk.type === "VP8 " && chunk.end - body >= 10
+        && data[body + 3] === 0x9d && data[body + 4] === 0x01 && data[body + 5] === 0x2a) {
+        return { width: data.readUInt16LE(body + 6) & 0x3fff, height: data.readUInt16LE(body + 8) & 0x3fff };
+    }
+    return null;
+}
+
+function stripWebpMetadata(data: Buffer): Buffer | null {
+    const chunks = readWebpChunks(data);
+    if (!chunks) return null;
+
+    const kept = chunks
+        .filter(c => c.type !== "EXIF" && c.type !== "XMP ")
+        .map(c => Buffer.from(data.subarray(c.start, c.end)));
+
+    // Clear the EXIF (0x08) and XMP (0x04) feature flags in the extended header
+    const vp8x = kept.find(c => c.toString("ascii", 0, 4) === "VP8X");
+    if (vp8x) vp8x[8] &= ~0x0c;
+
+    const body = Buffer.concat(kept);
+    const header = Buffer.alloc(12);
+    header.write("RIFF", 0, "ascii");
+    header.writeUInt32LE(body.length + 4, 4);
+    header.write("WEBP", 8, "ascii");
+    return Buffer.concat([header, body]);
+}
+
+// ===== Verification =====
+
+/**
+ * Verify an image payload and return cleaned bytes, or a list of problems.
+ * `label` is used as the subject of each error message (e.g. "Main photo").
+ */
+export function processImage(
+    input: string,
+    label: string,
+    options: ImageRules = {}
+): { image?: ProcessedImage; errors: string[] } {
+    const allowedTypes = options.allowedTypes || RASTER_TYPES;
+    const data = decodeBase64Image(input);
+
+    if (data.length === 0) {
+        return { errors: [`${label} is empty`] };
+    }
+    if (data.length > MAX_IMAGE_BYTES) {
+        return { errors: [`${label} must be under ${MAX_IMAGE_BYTES / (1024 * 1024)}MB`] };
+    }
+
+    const type = sniffImageType(data);
+    if (!type) {
+        return { errors: [`${label} is not a recognized image file`] };
+    }
+    if (!allowedTypes.includes(type)) {
+        const names = allowedTypes.map(t => t === "jpeg" ? "JPEG" : t === "webp" ? "WebP" : t.toUpperCase());
+        return { errors: [`${label} must be a ${names.slice(0, -1).join(", ")}${names.length > 1 ? " or " : ""}${names[names.length - 1]} image`] };
+    }
+
+    if (type === "svg") {
+        // SVG is served from our domain, so active content must be removed before commit
+        try {
+            const sanitized = Buffer.from(sanitizeSvg(data.toString("utf-8")), "utf-8");
+            return { image: { type, extension: EXTENSIONS.svg, data: sanitized }, errors: [] };
+        } catch {
+            return { errors: [`${label} is not a valid SVG image`] };
+        }
+    }
+
+    const dimensions = readImageDimensions(data, type);
+    if (!dimensions || dimensions.width === 0 || dimensions.height === 0) {
+        return { errors: [`${label} appears to be corrupt (could not read image dimensions)`] };
+    }
+    if (dimensions.width > MAX_IMAGE_DIMENSION || dimensions.height > MAX_IMAGE_DIMENSION) {
+        return { errors: [`${label} must be at most ${MAX_IMAGE_DIMENSION}px on each side`] };
+    }
+
+    let cleaned: Buffer | null = data;
+    let orientation: number | undefined;
+    if (type === "jpeg") {
+        const result = stripJpegMetadata(data);
+        cleaned = result?.data ?? null;
+        orientation = result?.orientation;
+    } else if (type === "png") {
+        cleaned = stripPngMetadata(data);
+    } else if (type === "webp") {
+        cleaned = stripWebpMetadata(data);
+    } else if (type === "gif") {
+        cleaned = stripGifMetadata(data);
+    }
+    if (!cleaned) {
+        return { errors: [`${label} appears to be corrupt (invalid ${type.toUpperCase()} structure)`] };
+    }
+
+    // Orientations 5-8 rotate by 90 degrees, so the displayed shape is transposed
+    const rotated = orientation !== undefined && orientation >= 5;
+    const width = rotated ? dimensions.height : dimensions.width;
+    const height = rotated ? dimensions.width : dimensions.height;
+
+    const errors: string[] = [];
+    if (options.requireSquare && Math.abs(width - height) > SQUARE_TOLERANCE_PX) {
+        errors.push(`${label} must be square (got ${width}x${height})`);
+    }
+    if (options.requireWide && width < height + WIDE_MIN_DIFFERENCE_PX) {
+        errors.push(`${label} must be a landscape image at least ${WIDE_MIN_DIFFERENCE_PX}px wider than tall (got ${width}x${height})`);
+    }
+    if (errors.length > 0) {
+        return { errors };
+    }
+
+    return { image: { type, extension: EXTENSIONS[type], data: cleaned, width, height }, errors: [] };
+}
+
+/**
+ * Verify an image and its optional WebP copy, which must be a WebP of the same size
+ */
+function prepareImage(
+    content: string,
+    webpContent: string | undefined,
+    label: string,
+    rules: ImageRules
+): { image?: PreparedImage; errors: string[] } {
+    const result = processImage(content, label, rules);
+    if (!result.image || !webpContent) return result;
+
+    // SVG and WebP images are served as they are
+    if (result.image.type === "svg" || result.image.type === "webp") {
+        return { errors: [`${label} WebP copy is only allowed for JPEG, PNG or GIF images`] };
+    }
+    const webp = processImage(webpContent, `${label} WebP copy`, { ...rules, allowedTypes: ["webp"] });
+    if (!webp.image) return webp;
+    if (webp.image.width !== result.image.width || webp.image.height !== result.image.height) {
+        return { errors: [`${label} WebP copy must be the same size as the image`] };
+    }
+    return { image: { ...result.image, webp: webp.image }, errors: [] };
+}
+
+/**
+ * Verify every image in a submission.
+ * Returns cleaned images ready to commit, or every problem found.
+ */
+export function prepareSubmissionImages(submission: CandidateSubmission): { images: PreparedImages; errors: string[] } {
+    const images: PreparedImages = { inline: [] };
+    const errors: string[] = [];
+
+    if (submission.avatarImage) {
+        const result = prepareImage(submission.avatarImage, submission.avatarImageWebp, IMAGE_RULES.avatar.label, IMAGE_RULES.avatar.rules);
+        images.avatar = result.image;
+        errors.push(...result.errors);
+    }
+
+    if (submission.titleImage) {
+        const result = prepareImage(submission.titleImage, submission.titleImageWebp, IMAGE_RULES.title.label, IMAGE_RULES.title.rules);
+        images.title = result.image;
+        errors.push(...result.errors);
+    }
+
+    (submission.additionalImages || []).forEach((img, index) => {
+        const result = prepareImage(img.content || "", img.webp, `${IMAGE_RULES.inline.label} ${index + 1}`, IMAGE_RULES.inline.rules);
+        if (result.image) {
+            images.inline.push({ ...result.image, path: img.path });
+        }
+        errors.push(...result.errors);
+    });
+
+    return { images, errors };
+}
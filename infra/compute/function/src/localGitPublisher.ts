@@ -0,0 +1,107 @@
+/**
+ * Local git publisher: writes the profile folder into a working copy of the site repo and commits it
+ * on the checked-out branch, so `hugo server` shows a submission the moment it is processed.
+ * Meant for local development; there is no review step, the commit is the change.
+ */
+import { execFile } from "child_process";
+import { mkdir, readFile, readdir, rm, writeFile } from "fs/promises";
+import { dirname, join, resolve, sep } from "path";
+import { pathToFileURL } from "url";
+import { promisify } from "util";
+import type { ContentPublisher } from "./publisher.js";
+import { CONTENT_ROOT } from "./profiles.js";
+
+const execFileAsync = promisify(execFile);
+
+function isMissing(error: unknown): boolean {
+    return (error as NodeJS.ErrnoException).code === "ENOENT";
+}
+
+export function createLocalGitPublisher(repoDir: string): ContentPublisher {
+    const root = resolve(repoDir);
+    const git = (...args: string[]) => execFileAsync("git", ["-C", root, ...args]);
+    // Content paths come from the submission; keep every write inside the working copy
+    const inRepo = (path: string) => {
+        const full = resolve(root, path);
+        if (!full.startsWith(root + sep)) throw new Error(`Refusing to write outside the repo: ${path}`);
+        return full;
+    };
+    const fileUrl = (path: string) => pathToFileURL(join(root, path)).href;
+
+    return {
+        async fetchProfileMarkdown(profilePath) {
+            try {
+                return await readFile(inRepo(`${CONTENT_ROOT}/${profilePath}/index.md`), "utf-8");
+            } catch (error) {
+                if (isMissing(error)) return null;
+                throw error;
+            }
+        },
+
+        async listProfileFiles(profilePath) {
+            try {
+                const entries = await readdir(inRepo(`${CONTENT_ROOT}/${profilePath}`), { withFileTypes: true });
+                return entries.filter(entry => entry.isFile()).map(entry => entry.name);
+            } catch (error) {
+                if (isMissing(error)) return [];
+                throw error;
+            }
+        },
+
+        async findPossibleDuplicates(slug, year) {
+            const existingProfiles: Array<{ path: string; url: string }> = [];
+            for (const path of [`${CONTENT_ROOT}/candidates/${year}/${slug}`, `${CONTENT_ROOT}/candidates/${slug}`]) {
+                try {
+                    await readFile(inRepo(`${path}/index.md`));
+                    existingProfiles.push({ path, url: fileUrl(path) });
+                } catch (error) {
+                    if (!isMissing(error)) throw error;
+                }
+            }
+            // Changes are committed straight away, so nothing is ever waiting for review
+            return { existingProfiles, openPullRequests: [] };
+        },
+
+        fileUrl(_branchName, path) {
+            return fileUrl(path);
+        },
+
+        async publish(change, rollback, context) {
+            const paths: string[] = [];
+            for (const file of change.files) {
+                const full = inRepo(file.path);
+                if (file.content === null) {
+                    // Deleting a file that is not there leaves nothing to commit for it
+                    try {
+                        await rm(full);
+                    } catch (error) {
+                        if (isMissing(error)) continue;
+                        throw error;
+                    }
+                } else {
+                    await mkdir(dirname(full), { recursive: true });
+                    await writeFile(full, Buffer.from(file.content, file.encoding === "base64" ? "base64" : "utf-8"));
+                }
+                paths.push(file.path);
+            }
+
+            // Commit only the profile's files, whatever else is staged in the working copy
+            await git("add", "--all", "--", ...paths);
+            await git("commit", "--quiet", "-m", change.title, "-m", change.description, "--", ...paths);
+            const { stdout } = await git("rev-parse", "HEAD");
+            const sha = stdout.trim();
+
+            context.log(`Committed ${change.title} to ${root} as ${sha.slice(0, 7)}`);
+            rollback.add(`revert commit ${sha.slice(0, 7)}`, async () => {
+                await git("revert", "--no-edit", sha);
+            });
+
+            return fileUrl(change.candidatePath);
+        },
+
+        async isPublished(changeUrl) {
+            // The commit is the change, so anything published into this working copy is live
+            return changeUrl.startsWith(pathToFileURL(root).href + "/");
+        },
+    };
+}
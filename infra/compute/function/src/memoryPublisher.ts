@@ -0,0 +1,61 @@
+/**
+ * In-memory publisher, for tests and local development without a working copy of the site repo
+ */
+import type { ContentChange, ContentPublisher } from "./publisher.js";
+import { CONTENT_ROOT } from "./profiles.js";
+
+export interface MemoryPublisher extends ContentPublisher {
+    files: Map<string, string>;                        // Published files by repo path
+    changes: Array<ContentChange & { url: string }>;   // Changes under review, oldest first
+}
+
+export function createMemoryPublisher(files: Record<string, string> = {}): MemoryPublisher {
+    const publisher: MemoryPublisher = {
+        files: new Map(Object.entries(files)),
+        changes: [],
+
+        async fetchProfileMarkdown(profilePath) {
+            return publisher.files.get(`${CONTENT_ROOT}/${profilePath}/index.md`) ?? null;
+        },
+
+        async listProfileFiles(profilePath) {
+            const folder = `${CONTENT_ROOT}/${profilePath}/`;
+            return [...publisher.files.keys()]
+                .filter(path => path.startsWith(folder) && !path.slice(folder.length).includes("/"))
+                .map(path => path.slice(folder.length));
+        },
+
+        async findPossibleDuplicates(slug, year) {
+            const candidatePath = `${CONTENT_ROOT}/candidates/${year}/${slug}`;
+            return {
+                existingProfiles: [candidatePath, `${CONTENT_ROOT}/candidates/${slug}`]
+                    .filter(path => publisher.files.has(`${path}/index.md`))
+                    .map(path => ({ path, url: `memory://${path}` })),
+                openPullRequests: publisher.changes
+                    .map((change, index) => ({ change, number: index + 1 }))
+                    .filter(({ change }) => change.files.some(file => file.path.startsWith(`${candidatePath}/`)))
+                    .map(({ change, number }) => ({ number, url: change.url, title: change.title })),
+            };
+        },
+
+        fileUrl(branchName, path) {
+            return `memory://${branchName}/${path}`;
+        },
+
+        async publish(change, rollback, context) {
+            const published = { ...change, url: `memory://changes/${change.branchName}` };
+            publisher.changes.push(published);
+            rollback.add(`discard change ${change.branchName}`, async () => {
+                publisher.changes.splice(publisher.changes.indexOf(published), 1);
+            });
+            context.log(`Published ${change.title} in memory (${change.files.length} files)`);
+            return published.url;
+        },
+
+        async isPublished(changeUrl) {
+            // Nothing reviews changes in memory, so each one counts as published
+            return publisher.changes.some(change => change.url === changeUrl);
+        },
+    };
+    return publisher;
+}
@@ -0,0 +1,70 @@
+/**
+ * Pledge version verification for submissions
+ */
+import { Octokit } from "@octokit/rest";
+import { createHash } from "crypto";
+import { parseMarkdownDocument } from "./frontmatter.js";
+import { CONTENT_ROOT } from "./profiles.js";
+
+// The current pledge; older versions are archived as pages/pledge-<version>.md
+export const PLEDGE_PATH = `${CONTENT_ROOT}/pledge.md`;
+
+// Pledge edits are rare, so the current version is cached per function instance
+const PLEDGE_CACHE_MS = 10 * 60 * 1000;
+
+export interface PledgeInfo {
+    version: string;
+    hash: string;
+}
+
+let cachedPledge: { pledge: PledgeInfo; fetchedAt: number } | null = null;
+
+/**
+ * SHA-256 of the pledge markdown body.
+ * Must match the contribute page, which hashes `.RawContent | strings.TrimSpace`.
+ */
+export function hashPledgeText(text: string): string {
+    return createHash("sha256").update(text.trim()).digest("hex");
+}
+
+/**
+ * Read the version and text hash from the pledge page's markdown
+ */
+export function parsePledgeDocument(markdown: string): PledgeInfo {
+    const { data, body } = parseMarkdownDocument(markdown);
+    if (data.pledge_version === undefined || data.pledge_version === null || data.pledge_version === "") {
+        throw new Error("Pledge page has no pledge_version");
+    }
+    return { version: String(data.pledge_version), hash: hashPledgeText(body) };
+}
+
+/**
+ * Fetch the current pledge from the main repo's default branch
+ */
+export async function fetchCurrentPledge(octokit: Octokit, options: { owner: string; repo: string }): Promise<PledgeInfo> {
+    if (cachedPledge && Date.now() - cachedPledge.fetchedAt < PLEDGE_CACHE_MS) {
+        return cachedPledge.pledge;
+    }
+
+    const { data } = await octokit.repos.getContent({ owner: options.owner, repo: options.repo, path: PLEDGE_PATH });
+    if (Array.isArray(data) || data.type !== "file" || !("content" in data)) {
+        throw new Error(`${PLEDGE_PATH} is not a file`);
+    }
+
+    const pledge = parsePledgeDocument(Buffer.from(data.content, "base64").toString("utf-8"));
+    cachedPledge = { pledge, fetchedAt: Date.now() };
+    return pledge;
+}
+
+/**
+ * Compare the pledge the submitter saw with the current one
+ */
+export function verifyPledge(submitted: PledgeInfo, current: PledgeInfo): string[] {
+    if (submitted.version !== current.version) {
+        return [`The pledge has been updated to version ${current.version}. Please reload the page and review the current pledge.`];
+    }
+    if (submitted.hash !== current.hash) {
+        return ["The pledge text has changed since this page was loaded. Please reload the page and review the current pledge."];
+    }
+    return [];
+}
@@ -0,0 +1,66 @@
+/**
+ * Candidate profile locations in the site repo
+ */
+import { Octokit } from "@octokit/rest";
+import { CandidateSubmission } from "./types.js";
+
+// Hugo content root; profile paths are relative to it (e.g. "candidates/2026/jane-doe")
+export const CONTENT_ROOT = "src/content/english";
+
+/**
+ * URL slug for a candidate name, used for folder and branch names
+ */
+export function candidateSlug(name: string): string {
+    return name.toLowerCase().replace(/\s+/g, "-").replace(/[^a-z0-9-]/g, "");
+}
+
+/**
+ * Profile path a new submission is published under
+ */
+export function newProfilePath(submission: CandidateSubmission): string {
+    const year = submission.electionDate.split('-')[0];
+    return `candidates/${year}/${candidateSlug(submission.candidate)}`;
+}
+
+/**
+ * Read a published profile's index.md from the main repo, or null if it does not exist
+ */
+export async function fetchProfileMarkdown(
+    octokit: Octokit,
+    options: { owner: string; repo: string; ref?: string; profilePath: string }
+): Promise<string | null> {
+    try {
+        const { data } = await octokit.repos.getContent({
+            owner: options.owner,
+            repo: options.repo,
+            path: `${CONTENT_ROOT}/${options.profilePath}/index.md`,
+            ref: options.ref,
+        });
+        if (Array.isArray(data) || data.type !== "file" || !("content" in data)) return null;
+        return Buffer.from(data.content, "base64").toString("utf-8");
+    } catch (error) {
+        if ((error as { status?: number }).status === 404) return null;
+        throw error;
+    }
+}
+
+/**
+ * Names of the files in a profile folder, or an empty list if the folder does not exist
+ */
+export async function listProfileFiles(
+    octokit: Octokit,
+    options: { owner: string; repo: string; ref?: string; profilePath: string }
+): Promise<string[]> {
+    try {
+        const { data } = await octokit.repos.getContent({
+            owner: options.owner,
+            repo: options.repo,
+            path: `${CONTENT_ROOT}/${options.profilePath}`,
+            ref: options.ref,
+        });
+        return Array.isArray(data) ? data.filter(entry => entry.type === "file").map(entry => entry.name) : [];
+    } catch (error) {
+        if ((error as { status?: number }).status === 404) return [];
+        throw error;
+    }
+}
@@ -0,0 +1,95 @@
+/**
+ * Content publishing backends.
+ *
+ * createCandidatePR builds a profile change (files, title, review description) and hands it
+ * to a ContentPublisher, which puts it up for review: a pull request on GitHub, a commit in a
+ * local working copy, or a list in memory. Reading published profiles goes through the same
+ * publisher, so local development exercises the whole content path without GitHub.
+ */
+import { InvocationContext } from "@azure/functions";
+import { DuplicateCheckResult } from "./duplicates.js";
+import { Rollback } from "./rollback.js";
+import { GITHUB_FORM_REPO_NAME, GITHUB_PRIVATE_KEY_SAFE, GITHUB_REPO_NAME, GITHUB_REPO_OWNER, getOctokit } from "./github.js";
+import { createGitHubPublisher } from "./githubPublisher.js";
+import { createLocalGitPublisher } from "./localGitPublisher.js";
+import { MemoryPublisher, createMemoryPublisher } from "./memoryPublisher.js";
+
+const IS_LOCAL_DEV = process.env.IS_LOCAL_DEV === "true";
+// "github", "local-git" or "memory"; unset means GitHub, or a local backend in local dev without GitHub credentials
+const CONTENT_PUBLISHER = process.env.CONTENT_PUBLISHER || "";
+// Working copy of the site repo that the local-git publisher commits to
+const LOCAL_CONTENT_REPO = process.env.LOCAL_CONTENT_REPO || "";
+
+export interface ContentFile {
+    path: string;            // Path in the site repo, e.g. "src/content/english/candidates/2026/jane-doe/index.md"
+    content: string | null;  // null deletes the file
+    encoding?: "base64" | "utf-8";  // Default utf-8
+}
+
+export interface ContentChange {
+    branchName: string;
+    candidatePath: string;   // Profile folder in the site repo
+    title: string;           // Commit message and review title
+    description: string;     // Review description (markdown)
+    labels: string[];
+    files: ContentFile[];
+}
+
+export interface ContentPublisher {
+    /** index.md of a published profile (path relative to the content root), or null if there is none */
+    fetchProfileMarkdown(profilePath: string): Promise<string | null>;
+    /** Names of the files in a profile folder of the tree changes are based on; empty if it does not exist */
+    listProfileFiles(profilePath: string): Promise<string[]>;
+    /** Published profiles and changes under review for the same candidate */
+    findPossibleDuplicates(slug: string, year: string): Promise<DuplicateCheckResult>;
+    /** URL a file of a change can be viewed at, for thumbnails in the review description */
+    fileUrl(branchName: string, path: string): string;
+    /**
+     * Put a change up for review and return its URL. Each step that leaves something behind
+     * registers its undo action with `rollback` as soon as it has succeeded.
+     */
+    publish(change: ContentChange, rollback: Rollback, context: InvocationContext): Promise<string>;
+    /** Whether a change returned by publish has been accepted into the site (a merged PR) */
+    isPublished(changeUrl: string): Promise<boolean>;
+}
+
+// One in-memory store per process, so profiles "published" locally can be found again
+let memoryPublisher: MemoryPublisher | null = null;
+
+function publisherKind(): string {
+    if (CONTENT_PUBLISHER) return CONTENT_PUBLISHER;
+    if (IS_LOCAL_DEV && !GITHUB_PRIVATE_KEY_SAFE) return LOCAL_CONTENT_REPO ? "local-git" : "memory";
+    return "github";
+}
+
+/**
+ * Whether the configured publisher can be used (GitHub needs the app's private key)
+ */
+export function isPublisherConfigured(): boolean {
+    const kind = publisherKind();
+    if (kind === "github") return !!GITHUB_PRIVATE_KEY_SAFE;
+    if (kind === "local-git") return !!LOCAL_CONTENT_REPO;
+    return kind === "memory";
+}
+
+/**
+ * The publisher selected by CONTENT_PUBLISHER, created for one submission or request
+ */
+export async function getContentPublisher(): Promise<ContentPublisher> {
+    const kind = publisherKind();
+    switch (kind) {
+        case "github":
+            return createGitHubPublisher(await getOctokit(), {
+                owner: GITHUB_REPO_OWNER,
+                repo: GITHUB_REPO_NAME,
+                formRepo: GITHUB_FORM_REPO_NAME,
+            });
+        case "local-git":
+            if (!LOCAL_CONTENT_REPO) throw new Error("LOCAL_CONTENT_REPO must be set to use the local-git publisher");
+            return createLocalGitPublisher(LOCAL_CONTENT_REPO);
+        case "memory":
+            return memoryPublisher ||= createMemoryPublisher();
+        default:
+            throw new Error(`Unknown CONTENT_PUBLISHER "${kind}"`);
+    }
+}
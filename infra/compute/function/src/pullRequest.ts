@@ -0,0 +1,238 @@
+/**
+ * Profile changes for form submissions: the files, title and review description of the
+ * pull request, published through a ContentPublisher
+ */
+import { InvocationContext } from "@azure/functions";
+import { CandidateSubmission } from "./types.js";
+import { generateFrontmatter, parseMarkdownDocument, updateFrontmatter } from "./frontmatter.js";
+import { composeBiography } from "./biography.js";
+import { PreparedImage, PreparedImages } from "./images.js";
+import { DuplicateCheckResult, hasPossibleDuplicates } from "./duplicates.js";
+import { formatReviewBody, reviewLabels } from "./review.js";
+import { CONTENT_ROOT, candidateSlug, newProfilePath } from "./profiles.js";
+import { ContentFile, ContentPublisher } from "./publisher.js";
+import { Rollback } from "./rollback.js";
+
+/**
+ * Normalize filename: lowercase, replace spaces/special chars with dashes
+ */
+function normalizeFilename(filename: string): string {
+    // Extract extension
+    const lastDot = filename.lastIndexOf('.');
+    const name = lastDot > 0 ? filename.substring(0, lastDot) : filename;
+    const ext = lastDot > 0 ? filename.substring(lastDot) : '';
+    
+    // Normalize name: lowercase, replace non-alphanumeric with dashes, remove duplicate dashes
+    const normalized = name
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, ''); // Remove leading/trailing dashes
+    
+    return normalized + ext.toLowerCase();
+}
+
+/**
+ * Update markdown content to use normalized image paths
+ */
+function normalizeMarkdownImagePaths(content: string, imageMap: Map<string, string>): string {
+    let updated = content;
+    
+    // Replace image references: ![alt](oldpath) -> ![alt](normalizedpath)
+    imageMap.forEach((normalizedPath, originalPath) => {
+        // Match various markdown image syntaxes
+        const patterns = [
+            new RegExp(`!\\[([^\\]]*)\\]\\(${escapeRegex(originalPath)}\\)`, 'g'),
+            new RegExp(`!\\[([^\\]]*)\\]\\(\\.\\/\\.\\.\\/\\.\\.\\/assets\\/images\\/${escapeRegex(originalPath)}\\)`, 'g'),
+            new RegExp(`!\\[([^\\]]*)\\]\\(images\\/${escapeRegex(originalPath)}\\)`, 'g'),
+        ];
+        
+        patterns.forEach(pattern => {
+            updated = updated.replace(pattern, `![$1](${normalizedPath})`);
+        });
+    });
+    
+    return updated;
+}
+
+/**
+ * Replace a filename's extension (or add one) so it matches the verified image type
+ */
+function withExtension(filename: string, extension: string): string {
+    const lastDot = filename.lastIndexOf('.');
+    const name = lastDot > 0 ? filename.substring(0, lastDot) : filename;
+    return `${name}.${extension}`;
+}
+
+function escapeRegex(str: string): string {
+    return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Build the profile change for a submission and publish it for review.
+ * When `existingMarkdown` is given the change updates the profile at `submission.existingProfilePath`.
+ * `pledgeVerified` says whether submitCandidate checked the pledge, for the review checklist.
+ * The publisher registers its undo actions with `rollback` as soon as they exist,
+ * so the caller can remove them if this or any later step fails.
+ */
+export async function createCandidatePR(
+    publisher: ContentPublisher,
+    submission: CandidateSubmission,
+    images: PreparedImages,
+    correlationId: string,
+    context: InvocationContext,
+    rollback: Rollback,
+    existingMarkdown?: string,
+    pledgeVerified = true
+): Promise<string> {
+    const isUpdate = existingMarkdown !== undefined && !!submission.existingProfilePath;
+    const profilePath = isUpdate ? submission.existingProfilePath! : newProfilePath(submission);
+    const slug = isUpdate ? profilePath.split('/').pop()! : candidateSlug(submission.candidate);
+    const branchName = isUpdate
+        ? `form-update-${slug}-${correlationId.slice(0, 8)}`
+        : `form-${slug}-${correlationId.slice(0, 8)}`;
+
+    // Extract year from election date for folder structure
+    const year = submission.electionDate.split('-')[0];
+    const candidatePath = `${CONTENT_ROOT}/${profilePath}`;
+
+    // Flag (but do not block) submissions that collide with a published profile or one under review.
+    // Null means the search failed, which the PR's checklist points out.
+    let duplicates: DuplicateCheckResult | null = { existingProfiles: [], openPullRequests: [] };
+    // Updates target a known profile, so only new submissions are checked
+    if (!isUpdate) {
+        try {
+            duplicates = await publisher.findPossibleDuplicates(slug, year);
+            if (hasPossibleDuplicates(duplicates)) {
+                context.warn(`Possible duplicate submission for ${candidatePath}`);
+            }
+        } catch (error) {
+            context.warn(`Duplicate check failed for ${candidatePath}, continuing:`, error);
+            duplicates = null;
+        }
+    }
+
+    // Prepare files to commit (null content deletes the file)
+    const files: ContentFile[] = [];
+    const imageMap = new Map<string, string>(); // Track original -> normalized paths for markdown updates
+
+    // Updates keep the current photos unless new ones were uploaded
+    const existing = isUpdate ? parseMarkdownDocument(existingMarkdown!).data : {};
+    const existingAvatar = typeof existing.avatar === "string" ? existing.avatar : undefined;
+    const existingImage = typeof existing.image === "string" ? existing.image : undefined;
+
+    // Commit an image, plus its WebP copy under the same name with a .webp extension
+    // (the candidates render hooks look for that sibling to serve WebP with the original as fallback)
+    const addImage = (filename: string, img: PreparedImage) => {
+        if (img.type === 'svg') {
+            // SVG files: commit as UTF-8 text
+            files.push({
+                path: `${candidatePath}/${filename}`,
+                content: img.data.toString('utf-8'),
+                // No encoding = text file
+            });
+        } else {
+            // Binary images (PNG, JPG, etc.): keep as base64
+            files.push({
+                path: `${candidatePath}/${filename}`,
+                content: img.data.toString('base64'),
+                encoding: 'base64',
+            });
+        }
+        if (img.webp) {
+            files.push({
+                path: `${candidatePath}/${withExtension(filename, 'webp')}`,
+                content: img.webp.data.toString('base64'),
+                encoding: 'base64',
+            });
+        }
+    };
+
+    // Avatar image (extension comes from the verified file type, not the data URI)
+    let avatarFilename = existingAvatar || undefined;
+    if (images.avatar) {
+        avatarFilename = normalizeFilename(`${slug}-avatar.${images.avatar.extension}`);
+        addImage(avatarFilename, images.avatar);
+    }
+
+    // Title image
+    let imageFilename = existingImage || undefined;
+    if (images.title) {
+        imageFilename = normalizeFilename(`${slug}-title.${images.title.extension}`);
+        addImage(imageFilename, images.title);
+    }
+
+    // Process inline images with normalization
+    images.inline.forEach(img => {
+        // Extract just the filename from the path
+        const originalFilename = img.path.split('/').pop() || img.path;
+        const normalizedFilename = normalizeFilename(withExtension(originalFilename, img.extension));
+
+        // Track the mapping for markdown content updates
+        imageMap.set(originalFilename, normalizedFilename);
+        imageMap.set(img.path, normalizedFilename); // Also map full path
+
+        addImage(normalizedFilename, img);
+    });
+
+    // Remove photos that were replaced by a file with a different name (e.g. .png -> .jpg)
+    for (const [previous, current] of [[existingAvatar, avatarFilename], [existingImage, imageFilename]]) {
+        if (previous && previous !== current && !previous.includes('/')) {
+            files.push({ path: `${candidatePath}/${previous}`, content: null });
+        }
+    }
+
+    // A replaced photo's old WebP copy would otherwise keep being served in place of the new photo
+    const replaced = [
+        { previous: existingAvatar, current: avatarFilename, image: images.avatar },
+        { previous: existingImage, current: imageFilename, image: images.title },
+    ].filter(photo => photo.previous && photo.image && !photo.previous.includes('/'));
+    if (replaced.length > 0) {
+        const existingFiles = await publisher.listProfileFiles(profilePath);
+        for (const { previous, current, image } of replaced) {
+            const staleWebp = withExtension(previous!, 'webp');
+            const newWebp = image!.webp ? withExtension(current!, 'webp') : undefined;
+            if (staleWebp !== previous && staleWebp !== newWebp && existingFiles.includes(staleWebp)) {
+                files.push({ path: `${candidatePath}/${staleWebp}`, content: null });
+            }
+        }
+    }
+
+    // Update markdown content with normalized image paths
+    const normalizedContent = normalizeMarkdownImagePaths(submission.content || "", imageMap);
+
+    // Generate and add index.md: the structured sections, then the normalized free-form content
+    const page = { ...submission, content: composeBiography(submission, normalizedContent) };
+    const frontmatter = isUpdate
+        ? updateFrontmatter(existingMarkdown!, page, avatarFilename, imageFilename)
+        : generateFrontmatter(page, avatarFilename, imageFilename);
+    files.push({
+        path: `${candidatePath}/index.md`,
+        content: frontmatter,
+        // No encoding specified = UTF-8 text (default)
+    });
+
+    const action = isUpdate ? "Update" : "Add";
+
+    return publisher.publish({
+        branchName,
+        candidatePath,
+        title: `${action} Candidate ${submission.candidate}`,
+        description: formatReviewBody({
+            submission,
+            isUpdate,
+            candidatePath,
+            correlationId,
+            frontmatter: parseMarkdownDocument(frontmatter).data,
+            body: page.content,
+            images,
+            avatarFilename,
+            imageFilename,
+            // Thumbnails load from the change itself, since the files are not published yet
+            rawBaseUrl: publisher.fileUrl(branchName, candidatePath),
+            duplicates,
+            pledgeVerified,
+        }),
+        labels: reviewLabels(submission, { isUpdate, duplicates }),
+        files,
+    }, rollback, context);
+}
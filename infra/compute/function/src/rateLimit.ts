@@ -0,0 +1,157 @@
+/**
+ * Fixed-window rate limiting backed by blob storage
+ */
+import { ContainerClient, RestError } from "@azure/storage-blob";
+import { createHash } from "crypto";
+
+export interface RateLimitRule {
+    scope: string;           // Counter namespace, e.g. "ip" or "email"
+    limit: number;           // Requests allowed per window; 0 disables the rule
+    windowSeconds: number;
+}
+
+export interface RateLimitResult {
+    allowed: boolean;
+    scope?: string;          // First rule that was exceeded
+    retryAfterSeconds?: number;
+}
+
+/**
+ * Atomic counter storage, keyed by rule scope, hashed subject and window
+ */
+export interface CounterStore {
+    increment(key: string): Promise<number>;
+}
+
+// Counters live next to the contact records under this prefix (a lifecycle rule expires them)
+export const RATE_LIMIT_PREFIX = "ratelimits";
+
+const MAX_CONFLICT_RETRIES = 10;
+
+/**
+ * Read a limit from the environment, falling back to a default for unset or invalid values
+ */
+export function limitFromEnv(name: string, fallback: number): number {
+    const value = parseInt(process.env[name] || "", 10);
+    return Number.isFinite(value) && value >= 0 ? value : fallback;
+}
+
+// Defaults can be overridden per environment; 0 disables a limit
+export const RATE_LIMITS = {
+    ip: { scope: "ip", limit: limitFromEnv("RATE_LIMIT_IP_PER_HOUR", 5), windowSeconds: 60 * 60 },
+    email: { scope: "email", limit: limitFromEnv("RATE_LIMIT_EMAIL_PER_DAY", 5), windowSeconds: 24 * 60 * 60 },
+    pullRequests: { scope: "pull-requests", limit: limitFromEnv("RATE_LIMIT_DAILY_PULL_REQUESTS", 50), windowSeconds: 24 * 60 * 60 },
+    drafts: { scope: "draft", limit: limitFromEnv("RATE_LIMIT_DRAFTS_PER_HOUR", 30), windowSeconds: 60 * 60 },
+    // One per staged image: a profile can have a photo, a title image and 20 inline images
+    uploads: { scope: "upload", limit: limitFromEnv("RATE_LIMIT_UPLOADS_PER_HOUR", 100), windowSeconds: 60 * 60 },
+    // The success page polls every 30 seconds, and every 5 while a submission is queued
+    status: { scope: "status", limit: limitFromEnv("RATE_LIMIT_STATUS_PER_HOUR", 300), windowSeconds: 60 * 60 },
+} satisfies Record<string, RateLimitRule>;
+
+/**
+ * Client IP from the X-Forwarded-For header, without the port. The App Service front end
+ * appends the address it received the request from, so only the last entry can be trusted;
+ * anything before it was sent by the client.
+ */
+export function getClientIp(forwardedFor: string | null): string {
+    const last = (forwardedFor || "").split(",").pop()!.trim();
+    if (!last) return "unknown";
+    const bracketed = last.match(/^\[([^\]]+)\](?::\d+)?$/);
+    if (bracketed) return bracketed[1];
+    const ipv4WithPort = last.match(/^(\d{1,3}(?:\.\d{1,3}){3}):\d+$/);
+    return ipv4WithPort ? ipv4WithPort[1] : last;
+}
+
+/**
+ * Count one request against each rule and report the first one exceeded.
+ * Subjects are hashed so IPs and emails never appear in blob names.
+ * Every rule is counted even after one trips, so a blocked client keeps using up its quota.
+ */
+export async function checkRateLimits(
+    store: CounterStore,
+    checks: Array<{ rule: RateLimitRule; subject: string }>,
+    now: Date = new Date()
+): Promise<RateLimitResult> {
+    let exceeded: RateLimitResult = { allowed: true };
+
+    for (const { rule, subject } of checks) {
+        if (rule.limit <= 0) continue;
+
+        const windowMs = rule.windowSeconds * 1000;
+        const windowStart = Math.floor(now.getTime() / windowMs) * windowMs;
+        const hash = createHash("sha256").update(subject.trim().toLowerCase()).digest("hex");
+        const count = await store.increment(`${rule.scope}/${hash}/${windowStart}`);
+
+        if (count > rule.limit && exceeded.allowed) {
+            exceeded = {
+                allowed: false,
+                scope: rule.scope,
+                retryAfterSeconds: Math.max(1, Math.ceil((windowStart + windowMs - now.getTime()) / 1000)),
+            };
+        }
+    }
+
+    return exceeded;
+}
+
+/**
+ * Counter store using blob ETags for optimistic concurrency, so concurrent
+ * function instances never lose an increment.
+ */
+export function createBlobCounterStore(containerClient: ContainerClient): CounterStore {
+    return {
+        async increment(key: string): Promise<number> {
+            const blobClient = containerClient.getBlockBlobClient(`${RATE_LIMIT_PREFIX}/${key}.json`);
+
+            for (let attempt = 0; attempt < MAX_CONFLICT_RETRIES; attempt++) {
+                let count = 0;
+                let etag: string | undefined;
+                try {
+                    const download = await blobClient.download();
+                    etag = download.etag;
+                    count = (JSON.parse(await streamToString(download.readableStreamBody)) as { count: number }).count;
+                } catch (error) {
+                    if (!(error instanceof RestError && error.statusCode === 404)) throw error;
+                }
+
+                const body = JSON.stringify({ count: count + 1 });
+                try {
+                    await blobClient.upload(body, Buffer.byteLength(body), {
+                        blobHTTPHeaders: { blobContentType: "application/json" },
+                        conditions: etag ? { ifMatch: etag } : { ifNoneMatch: "*" },
+                    });
+                    return count + 1;
+                } catch (error) {
+                    // Another instance updated the counter first; re-read and try again
+                    if (error instanceof RestError && (error.statusCode === 409 || error.statusCode === 412)) continue;
+                    throw error;
+                }
+            }
+
+            throw new Error(`Rate limit counter ${key} is too contended`);
+        },
+    };
+}
+
+/**
+ * In-process counter store for tests
+ */
+export function createMemoryCounterStore(): CounterStore {
+    const counts = new Map<string, number>();
+    return {
+        async increment(key: string): Promise<number> {
+            const count = (counts.get(key) || 0) + 1;
+            counts.set(key, count);
+            return count;
+        },
+    };
+}
+
+async function streamToString(stream: NodeJS.ReadableStream | undefined): Promise<string> {
+    if (!stream) return "";
+    const chunks: Buffer[] = [];
+    for await (const chunk of stream) {
+        chunks.push(Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk));
+    }
+    return Buffer.concat(chunks).toString("utf-8");
+}
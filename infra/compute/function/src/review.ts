@@ -0,0 +1,241 @@
+/**
+ * Pull request body and labels for form submissions.
+ *
+ * The PR body is written for reviewers: every frontmatter field, the photos, the
+ * results of the automated checks and a short manual checklist, so most submissions
+ * can be reviewed from the PR page without opening the changed files.
+ */
+import { CandidateSubmission } from "./types.js";
+import { PreparedImages } from "./images.js";
+import { DuplicateCheckResult, formatDuplicateNotice, hasPossibleDuplicates } from "./duplicates.js";
+import { ALLOWED_CATEGORIES, ALLOWED_STATES, isHttpsUrl } from "./validation.js";
+
+export const SUBMISSION_LABEL = "form-submission";
+export const UPDATE_LABEL = "profile-update";
+export const DUPLICATE_LABEL = "possible-duplicate";
+
+// The candidate list cuts the about text at this length (see candidate-card.html)
+export const CARD_ABOUT_LENGTH = 150;
+// Biographies shorter than this are flagged for the reviewer to follow up
+export const MIN_BIOGRAPHY_WORDS = 50;
+// GitHub rejects PR bodies over 65536 characters; leave room for the footer
+const MAX_BODY_LENGTH = 60000;
+const THUMBNAIL_WIDTH = 200;
+
+export interface ReviewCheck {
+    passed: boolean;
+    label: string;
+}
+
+export interface ReviewDetails {
+    submission: CandidateSubmission;
+    isUpdate: boolean;
+    candidatePath: string;   // Profile folder in the repo, e.g. "src/content/english/candidates/2026/jane-doe"
+    correlationId: string;
+    frontmatter: Record<string, unknown>;  // Parsed from the generated index.md
+    body: string;                          // Markdown body of the generated index.md
+    images: PreparedImages;
+    avatarFilename?: string;
+    imageFilename?: string;
+    rawBaseUrl: string;      // Raw file URL of the profile folder on the submission branch
+    duplicates: DuplicateCheckResult | null;  // null when the duplicate search failed
+    pledgeVerified: boolean; // false when the pledge was not checked (local dev without GitHub credentials)
+}
+
+/**
+ * Make user input safe inside a markdown table cell: no table breaks, HTML, formatting or @mentions
+ */
+export function escapeTableCell(value: string): string {
+    // Markdown escapes first, so the # of the entities added below is left alone
+    return value
+        .replace(/([\\`*_[\]|#~])/g, "\\$1")
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/@/g, "&#64;")
+        .replace(/\r?\n/g, "<br>");
+}
+
+function formatFrontmatterValue(value: unknown): string {
+    if (value === undefined || value === null || value === "") return "—";
+    if (Array.isArray(value)) {
+        if (value.length === 0) return "—";
+        // Structured sections are lists of objects; they are shown in the biography below
+        if (value.some(item => item && typeof item === "object")) {
+            return `${value.length} ${value.length === 1 ? "entry" : "entries"}`;
+        }
+        return escapeTableCell(value.join(", "));
+    }
+    if (value instanceof Date) return escapeTableCell(value.toISOString());
+    return escapeTableCell(String(value));
+}
+
+/**
+ * Words in markdown, ignoring image syntax and link targets
+ */
+export function countWords(markdown: string): number {
+    const text = markdown
+        .replace(/!\[[^\]]*\]\([^)]*\)/g, " ")
+        .replace(/\]\([^)]*\)/g, " ");
+    return text.split(/\s+/).filter(word => /[\p{L}\p{N}]/u.test(word)).length;
+}
+
+/**
+ * An https:// URL with a public-looking host name: no IP address, port, credentials or single-label host
+ */
+export function isPublicWebsiteFormat(value: string): boolean {
+    if (!isHttpsUrl(value)) return false;
+    const url = new URL(value);
+    const host = url.hostname;
+    if (url.username || url.password || url.port) return false;
+    if (/^\d{1,3}(\.\d{1,3}){3}$/.test(host) || host.startsWith("[")) return false;
+    return /^[a-z0-9-]+(\.[a-z0-9-]+)*\.[a-z]{2,}$/i.test(host) && !host.endsWith(".local");
+}
+
+function describeSize(width?: number, height?: number): string {
+    return width && height ? `${width}×${height}` : "vector";
+}
+
+/**
+ * Results of the automated checks, in the order they are listed in the PR
+ */
+export function buildReviewChecks(details: ReviewDetails): ReviewCheck[] {
+    const { submission, isUpdate, images, duplicates, body } = details;
+    const checks: ReviewCheck[] = [];
+
+    // The function refuses submissions whose pledge does not match the published one
+    checks.push(details.pledgeVerified
+        ? { passed: true, label: `Pledge version ${submission.pledgeVersion} accepted; the pledge text matched the published pledge` }
+        : { passed: false, label: `Pledge version ${submission.pledgeVersion} was not checked against the published pledge` });
+
+    if (!submission.website) {
+        checks.push({ passed: true, label: "No campaign website given" });
+    } else if (isPublicWebsiteFormat(submission.website)) {
+        checks.push({ passed: true, label: "Campaign website is a public https:// address" });
+    } else {
+        checks.push({ passed: false, label: "Campaign website does not look like a public address; please check the link" });
+    }
+
+    if (isUpdate) {
+        checks.push({ passed: true, label: "Update to an existing profile; no duplicate search needed" });
+    } else if (!duplicates) {
+        checks.push({ passed: false, label: "Duplicate search could not run; please search for this candidate" });
+    } else if (hasPossibleDuplicates(duplicates)) {
+        checks.push({ passed: false, label: "Possible duplicates found (listed at the top)" });
+    } else {
+        checks.push({ passed: true, label: "No published profile or open submission for this candidate" });
+    }
+
+    const photos: string[] = [];
+    if (images.avatar) photos.push(`main photo ${describeSize(images.avatar.width, images.avatar.height)}`);
+    if (images.title) photos.push(`title photo ${describeSize(images.title.width, images.title.height)}`);
+    if (images.inline.length > 0) photos.push(`${images.inline.length} biography image${images.inline.length === 1 ? "" : "s"}`);
+    if (!images.avatar && !details.avatarFilename) {
+        checks.push({ passed: false, label: "No main photo" });
+    } else {
+        checks.push({
+            passed: true,
+            label: photos.length > 0
+                ? `Images verified and metadata removed: ${photos.join(", ")}`
+                : "Photos unchanged",
+        });
+    }
+
+    const aboutWords = countWords(submission.about);
+    checks.push(submission.about.length > CARD_ABOUT_LENGTH
+        ? { passed: false, label: `About: ${aboutWords} words, ${submission.about.length} characters; the candidate list shows only the first ${CARD_ABOUT_LENGTH}` }
+        : { passed: true, label: `About: ${aboutWords} words, ${submission.about.length} characters` });
+
+    const bodyWords = countWords(body);
+    checks.push(bodyWords < MIN_BIOGRAPHY_WORDS
+        ? { passed: false, label: `Biography: ${bodyWords} words, shorter than ${MIN_BIOGRAPHY_WORDS}; consider asking for more` }
+        : { passed: true, label: `Biography: ${bodyWords} words` });
+
+    return checks;
+}
+
+/**
+ * Labels for the PR: the submission label, update or duplicate flags, and the profile's category and state
+ */
+export function reviewLabels(submission: CandidateSubmission, options: { isUpdate: boolean; duplicates: DuplicateCheckResult | null }): string[] {
+    const labels = [SUBMISSION_LABEL];
+    if (options.isUpdate) labels.push(UPDATE_LABEL);
+    if (options.duplicates && hasPossibleDuplicates(options.duplicates)) labels.push(DUPLICATE_LABEL);
+    const category = submission.categories.find(c => ALLOWED_CATEGORIES.includes(c));
+    const state = submission.categories.find(c => ALLOWED_STATES.includes(c));
+    if (category) labels.push(`category: ${category}`);
+    if (state) labels.push(`state: ${state}`);
+    return labels;
+}
+
+/**
+ * Fence long enough that backticks in the content cannot close it
+ */
+function fenceFor(content: string): string {
+    const longest = Math.max(2, ...(content.match(/`+/g) || []).map(run => run.length));
+    return "`".repeat(longest + 1);
+}
+
+/**
+ * Markdown body for the submission's pull request
+ */
+export function formatReviewBody(details: ReviewDetails): string {
+    const { submission, isUpdate, candidatePath, correlationId, frontmatter, body, images, rawBaseUrl } = details;
+    const sections: string[] = [];
+
+    const notice = details.duplicates ? formatDuplicateNotice(details.duplicates) : "";
+    sections.push(`${notice}## ${isUpdate ? "Profile Update Submission" : "New Candidate Submission"}
+
+${isUpdate ? `**Profile:** \`${candidatePath}\`\n` : ""}**Candidate:** ${escapeTableCell(submission.candidate)}
+**Position:** ${escapeTableCell(submission.title)}
+**Party:** ${escapeTableCell(submission.party)}`);
+
+    const photos: string[] = [];
+    for (const [label, filename, isNew] of [
+        ["Main photo", details.avatarFilename, !!images.avatar],
+        ["Title photo", details.imageFilename, !!images.title],
+    ] as const) {
+        if (!filename) continue;
+        const src = `${rawBaseUrl}/${encodeURIComponent(filename)}`;
+        photos.push(`<a href="${src}"><img src="${src}" alt="${label}" width="${THUMBNAIL_WIDTH}"></a> ${label}${isNew ? "" : " (unchanged)"}`);
+    }
+    if (photos.length > 0) {
+        sections.push(`### Photos\n\n${photos.join("\n\n")}`);
+    }
+
+    const checks = buildReviewChecks(details)
+        .map(check => `- [${check.passed ? "x" : " "}] ${check.label}`);
+    sections.push(`### Automated Checks\n\n${checks.join("\n")}`);
+
+    sections.push(`### Reviewer Checklist
+
+- [ ] Candidate, office and election date match official election sources
+- [ ] Photos show the candidate and are suitable to publish
+- [ ] Biography, endorsements and links are appropriate and follow the pledge`);
+
+    const rows = Object.entries(frontmatter)
+        .map(([key, value]) => `| \`${key}\` | ${formatFrontmatterValue(value)} |`);
+    sections.push(`### Frontmatter\n\n| Field | Value |\n| --- | --- |\n${rows.join("\n")}`);
+
+    const fence = fenceFor(body);
+    const biography = `<details>
+<summary>Biography (${countWords(body)} words)</summary>
+
+${fence}markdown
+${body}
+${fence}
+
+</details>`;
+
+    const footer = `---
+
+*This PR was automatically created from a form submission.*
+*Correlation ID: \`${correlationId}\`*
+
+Please work through the checklists above and merge when ready.`;
+
+    const withoutBiography = sections.join("\n\n");
+    const full = `${withoutBiography}\n\n### Biography\n\n${biography}\n\n${footer}`;
+    if (full.length <= MAX_BODY_LENGTH) return full;
+    return `${withoutBiography}\n\n### Biography\n\nToo long to show here; see \`index.md\` under Files changed.\n\n${footer}`;
+}
@@ -0,0 +1,35 @@
+/**
+ * Compensating actions for multi-step work that cannot run in a single transaction
+ * (a GitHub branch, commit and PR plus the contact record in blob storage).
+ * Each step registers how to undo itself once it has succeeded; if a later step fails,
+ * the completed steps are undone most recent first.
+ */
+
+export interface Rollback {
+    /** Register the undo action for a step that has just completed */
+    add(description: string, undo: () => Promise<void>): void;
+    /** Undo every registered step, most recent first. Returns the undo actions that failed, with their errors. */
+    run(): Promise<Array<{ description: string; error: unknown }>>;
+}
+
+export function createRollback(): Rollback {
+    const steps: Array<{ description: string; undo: () => Promise<void> }> = [];
+    return {
+        add(description, undo) {
+            steps.push({ description, undo });
+        },
+        async run() {
+            const failures: Array<{ description: string; error: unknown }> = [];
+            // Keep going when one undo fails, so as much as possible is cleaned up
+            while (steps.length > 0) {
+                const { description, undo } = steps.pop()!;
+                try {
+                    await undo();
+                } catch (error) {
+                    failures.push({ description, error });
+                }
+            }
+            return failures;
+        },
+    };
+}
@@ -0,0 +1,67 @@
+/**
+ * Pull request review status for submitted profiles
+ */
+import { Octokit } from "@octokit/rest";
+import { SubmissionStatus } from "./types.js";
+
+export interface PullRequestRef {
+    owner: string;
+    repo: string;
+    number: number;
+}
+
+export interface PullRequestStatus {
+    status: SubmissionStatus;
+    updatedAt: string;
+}
+
+const PULL_REQUEST_URL_PATTERN = /^https:\/\/github\.com\/([A-Za-z0-9_.-]+)\/([A-Za-z0-9_.-]+)\/pull\/(\d+)$/;
+
+/**
+ * Parse a github.com pull request URL, or return null for anything else (e.g. local dev mock URLs)
+ */
+export function parsePullRequestUrl(url: string | undefined): PullRequestRef | null {
+    const match = url?.match(PULL_REQUEST_URL_PATTERN);
+    if (!match) return null;
+    return { owner: match[1], repo: match[2], number: parseInt(match[3], 10) };
+}
+
+/**
+ * Reduce PR state and reviews to a single status.
+ * Only each reviewer's latest decisive review counts, so a reviewer who
+ * requested changes and later approved no longer blocks the submission.
+ */
+export function resolveSubmissionStatus(
+    pr: { state: string; merged_at: string | null },
+    reviews: Array<{ state: string; user?: { login: string } | null }>
+): SubmissionStatus {
+    if (pr.merged_at) return "merged";
+    if (pr.state === "closed") return "closed";
+
+    const latestByReviewer = new Map<string, string>();
+    for (const review of reviews) {
+        if (review.state !== "APPROVED" && review.state !== "CHANGES_REQUESTED") continue;
+        latestByReviewer.set(review.user?.login || "", review.state);
+    }
+
+    const states = [...latestByReviewer.values()];
+    if (states.includes("CHANGES_REQUESTED")) return "changes_requested";
+    if (states.includes("APPROVED")) return "approved";
+    return "pending_review";
+}
+
+/**
+ * Look up the current status of a pull request
+ */
+export async function getPullRequestStatus(octokit: Octokit, ref: PullRequestRef): Promise<PullRequestStatus> {
+    const { owner, repo, number } = ref;
+    const { data: pr } = await octokit.pulls.get({ owner, repo, pull_number: number });
+    const reviews = pr.state === "open"
+        ? await octokit.paginate(octokit.pulls.listReviews, { owner, repo, pull_number: number, per_page: 100 })
+        : [];
+
+    return {
+        status: resolveSubmissionStatus(pr, reviews),
+        updatedAt: pr.updated_at,
+    };
+}
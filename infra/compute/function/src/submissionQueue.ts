@@ -0,0 +1,179 @@
+/**
+ * Queued submissions.
+ *
+ * submitCandidate validates a submission, stores it here and queues its correlation ID;
+ * processSubmission then opens the pull request in the background, retrying when GitHub
+ * is slow or rate limited, so candidates never wait on the GitHub API.
+ */
+import { RestError } from "@azure/storage-blob";
+import { CandidateSubmission } from "./types.js";
+import { getContainerClient } from "./contacts.js";
+
+// Storage queue both functions are bound to (created by the Pulumi stack, in the contacts storage account)
+export const SUBMISSION_QUEUE_NAME = "candidate-submissions";
+export const SUBMISSION_QUEUE_CONNECTION = "CONTACT_STORAGE_CONNECTION";
+// Must match extensions.queues.maxDequeueCount in host.json: the last delivery marks the submission failed
+export const MAX_DEQUEUE_COUNT = 5;
+
+// Queued submissions are stored next to the contact records (without the contact details, which only the sealed record keeps)
+export const QUEUED_PREFIX = "queued";
+
+// Correlation IDs are randomUUID() values; they name contact records, queued submissions and status lookups
+export const CORRELATION_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+// Longest wait between attempts within one delivery; longer outages are left to the queue
+const MAX_RETRY_DELAY_MS = 60 * 1000;
+
+export interface QueueMessage {
+    correlationId: string;
+}
+
+/**
+ * Everything processSubmission needs to open the PR, stored until it is done
+ */
+export interface QueuedSubmission {
+    correlationId: string;
+    queuedAt: string;        // ISO timestamp
+    submission: CandidateSubmission;  // Staged images already resolved to their content
+    idempotencyKey?: string;
+    requestHash: string;
+    pledgeVerified?: boolean;  // false when the pledge could not be checked (local dev); absent before this was recorded
+}
+
+/**
+ * Read a queue message, or return null for anything that is not one of ours
+ */
+export function parseQueueMessage(message: unknown): QueueMessage | null {
+    const value = typeof message === "string" ? safeParse(message) : message;
+    if (!value || typeof value !== "object") return null;
+    const { correlationId } = value as { correlationId?: unknown };
+    return typeof correlationId === "string" && CORRELATION_ID_PATTERN.test(correlationId) ? { correlationId } : null;
+}
+
+function safeParse(text: string): unknown {
+    try {
+        return JSON.parse(text);
+    } catch {
+        return null;
+    }
+}
+
+function queuedBlobName(correlationId: string): string {
+    return `${QUEUED_PREFIX}/${correlationId}.json`;
+}
+
+/**
+ * Store a submission for processSubmission. Contact details are left out: the pull request
+ * does not use them, and they are only kept encrypted in the contact record.
+ */
+export async function storeQueuedSubmission(queued: QueuedSubmission): Promise<void> {
+    const { contactPhone, contactNotes, submitterName, submitterRelationship, ...submission } = queued.submission;
+    const containerClient = await getContainerClient();
+    const body = JSON.stringify({ ...queued, submission: { ...submission, contactEmail: "" } });
+    await containerClient.getBlockBlobClient(queuedBlobName(queued.correlationId)).upload(
+        body,
+        Buffer.byteLength(body),
+        { blobHTTPHeaders: { blobContentType: "application/json" } }
+    );
+}
+
+/**
+ * Load a queued submission, or null once it has been processed
+ */
+export async function loadQueuedSubmission(correlationId: string): Promise<QueuedSubmission | null> {
+    const containerClient = await getContainerClient();
+    try {
+        const buffer = await containerClient.getBlockBlobClient(queuedBlobName(correlationId)).downloadToBuffer();
+        return JSON.parse(buffer.toString("utf-8")) as QueuedSubmission;
+    } catch (error) {
+        if (error instanceof RestError && error.statusCode === 404) return null;
+        throw error;
+    }
+}
+
+export async function deleteQueuedSubmission(correlationId: string): Promise<void> {
+    const containerClient = await getContainerClient();
+    await containerClient.getBlockBlobClient(queuedBlobName(correlationId)).deleteIfExists();
+}
+
+// Connections that failed or dropped (Node, fetch and Azure SDK codes); they come without an HTTP status
+const NETWORK_ERROR_CODES = new Set([
+    "ECONNRESET", "ECONNREFUSED", "ECONNABORTED", "ETIMEDOUT", "EPIPE", "ENOTFOUND", "EAI_AGAIN",
+    "ENETUNREACH", "EHOSTUNREACH", "UND_ERR_SOCKET", "UND_ERR_CONNECT_TIMEOUT", "UND_ERR_HEADERS_TIMEOUT",
+    "REQUEST_SEND_ERROR",
+]);
+
+interface HttpLikeError {
+    status?: number;
+    statusCode?: number;     // Azure SDK errors
+    code?: string;
+    cause?: unknown;         // fetch wraps the network error
+    message?: string;
+    response?: { headers?: Record<string, string | number | undefined> };
+}
+
+function isNetworkError(error: unknown): boolean {
+    const { code, cause } = (error || {}) as HttpLikeError;
+    return (typeof code === "string" && NETWORK_ERROR_CODES.has(code)) || (!!cause && cause !== error && isNetworkError(cause));
+}
+
+/**
+ * Whether trying again later could succeed: network errors, server errors and rate limits.
+ * Client errors (bad request, not found, validation) and errors without a status, such as bugs
+ * or bad data, would fail the same way every time.
+ */
+export function isRetryableError(error: unknown): boolean {
+    const { statusCode, message = "", response } = (error || {}) as HttpLikeError;
+    const status = (error as HttpLikeError | undefined)?.status ?? statusCode;
+    if (typeof status !== "number") return isNetworkError(error);
+    if (status >= 500 || status === 429) return true;
+    if (status === 403) {
+        const headers = response?.headers || {};
+        return String(headers["x-ratelimit-remaining"]) === "0"
+            || headers["retry-after"] !== undefined
+            || /rate limit/i.test(message);
+    }
+    return false;
+}
+
+/**
+ * How long to wait before attempt `attempt + 1`: GitHub's Retry-After or rate limit reset when
+ * given, otherwise doubling from `baseDelayMs`
+ */
+export function retryDelayMs(error: unknown, attempt: number, baseDelayMs: number, now: Date = new Date()): number {
+    const headers = ((error || {}) as HttpLikeError).response?.headers || {};
+    const retryAfter = Number(headers["retry-after"]);
+    const reset = Number(headers["x-ratelimit-reset"]);
+
+    let delay = baseDelayMs * 2 ** (attempt - 1);
+    if (Number.isFinite(retryAfter) && retryAfter > 0) {
+        delay = retryAfter * 1000;
+    } else if (String(headers["x-ratelimit-remaining"]) === "0" && Number.isFinite(reset) && reset > 0) {
+        delay = Math.max(0, reset * 1000 - now.getTime());
+    }
+    return Math.min(delay, MAX_RETRY_DELAY_MS);
+}
+
+export interface RetryOptions {
+    attempts: number;
+    baseDelayMs: number;
+    sleep?: (ms: number) => Promise<void>;
+    onRetry?: (error: unknown, attempt: number, delayMs: number) => void;
+}
+
+/**
+ * Run `attempt` until it succeeds, retrying retryable errors with backoff.
+ * The last error is thrown once the attempts run out or an error cannot be retried.
+ */
+export async function withRetries<T>(attempt: (attemptNumber: number) => Promise<T>, options: RetryOptions): Promise<T> {
+    const sleep = options.sleep || ((ms: number) => new Promise<void>(resolve => setTimeout(resolve, ms)));
+    for (let attemptNumber = 1; ; attemptNumber++) {
+        try {
+            return await attempt(attemptNumber);
+        } catch (error) {
+            if (attemptNumber >= options.attempts || !isRetryableError(error)) throw error;
+            const delay = retryDelayMs(error, attemptNumber, options.baseDelayMs);
+            options.onRetry?.(error, attemptNumber, delay);
+            await sleep(delay);
+        }
+    }
+}
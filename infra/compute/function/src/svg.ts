@@ -0,0 +1,162 @@
+/**
+ * SVG sanitization for images committed to the content tree.
+ *
+ * Hugo serves committed SVGs from our own domain, so anything a browser will
+ * execute or fetch from an SVG document is stored XSS or a tracking beacon.
+ * The input is parsed as XML and rebuilt from an allowlist of static SVG
+ * elements; scripts, event handlers, foreignObject, animation (which can
+ * rewrite attributes at runtime) and any reference outside the document are
+ * removed. Regex scrubbing is deliberately avoided.
+ */
+import { DOMParser, XMLSerializer, Element, Node, onErrorStopParsing } from "@xmldom/xmldom";
+
+const SVG_NS = "http://www.w3.org/2000/svg";
+const XLINK_NS = "http://www.w3.org/1999/xlink";
+const XML_NS = "http://www.w3.org/XML/1998/namespace";
+const XMLNS_NS = "http://www.w3.org/2000/xmlns/";
+
+// Static rendering elements only: no script, foreignObject, animate/set, iframe, etc.
+const ALLOWED_ELEMENTS = new Set([
+    "svg", "g", "defs", "symbol", "use", "title", "desc", "style",
+    "path", "rect", "circle", "ellipse", "line", "polyline", "polygon",
+    "text", "tspan", "textPath",
+    "linearGradient", "radialGradient", "stop", "pattern", "clipPath", "mask", "marker", "image",
+    "filter", "feBlend", "feColorMatrix", "feComponentTransfer", "feComposite", "feConvolveMatrix",
+    "feDiffuseLighting", "feDisplacementMap", "feDistantLight", "feDropShadow", "feFlood",
+    "feFuncA", "feFuncB", "feFuncG", "feFuncR", "feGaussianBlur", "feMerge", "feMergeNode",
+    "feMorphology", "feOffset", "fePointLight", "feSpecularLighting", "feSpotLight", "feTile",
+    "feTurbulence",
+]);
+
+// Elements whose children are kept but which are themselves dropped (links can navigate to javascript:)
+const UNWRAP_ELEMENTS = new Set(["a", "switch"]);
+
+const XML_ATTRIBUTES = new Set(["space", "lang"]);
+
+const SAFE_DATA_IMAGE = /^data:image\/(png|jpe?g|gif|webp);base64,[A-Za-z0-9+/=\s]+$/i;
+const URL_REFERENCE = /url\(\s*(['"]?)(.*?)\1\s*\)/gi;
+
+/**
+ * Check that CSS only references fragments within the same document
+ */
+export function isSafeCss(css: string): boolean {
+    const stripped = css.replace(/\/\*[\s\S]*?\*\//g, "");
+    // Escapes can spell out blocked keywords, so refuse them outright
+    if (/\\|@import|@namespace|expression\s*\(|javascript:|behaviou?r\s*:|-moz-binding/i.test(stripped)) {
+        return false;
+    }
+    return hasOnlyFragmentUrls(stripped);
+}
+
+function hasOnlyFragmentUrls(value: string): boolean {
+    for (const match of value.matchAll(URL_REFERENCE)) {
+        if (!match[2].trim().startsWith("#")) return false;
+    }
+    // An unbalanced "url(" that the pattern could not read is treated as unsafe
+    const opened = (value.match(/url\(/gi) || []).length;
+    const read = [...value.matchAll(URL_REFERENCE)].length;
+    return opened === read;
+}
+
+function isSafeHref(element: string, value: string): boolean {
+    const href = value.trim();
+    if (href.startsWith("#")) return true;
+    return element === "image" && SAFE_DATA_IMAGE.test(href);
+}
+
+function sanitizeAttributes(element: Element): void {
+    for (const attr of Array.from(element.attributes)) {
+        const name = attr.name;
+        const local = attr.localName || name;
+        const ns = attr.namespaceURI;
+        // Strip whitespace and control characters that browsers ignore inside URL schemes
+        const normalized = attr.value.replace(/[\s\u0000-\u001f]+/g, "");
+
+        let keep = true;
+        if (ns === XMLNS_NS) {
+            keep = attr.value === SVG_NS || attr.value === XLINK_NS;
+        } else if (ns === XML_NS) {
+            keep = XML_ATTRIBUTES.has(local);
+        } else if (ns && ns !== XLINK_NS) {
+            keep = false;
+        } else if (/^on/i.test(local)) {
+            keep = false;
+        } else if (local === "href") {
+            keep = isSafeHref(element.localName || "", attr.value);
+        } else if (local === "style") {
+            keep = isSafeCss(attr.value);
+        } else if (/url\(/i.test(attr.value)) {
+            keep = hasOnlyFragmentUrls(attr.value);
+        }
+
+        if (keep && /(java|vb)script:|data:text\/html/i.test(normalized)) {
+            keep = false;
+        }
+        if (!keep) {
+            element.removeAttributeNode(attr);
+        }
+    }
+}
+
+function sanitizeChildren(parent: Node): void {
+    for (const child of Array.from(parent.childNodes)) {
+        if (child.nodeType === Node.TEXT_NODE || child.nodeType === Node.CDATA_SECTION_NODE) {
+            continue;
+        }
+        if (child.nodeType !== Node.ELEMENT_NODE) {
+            // Comments, processing instructions (xml-stylesheet), entity references
+            parent.removeChild(child);
+            continue;
+        }
+
+        const element = child as Element;
+        const name = element.localName || "";
+        if (element.namespaceURI !== SVG_NS) {
+            // Foreign namespaces (e.g. xhtml:script) execute in SVG documents
+            parent.removeChild(element);
+            continue;
+        }
+        if (UNWRAP_ELEMENTS.has(name)) {
+            sanitizeChildren(element);
+            while (element.firstChild) {
+                parent.insertBefore(element.firstChild, element);
+            }
+            parent.removeChild(element);
+            continue;
+        }
+        if (!ALLOWED_ELEMENTS.has(name)) {
+            parent.removeChild(element);
+            continue;
+        }
+        if (name === "style" && !isSafeCss(element.textContent || "")) {
+            parent.removeChild(element);
+            continue;
+        }
+
+        sanitizeAttributes(element);
+        sanitizeChildren(element);
+    }
+}
+
+/**
+ * Sanitize SVG markup, returning a standalone <svg> document with active content removed.
+ * Throws if the input is not well-formed SVG.
+ */
+export function sanitizeSvg(svgText: string): string {
+    // Entity declarations enable expansion bombs and external entity fetches
+    if (/<!ENTITY/i.test(svgText)) {
+        throw new Error("SVG must not declare entities");
+    }
+
+    const doc = new DOMParser({ onError: onErrorStopParsing }).parseFromString(svgText, "image/svg+xml");
+    const root = doc.documentElement;
+    if (!root || root.localName !== "svg" || root.namespaceURI !== SVG_NS) {
+        throw new Error("Document root is not an SVG element");
+    }
+
+    sanitizeAttributes(root);
+    sanitizeChildren(root);
+
+    // Serializing only the root drops the doctype and any top-level processing instructions
+    return new XMLSerializer().serializeToString(root);
+}
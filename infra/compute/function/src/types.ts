@@ -14,17 +14,35 @@ export interface CandidateSubmission {
     about: string;           // Short bio for card display
     website?: string;        // Campaign website URL
 
+    // Structured biography sections, stored in frontmatter and written out as the start of the body
+    positions?: PolicyPosition[];
+    experience?: ExperienceEntry[];
+    endorsements?: Endorsement[];
+
     // Markdown body content
-    content: string;         // Full markdown content (Policy, Experience, etc.)
+    content: string;         // Free-form biography, after the structured sections
 
     // Images (base64 encoded with data URI prefix or raw base64)
     titleImage?: string;     // Main/hero image
     avatarImage?: string;    // Profile photo
 
-    // Inline images from markdown
+    // Images staged with uploadImage, used instead of the base64 fields above
+    titleImageId?: string;
+    avatarImageId?: string;
+
+    // Optional WebP copies of the photos, committed next to them and served to browsers that support WebP
+    titleImageWebp?: string;
+    avatarImageWebp?: string;
+    titleImageWebpId?: string;
+    avatarImageWebpId?: string;
+
+    // Inline images from markdown, each with either base64 content or a staged image id
     additionalImages?: Array<{
         path: string;       // Relative path (e.g., "images/img-xyz.jpg")
-        content: string;    // Base64 content (without prefix)
+        content?: string;   // Base64 content (without prefix)
+        imageId?: string;   // Staged upload id
+        webp?: string;      // Optional WebP copy, base64 (without prefix)
+        webpImageId?: string; // ...or staged
     }>;
 
     // Private contact info (stored in blob, NOT in PR)
@@ -34,15 +52,54 @@ export interface CandidateSubmission {
     submitterName?: string;
     submitterRelationship?: string;
 
+    // Pledge shown on the form when the candidate agreed to it
+    pledgeVersion: string;   // e.g. "2026", from the pledge page's pledge_version
+    pledgeHash: string;      // SHA-256 (hex) of the pledge markdown shown
+
+    // Update mode: profile folder relative to content/english (e.g. "candidates/2026/jane-doe").
+    // When set, the PR modifies that folder instead of adding a new candidate.
+    existingProfilePath?: string;
+
     // Security
     turnstileToken: string;  // Cloudflare Turnstile response token
+
+    // Random UUID the form reuses when it retries the same submission, so a retry cannot open a second PR
+    idempotencyKey?: string;
+}
+
+// A policy position: the issue and where the candidate stands on it
+export interface PolicyPosition {
+    issue: string;
+    stance: string;
+}
+
+// A past or current role relevant to the office
+export interface ExperienceEntry {
+    role: string;
+    organization?: string;
+    years?: string;          // Free text, e.g. "2018–2022" or "Since 2020"
+    description?: string;
+}
+
+// Someone who endorses the candidate
+export interface Endorsement {
+    name: string;
+    organization?: string;
+    url?: string;            // https:// link to the endorsement
+}
+
+// The structured sections of a biography, as edited by the form
+export interface BiographySections {
+    positions?: PolicyPosition[];
+    experience?: ExperienceEntry[];
+    endorsements?: Endorsement[];
 }
 
 // Response to the submitter
 export interface SubmissionResponse {
     success: boolean;
     correlationId: string;   // UUID linking contact info to PR
-    pullRequestUrl?: string; // GitHub PR URL for user to track
+    pullRequestUrl?: string; // GitHub PR URL, once the queued submission has been processed
     message: string;
     errors?: string[];
 }
@@ -57,7 +114,103 @@ export interface ContactRecord {
     submitterName?: string;
     submitterRelationship?: string;
     candidateName: string;
+    contentPath?: string;    // Profile folder relative to content/english
+    pledgeVersion?: string;
+    pledgeAcceptedAt?: string; // ISO timestamp the pledge was verified and accepted
+    pullRequestUrl?: string;
+    // "pending" until the queued PR is created, "failed" if that gave up (absent on older records)
+    status?: "pending" | "submitted" | "failed";
+    failureReason?: string;  // Shown to the submitter on the status page, so never internal details
+}
+
+// Personal fields of a contact record, encrypted at rest
+export type ContactPiiField = "contactEmail" | "contactPhone" | "contactNotes" | "submitterName" | "submitterRelationship";
+
+// Personal fields sealed with a per-record data key (base64 values)
+export interface SealedContactFields {
+    algorithm: string;       // "RSA-OAEP-256+A256GCM"
+    keyId: string;           // Fingerprint of the key pair the data key was wrapped with
+    wrappedKey: string;      // Data key encrypted with the public key
+    iv: string;
+    ciphertext: string;      // JSON of the personal fields
+    tag: string;
+}
+
+// Contact record as stored. Records from before encryption (and local dev without keys)
+// keep the personal fields in the clear and have no `sealed` or `contactEmailHash`.
+export type StoredContactRecord = Omit<ContactRecord, ContactPiiField> & Partial<Pick<ContactRecord, ContactPiiField>> & {
+    contactEmailHash?: string;   // HMAC of the normalized contact email, for ownership checks
+    sealed?: SealedContactFields;
+};
+
+// Existing profile returned to the form for editing (public data only)
+export interface CandidateProfileResponse {
+    success: boolean;
+    message?: string;
+    path?: string;           // Profile folder relative to content/english
+    frontmatter?: Record<string, unknown>;
+    sections?: BiographySections;
+    content?: string;        // Markdown body (without the generated sections) with image paths relative to the profile folder
+    pageUrl?: string;        // Site-relative URL of the published page, for resolving image previews
+}
+
+// In-progress form state saved for later (everything needed to rebuild the form)
+export interface CandidateDraft {
+    fields: Partial<Record<DraftField, string>>;
+    tags: string[];
+    sections?: BiographySections;
+    content: string;         // Markdown with image:<id> references
+    images: Array<{
+        id: string;          // ImageManager id, e.g. "img-abc123"
+        filename: string;    // e.g. "images/img-abc123-photo.jpg"
+        data: string;        // Processed image as a data URL
+    }>;
+    avatarImage?: string;    // Data URL
+    titleImage?: string;     // Data URL
+    existingProfilePath?: string;
+}
+
+export type DraftField =
+    | "candidate" | "title" | "party" | "electionDate" | "website" | "category" | "state" | "about"
+    | "contactEmail" | "contactPhone" | "contactNotes" | "submitterName" | "submitterRelationship";
+
+// Response from the draft API
+export interface DraftResponse {
+    success: boolean;
+    message?: string;
+    errors?: string[];
+    token?: string;          // Secret resume token; anyone holding it can read the draft
+    expiresAt?: string;
+    draft?: CandidateDraft;
+}
+
+// Response from the image upload endpoint (start, chunk and complete steps)
+export interface ImageUploadResponse {
+    success: boolean;
+    message?: string;
+    errors?: string[];
+    imageId?: string;        // Reference for submitCandidate once the upload is complete
+    uploadToken?: string;    // Secret needed to send chunks and complete the upload
+    chunkSize?: number;      // Bytes per chunk; the last chunk may be shorter
+    chunkCount?: number;
+    width?: number;          // Verified dimensions, after completion
+    height?: number;
+}
+
+// Review state of a submission's pull request
+// "processing" and "failed" come from the contact record, before there is a PR to look at
+export type SubmissionStatus = "processing" | "failed" | "pending_review" | "changes_requested" | "approved" | "merged" | "closed";
+
+// Public status of a submission, looked up by correlation ID (never includes contact details)
+export interface SubmissionStatusResponse {
+    success: boolean;
+    message?: string;
+    correlationId?: string;
+    status?: SubmissionStatus;
+    candidateName?: string;
+    submittedAt?: string;
     pullRequestUrl?: string;
+    updatedAt?: string;      // Last activity on the pull request
 }
 
 // Turnstile verification response
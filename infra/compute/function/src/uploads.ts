@@ -0,0 +1,293 @@
+/**
+ * Staged image uploads.
+ *
+ * Large submissions no longer have to fit in one request: the form uploads each
+ * image in chunks first (as uncommitted blocks of a block blob), the image is
+ * verified once all chunks are in, and submitCandidate then refers to it by id.
+ * Staged images expire after a day whether or not they were used.
+ */
+import { RestError } from "@azure/storage-blob";
+import { createHash, randomBytes, randomUUID, timingSafeEqual } from "crypto";
+import { CandidateSubmission } from "./types.js";
+import { getContainerClient } from "./contacts.js";
+import { IMAGE_RULES, ImageKind, MAX_IMAGE_BYTES, processImage } from "./images.js";
+import { UPLOAD_ID_PATTERN } from "./validation.js";
+
+// Staged uploads are stored next to contact records until they are committed to GitHub
+export const UPLOAD_PREFIX = "uploads";
+export const UPLOAD_TTL_HOURS = 24;
+// Small enough that a dropped chunk on a mobile connection is cheap to resend
+export const UPLOAD_CHUNK_BYTES = 512 * 1024;
+
+const TOKEN_PATTERN = /^[A-Za-z0-9_-]{32}$/;
+const IMAGE_KINDS: ImageKind[] = ["avatar", "title", "inline"];
+
+interface UploadRecord {
+    imageId: string;
+    kind: ImageKind;
+    size: number;
+    tokenHash: string;
+    createdAt: string;
+    verified?: { width?: number; height?: number };
+}
+
+export function isValidUploadId(imageId: unknown): imageId is string {
+    return typeof imageId === "string" && UPLOAD_ID_PATTERN.test(imageId);
+}
+
+export function isValidUploadToken(token: unknown): token is string {
+    return typeof token === "string" && TOKEN_PATTERN.test(token);
+}
+
+export function uploadChunkCount(size: number): number {
+    return Math.ceil(size / UPLOAD_CHUNK_BYTES);
+}
+
+/**
+ * Block ids must all have the same length within a blob, so the index is zero padded
+ */
+export function chunkBlockId(index: number): string {
+    return Buffer.from(`chunk-${String(index).padStart(6, "0")}`).toString("base64");
+}
+
+function recordBlobName(imageId: string): string {
+    return `${UPLOAD_PREFIX}/${imageId}.json`;
+}
+
+function dataBlobName(imageId: string): string {
+    return `${UPLOAD_PREFIX}/${imageId}.bin`;
+}
+
+function hashToken(token: string): string {
+    return createHash("sha256").update(token).digest("hex");
+}
+
+/**
+ * Validate the body of an upload start request
+ */
+export function validateUploadStart(body: unknown): string[] {
+    if (!body || typeof body !== "object" || Array.isArray(body)) {
+        return ["Request body must be a JSON object"];
+    }
+    const { kind, size } = body as { kind?: unknown; size?: unknown };
+    const errors: string[] = [];
+    if (!IMAGE_KINDS.includes(kind as ImageKind)) {
+        errors.push(`Image kind must be one of ${IMAGE_KINDS.join(", ")}`);
+    }
+    if (typeof size !== "number" || !Number.isInteger(size) || size <= 0) {
+        errors.push("Image size must be a positive number of bytes");
+    } else if (size > MAX_IMAGE_BYTES) {
+        errors.push(`Images must be under ${MAX_IMAGE_BYTES / (1024 * 1024)}MB`);
+    }
+    return errors;
+}
+
+async function loadRecord(imageId: string): Promise<UploadRecord | null> {
+    const containerClient = await getContainerClient();
+    try {
+        const buffer = await containerClient.getBlockBlobClient(recordBlobName(imageId)).downloadToBuffer();
+        return JSON.parse(buffer.toString("utf-8")) as UploadRecord;
+    } catch (error) {
+        if (error instanceof RestError && error.statusCode === 404) return null;
+        throw error;
+    }
+}
+
+async function saveRecord(record: UploadRecord): Promise<void> {
+    const containerClient = await getContainerClient();
+    const body = JSON.stringify(record);
+    await containerClient.getBlockBlobClient(recordBlobName(record.imageId)).upload(
+        body,
+        Buffer.byteLength(body),
+        { blobHTTPHeaders: { blobContentType: "application/json" } }
+    );
+}
+
+function isExpired(record: UploadRecord, now: Date): boolean {
+    return new Date(record.createdAt).getTime() + UPLOAD_TTL_HOURS * 60 * 60 * 1000 <= now.getTime();
+}
+
+/**
+ * Load an upload the caller may write to, or null if the id, token or age is wrong
+ */
+async function authorizeUpload(imageId: string, token: string, now: Date): Promise<UploadRecord | null> {
+    const record = await loadRecord(imageId);
+    if (!record || isExpired(record, now)) return null;
+    const expected = Buffer.from(record.tokenHash, "hex");
+    const actual = Buffer.from(hashToken(token), "hex");
+    return timingSafeEqual(expected, actual) ? record : null;
+}
+
+/**
+ * Start a staged upload and return the id and secret token for its chunks
+ */
+export async function startUpload(
+    kind: ImageKind,
+    size: number,
+    now: Date = new Date()
+): Promise<{ imageId: string; uploadToken: string; chunkSize: number; chunkCount: number }> {
+    const imageId = randomUUID();
+    const uploadToken = randomBytes(24).toString("base64url");
+    await saveRecord({ imageId, kind, size, tokenHash: hashToken(uploadToken), createdAt: now.toISOString() });
+    return { imageId, uploadToken, chunkSize: UPLOAD_CHUNK_BYTES, chunkCount: uploadChunkCount(size) };
+}
+
+/**
+ * Stage one chunk. Sending the same chunk again replaces it, so failed chunks can simply be retried.
+ * Returns an error message, or null on success.
+ */
+export async function stageChunk(
+    imageId: string,
+    token: string,
+    index: number,
+    data: Buffer,
+    now: Date = new Date()
+): Promise<string | null> {
+    const record = await authorizeUpload(imageId, token, now);
+    if (!record) return "Upload not found or expired";
+    if (record.verified) return "Upload is already complete";
+
+    const chunkCount = uploadChunkCount(record.size);
+    if (!Number.isInteger(index) || index < 0 || index >= chunkCount) {
+        return `Chunk index must be between 0 and ${chunkCount - 1}`;
+    }
+    const expectedLength = index === chunkCount - 1 ? record.size - index * UPLOAD_CHUNK_BYTES : UPLOAD_CHUNK_BYTES;
+    if (data.length !== expectedLength) {
+        return `Chunk ${index} must be ${expectedLength} bytes`;
+    }
+
+    const containerClient = await getContainerClient();
+    await containerClient.getBlockBlobClient(dataBlobName(imageId)).stageBlock(chunkBlockId(index), data, data.length);
+    return null;
+}
+
+/**
+ * Assemble the chunks and verify the image for the kind it was started as.
+ * Completing an upload that is already verified returns the same result, so the call can be retried.
+ */
+export async function completeUpload(
+    imageId: string,
+    token: string,
+    now: Date = new Date()
+): Promise<{ errors: string[]; width?: number; height?: number }> {
+    const record = await authorizeUpload(imageId, token, now);
+    if (!record) return { errors: ["Upload not found or expired"] };
+    if (record.verified) return { errors: [], ...record.verified };
+
+    const containerClient = await getContainerClient();
+    const blobClient = containerClient.getBlockBlobClient(dataBlobName(imageId));
+    const blockIds = Array.from({ length: uploadChunkCount(record.size) }, (_, index) => chunkBlockId(index));
+    try {
+        await blobClient.commitBlockList(blockIds);
+    } catch (error) {
+        // Committing names every block, so a chunk that never arrived fails the whole list
+        if (error instanceof RestError && error.statusCode === 400) {
+            return { errors: ["Some chunks are missing. Please retry the upload."] };
+        }
+        throw error;
+    }
+
+    const { label, rules } = IMAGE_RULES[record.kind];
+    const result = processImage((await blobClient.downloadToBuffer()).toString("base64"), label, rules);
+    if (!result.image) {
+        await deleteStagedImages([imageId]);
+        return { errors: result.errors };
+    }
+
+    // Keep the cleaned bytes (metadata stripped), not what the browser sent
+    await blobClient.upload(result.image.data, result.image.data.length, {
+        blobHTTPHeaders: { blobContentType: "application/octet-stream" },
+    });
+    record.verified = { width: result.image.width, height: result.image.height };
+    await saveRecord(record);
+
+    return { errors: [], ...record.verified };
+}
+
+/**
+ * Base64 content of a verified upload, checked against the kind it is being used as
+ */
+async function loadStagedImage(imageId: string, kind: ImageKind, now: Date): Promise<string | null> {
+    const record = await loadRecord(imageId);
+    if (!record || !record.verified || record.kind !== kind || isExpired(record, now)) return null;
+    const containerClient = await getContainerClient();
+    const buffer = await containerClient.getBlockBlobClient(dataBlobName(imageId)).downloadToBuffer();
+    return buffer.toString("base64");
+}
+
+/**
+ * Ids of every staged image a submission refers to
+ */
+export function stagedImageIds(submission: CandidateSubmission): string[] {
+    return [
+        submission.avatarImageId,
+        submission.avatarImageWebpId,
+        submission.titleImageId,
+        submission.titleImageWebpId,
+        ...(submission.additionalImages || []).flatMap(img => [img.imageId, img.webpImageId]),
+    ].filter((id): id is string => !!id);
+}
+
+/**
+ * Replace staged image ids in a submission with their verified content, so the rest of
+ * the pipeline (prepareSubmissionImages, the PR) works the same for inline and staged images.
+ */
+export async function resolveStagedImages(
+    submission: CandidateSubmission,
+    now: Date = new Date()
+): Promise<{ submission: CandidateSubmission; errors: string[] }> {
+    const errors: string[] = [];
+    const resolved: CandidateSubmission = { ...submission };
+    const missing = (label: string) => `${label} upload was not found or has expired. Please upload it again.`;
+
+    // WebP copies are staged as the same kind as the image they copy
+    for (const [idField, field, kind, label] of [
+        ["avatarImageId", "avatarImage", "avatar", IMAGE_RULES.avatar.label],
+        ["avatarImageWebpId", "avatarImageWebp", "avatar", `${IMAGE_RULES.avatar.label} WebP copy`],
+        ["titleImageId", "titleImage", "title", IMAGE_RULES.title.label],
+        ["titleImageWebpId", "titleImageWebp", "title", `${IMAGE_RULES.title.label} WebP copy`],
+    ] as const) {
+        const imageId = submission[idField];
+        if (!imageId) continue;
+        const content = await loadStagedImage(imageId, kind, now);
+        if (content === null) {
+            errors.push(missing(label));
+        } else {
+            resolved[field] = content;
+            delete resolved[idField];
+        }
+    }
+
+    if (submission.additionalImages) {
+        resolved.additionalImages = [];
+        for (const [index, img] of submission.additionalImages.entries()) {
+            const label = `${IMAGE_RULES.inline.label} ${index + 1}`;
+            const { imageId, webpImageId, ...entry } = img;
+            if (imageId) {
+                const content = await loadStagedImage(imageId, "inline", now);
+                if (content === null) errors.push(missing(label));
+                else entry.content = content;
+            }
+            if (webpImageId) {
+                const webp = await loadStagedImage(webpImageId, "inline", now);
+                if (webp === null) errors.push(missing(`${label} WebP copy`));
+                else entry.webp = webp;
+            }
+            resolved.additionalImages.push(entry);
+        }
+    }
+
+    return { submission: resolved, errors };
+}
+
+/**
+ * Remove staged images once they are no longer needed (missing blobs are ignored)
+ */
+export async function deleteStagedImages(imageIds: string[]): Promise<void> {
+    if (imageIds.length === 0) return;
+    const containerClient = await getContainerClient();
+    for (const imageId of imageIds) {
+        await containerClient.getBlockBlobClient(dataBlobName(imageId)).deleteIfExists();
+        await containerClient.getBlockBlobClient(recordBlobName(imageId)).deleteIfExists();
+    }
+}
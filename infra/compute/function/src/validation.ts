@@ -0,0 +1,414 @@
+/**
+ * Server-side validation for candidate form submissions
+ */
+import { BiographySections, CandidateSubmission } from "./types.js";
+
+// Allowed values mirror the <select> options in layouts/running/contribute.html
+export const ALLOWED_CATEGORIES = [
+    "Forest Preserve",
+    "Library Board",
+    "Park District",
+    "School Board",
+    "Township",
+    "Village",
+    "Other Local",
+];
+
+export const ALLOWED_STATES = [
+    "Alabama", "Alaska", "Arizona", "Arkansas", "California", "Colorado", "Connecticut",
+    "Delaware", "Florida", "Georgia", "Hawaii", "Idaho", "Illinois", "Indiana", "Iowa",
+    "Kansas", "Kentucky", "Louisiana", "Maine", "Maryland", "Massachusetts", "Michigan",
+    "Minnesota", "Mississippi", "Missouri", "Montana", "Nebraska", "Nevada", "New Hampshire",
+    "New Jersey", "New Mexico", "New York", "North Carolina", "North Dakota", "Ohio",
+    "Oklahoma", "Oregon", "Pennsylvania", "Rhode Island", "South Carolina", "South Dakota",
+    "Tennessee", "Texas", "Utah", "Vermont", "Virginia", "Washington", "West Virginia",
+    "Wisconsin", "Wyoming",
+];
+
+// Length limits (characters) and array sizes
+export const LIMITS = {
+    candidate: 100,
+    title: 150,
+    party: 50,
+    about: 2000,
+    website: 300,
+    content: 50000,
+    tag: 50,
+    maxTags: 10,
+    maxAdditionalImages: 20,
+    maxPositions: 20,
+    maxExperience: 20,
+    maxEndorsements: 50,
+    sectionName: 150,        // Issue, role, organization and endorser names
+    sectionText: 1000,       // Stances and experience descriptions
+    experienceYears: 50,
+    contactEmail: 254,
+    contactPhone: 30,
+    contactNotes: 2000,
+    submitterName: 100,
+    submitterRelationship: 100,
+    turnstileToken: 2048,
+};
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+// Same "honest mistake" check the form uses, anchored so whitespace and extra @ are rejected
+const EMAIL_PATTERN = /^[a-zA-Z0-9][^\s@]*@[^\s@]+\.[^\s@]+$/;
+const PHONE_PATTERN = /^\+?[0-9 ().-]{7,30}$/;
+const IMAGE_DATA_PATTERN = /^(data:image\/[a-z0-9.+-]+;base64,)?[A-Za-z0-9+/]+={0,2}$/;
+const BASE64_PATTERN = /^[A-Za-z0-9+/]+={0,2}$/;
+const IMAGE_PATH_PATTERN = /^images\/[A-Za-z0-9._-]+$/;
+const PLEDGE_VERSION_PATTERN = /^[A-Za-z0-9.-]{1,20}$/;
+const SHA256_PATTERN = /^[0-9a-f]{64}$/;
+// Staged upload ids are random UUIDs
+export const UPLOAD_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/;
+// Profile folders relative to content/english, dated or legacy
+export const PROFILE_PATH_PATTERN = /^candidates\/(\d{4}\/)?[a-z0-9][a-z0-9-]*$/;
+
+const isString = (value: unknown): value is string => typeof value === "string";
+const isPresent = (value: unknown): boolean => value !== undefined && value !== null && value !== "";
+
+/**
+ * Check an image sent either as base64 content or as a staged upload id, but not both.
+ * Photos may carry a data URI prefix; inline images are bare base64.
+ */
+function checkImageSource(
+    errors: string[],
+    source: { content: unknown; imageId: unknown },
+    label: string,
+    options: { inline: boolean; required: boolean }
+): void {
+    if (isPresent(source.imageId)) {
+        if (!isString(source.imageId) || !UPLOAD_ID_PATTERN.test(source.imageId)) {
+            errors.push(`${label} upload id is invalid`);
+        } else if (isPresent(source.content)) {
+            errors.push(`${label} must be sent either inline or as an upload, not both`);
+        }
+        return;
+    }
+    if (!isPresent(source.content) && !options.required) return;
+    const pattern = options.inline ? BASE64_PATTERN : IMAGE_DATA_PATTERN;
+    if (!isString(source.content) || !pattern.test(source.content)) {
+        errors.push(`${label} must be ${options.inline ? "base64 encoded" : "a base64 encoded image"}`);
+    }
+}
+
+// Alt text that does not describe the image; the form's isPlaceholderAlt uses the same list
+const PLACEHOLDER_ALT_TEXT = ["image", "img", "photo", "picture", "pic", "screenshot", "untitled", "alt text"];
+const FILENAME_ALT_PATTERN = /\.(jpe?g|png|gif|webp|svg)$/;
+const MARKDOWN_IMAGE_PATTERN = /!\[([^\]]*)\]\(/g;
+
+/**
+ * Messages for markdown images whose alt text is empty, a placeholder like "Image", or a file name
+ */
+export function findPlaceholderAltText(content: string): string[] {
+    const errors: string[] = [];
+    let index = 0;
+    for (const match of content.matchAll(MARKDOWN_IMAGE_PATTERN)) {
+        index++;
+        const alt = match[1].trim().toLowerCase();
+        if (!alt || PLACEHOLDER_ALT_TEXT.includes(alt) || FILENAME_ALT_PATTERN.test(alt)) {
+            errors.push(`Biography image ${index} needs a description (alt text) for screen readers`);
+        }
+    }
+    return errors;
+}
+
+// Fields of each structured biography section: [field, label, max length, required]
+const SECTION_FIELDS: Record<keyof BiographySections, {
+    label: string;
+    plural: string;
+    max: number;
+    fields: Array<[string, string, number, boolean]>;
+}> = {
+    positions: {
+        label: "Policy position",
+        plural: "policy positions",
+        max: LIMITS.maxPositions,
+        fields: [["issue", "issue", LIMITS.sectionName, true], ["stance", "stance", LIMITS.sectionText, true]],
+    },
+    experience: {
+        label: "Experience entry",
+        plural: "experience entries",
+        max: LIMITS.maxExperience,
+        fields: [
+            ["role", "role", LIMITS.sectionName, true],
+            ["organization", "organization", LIMITS.sectionName, false],
+            ["years", "years", LIMITS.experienceYears, false],
+            ["description", "description", LIMITS.sectionText, false],
+        ],
+    },
+    endorsements: {
+        label: "Endorsement",
+        plural: "endorsements",
+        max: LIMITS.maxEndorsements,
+        fields: [
+            ["name", "name", LIMITS.sectionName, true],
+            ["organization", "organization", LIMITS.sectionName, false],
+            ["url", "link", LIMITS.website, false],
+        ],
+    },
+};
+
+/**
+ * Validate the structured biography sections. With `partial`, required fields may be
+ * empty (drafts hold rows the candidate has not finished yet).
+ */
+export function checkSections(
+    errors: string[],
+    sections: Partial<Record<keyof BiographySections, unknown>>,
+    options: { partial: boolean } = { partial: false }
+): void {
+    for (const [key, rules] of Object.entries(SECTION_FIELDS)) {
+        const value = sections[key as keyof BiographySections];
+        if (value === undefined || value === null) continue;
+        if (!Array.isArray(value)) {
+            errors.push(`The ${rules.plural} must be a list`);
+            continue;
+        }
+        if (value.length > rules.max) {
+            errors.push(`At most ${rules.max} ${rules.plural} are allowed`);
+        }
+        value.forEach((item: unknown, index) => {
+            const label = `${rules.label} ${index + 1}`;
+            if (!item || typeof item !== "object" || Array.isArray(item)) {
+                errors.push(`${label} is malformed`);
+                return;
+            }
+            const entry = item as Record<string, unknown>;
+            const known = rules.fields.map(([field]) => field);
+            if (Object.keys(entry).some(field => !known.includes(field))) {
+                errors.push(`${label} has unknown fields`);
+            }
+            for (const [field, fieldLabel, maxLength, required] of rules.fields) {
+                if (checkString(errors, entry[field], `${label} ${fieldLabel}`, maxLength, required && !options.partial)
+                    && field === "url" && !isHttpsUrl(entry[field].trim())) {
+                    errors.push(`${label} link must be a valid https:// URL`);
+                }
+            }
+        });
+    }
+}
+
+/**
+ * Check that a string is a base64 image, optionally with a data URI prefix
+ */
+export function isBase64Image(value: string): boolean {
+    return IMAGE_DATA_PATTERN.test(value);
+}
+
+/**
+ * Check that a string is a form image path such as "images/img-abc123-photo.jpg"
+ */
+export function isImagePath(value: string): boolean {
+    return IMAGE_PATH_PATTERN.test(value);
+}
+
+/**
+ * Check that a YYYY-MM-DD string is a real calendar date
+ */
+export function isValidIsoDate(value: string): boolean {
+    if (!DATE_PATTERN.test(value)) return false;
+    const date = new Date(`${value}T00:00:00Z`);
+    return !isNaN(date.getTime()) && date.toISOString().slice(0, 10) === value;
+}
+
+/**
+ * Check that a string is an absolute https:// URL
+ */
+export function isHttpsUrl(value: string): boolean {
+    try {
+        const url = new URL(value);
+        return url.protocol === "https:" && !!url.hostname;
+    } catch {
+        return false;
+    }
+}
+
+export function isValidEmail(value: string): boolean {
+    return EMAIL_PATTERN.test(value);
+}
+
+/**
+ * Validate a required or optional string field, returning any problems found
+ */
+export function checkString(
+    errors: string[],
+    value: unknown,
+    label: string,
+    maxLength: number,
+    required: boolean
+): value is string {
+    if (value === undefined || value === null || value === "") {
+        if (required) errors.push(`${label} is required`);
+        return false;
+    }
+    if (!isString(value)) {
+        errors.push(`${label} must be a string`);
+        return false;
+    }
+    if (required && !value.trim()) {
+        errors.push(`${label} is required`);
+        return false;
+    }
+    if (value.length > maxLength) {
+        errors.push(`${label} must be at most ${maxLength} characters`);
+        return false;
+    }
+    return true;
+}
+
+/**
+ * Validate a submission payload against the CandidateSubmission contract.
+ * Returns every problem found so the form can show them all at once;
+ * an empty array means the payload is safe to treat as a CandidateSubmission.
+ */
+export function validateSubmission(body: unknown): string[] {
+    if (!body || typeof body !== "object" || Array.isArray(body)) {
+        return ["Request body must be a JSON object"];
+    }
+
+    const submission = body as Partial<Record<keyof CandidateSubmission, unknown>>;
+    const errors: string[] = [];
+
+    // Candidate details
+    checkString(errors, submission.candidate, "Candidate name", LIMITS.candidate, true);
+    checkString(errors, submission.title, "Position title", LIMITS.title, true);
+    checkString(errors, submission.party, "Party affiliation", LIMITS.party, true);
+
+    if (checkString(errors, submission.electionDate, "Election date", 10, true)
+        && !isValidIsoDate(submission.electionDate)) {
+        errors.push("Election date must be a valid date in YYYY-MM-DD format");
+    }
+
+    if (checkString(errors, submission.website, "Campaign website", LIMITS.website, false)
+        && !isHttpsUrl(submission.website)) {
+        errors.push("Campaign website must be a valid https:// URL");
+    }
+
+    // Categories are [category, state] as built by the form
+    if (!Array.isArray(submission.categories) || submission.categories.length === 0) {
+        errors.push("Categories are required");
+    } else if (!submission.categories.every(isString)) {
+        errors.push("Categories must be a list of strings");
+    } else {
+        const categories = submission.categories as string[];
+        if (categories.length !== 2) {
+            errors.push("Categories must contain exactly one category and one state");
+        }
+        if (!categories.some(c => ALLOWED_CATEGORIES.includes(c))) {
+            errors.push(`Category must be one of: ${ALLOWED_CATEGORIES.join(", ")}`);
+        }
+        if (!categories.some(c => ALLOWED_STATES.includes(c))) {
+            errors.push("State must be a U.S. state name");
+        }
+        const unknown = categories.filter(c => !ALLOWED_CATEGORIES.includes(c) && !ALLOWED_STATES.includes(c));
+        if (unknown.length > 0) {
+            errors.push(`Unknown categories: ${unknown.join(", ")}`);
+        }
+    }
+
+    // Location tags
+    if (!Array.isArray(submission.tags) || submission.tags.length === 0) {
+        errors.push("At least one location tag is required");
+    } else if (!submission.tags.every(isString)) {
+        errors.push("Tags must be a list of strings");
+    } else {
+        const tags = submission.tags as string[];
+        if (tags.length > LIMITS.maxTags) {
+            errors.push(`At most ${LIMITS.maxTags} tags are allowed`);
+        }
+        if (tags.some(t => !t.trim())) {
+            errors.push("Tags cannot be empty");
+        }
+        if (tags.some(t => t.length > LIMITS.tag)) {
+            errors.push(`Each tag must be at most ${LIMITS.tag} characters`);
+        }
+        if (new Set(tags.map(t => t.toLowerCase())).size !== tags.length) {
+            errors.push("Tags must be unique");
+        }
+    }
+
+    // Biography: the structured sections, the free-form text, or both
+    checkString(errors, submission.about, "About section", LIMITS.about, true);
+    checkSections(errors, submission);
+    const sectionCount = (["positions", "experience", "endorsements"] as const)
+        .reduce((count, key) => count + (Array.isArray(submission[key]) ? (submission[key] as unknown[]).length : 0), 0);
+    if (checkString(errors, submission.content, "Content", LIMITS.content, sectionCount === 0)) {
+        errors.push(...findPlaceholderAltText(submission.content));
+    }
+
+    // Images, sent inline as base64 or staged beforehand with uploadImage
+    for (const [field, idField, webpField, webpIdField, label] of [
+        ["avatarImage", "avatarImageId", "avatarImageWebp", "avatarImageWebpId", "Main photo"],
+        ["titleImage", "titleImageId", "titleImageWebp", "titleImageWebpId", "Title photo"],
+    ] as const) {
+        const photo = { content: submission[field], imageId: submission[idField] };
+        const webp = { content: submission[webpField], imageId: submission[webpIdField] };
+        checkImageSource(errors, photo, label, { inline: false, required: false });
+        checkImageSource(errors, webp, `${label} WebP copy`, { inline: false, required: false });
+        if ((isPresent(webp.content) || isPresent(webp.imageId)) && !isPresent(photo.content) && !isPresent(photo.imageId)) {
+            errors.push(`${label} WebP copy was sent without the photo itself`);
+        }
+    }
+
+    if (submission.additionalImages !== undefined && submission.additionalImages !== null) {
+        if (!Array.isArray(submission.additionalImages)) {
+            errors.push("Inline images must be a list");
+        } else {
+            const images = submission.additionalImages as unknown[];
+            if (images.length > LIMITS.maxAdditionalImages) {
+                errors.push(`At most ${LIMITS.maxAdditionalImages} inline images are allowed`);
+            }
+            images.forEach((img, index) => {
+                const entry = img as { path?: unknown; content?: unknown; imageId?: unknown; webp?: unknown; webpImageId?: unknown } | null;
+                if (!entry || typeof entry !== "object") {
+                    errors.push(`Inline image ${index + 1} is malformed`);
+                    return;
+                }
+                if (!isString(entry.path) || !IMAGE_PATH_PATTERN.test(entry.path)) {
+                    errors.push(`Inline image ${index + 1} has an invalid path`);
+                }
+                checkImageSource(errors, { content: entry.content, imageId: entry.imageId }, `Inline image ${index + 1}`, { inline: true, required: true });
+                checkImageSource(errors, { content: entry.webp, imageId: entry.webpImageId }, `Inline image ${index + 1} WebP copy`, { inline: true, required: false });
+            });
+        }
+    }
+
+    // Pledge acceptance
+    if (checkString(errors, submission.pledgeVersion, "Pledge version", 20, true)
+        && !PLEDGE_VERSION_PATTERN.test(submission.pledgeVersion)) {
+        errors.push("Pledge version is invalid");
+    }
+    if (checkString(errors, submission.pledgeHash, "Pledge hash", 64, true)
+        && !SHA256_PATTERN.test(submission.pledgeHash)) {
+        errors.push("Pledge hash must be a SHA-256 hex digest");
+    }
+
+    // Update mode
+    if (checkString(errors, submission.existingProfilePath, "Existing profile", 200, false)
+        && !PROFILE_PATH_PATTERN.test(submission.existingProfilePath)) {
+        errors.push("Existing profile path is invalid");
+    }
+
+    // Private contact info
+    if (checkString(errors, submission.contactEmail, "Contact email", LIMITS.contactEmail, true)
+        && !isValidEmail(submission.contactEmail.trim())) {
+        errors.push("Contact email must be a valid email address");
+    }
+    if (checkString(errors, submission.contactPhone, "Contact phone", LIMITS.contactPhone, false)
+        && !PHONE_PATTERN.test(submission.contactPhone)) {
+        errors.push("Contact phone must be a valid phone number");
+    }
+    checkString(errors, submission.contactNotes, "Contact notes", LIMITS.contactNotes, false);
+    checkString(errors, submission.submitterName, "Submitter name", LIMITS.submitterName, false);
+    checkString(errors, submission.submitterRelationship, "Submitter relationship", LIMITS.submitterRelationship, false);
+
+    // Security
+    checkString(errors, submission.turnstileToken, "Turnstile token", LIMITS.turnstileToken, true);
+    if (submission.idempotencyKey !== undefined
+        && (!isString(submission.idempotencyKey) || !UPLOAD_ID_PATTERN.test(submission.idempotencyKey))) {
+        errors.push("Idempotency key is invalid");
+    }
+
+    return errors;
+}
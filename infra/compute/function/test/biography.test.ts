@@ -0,0 +1,115 @@
+import type { BiographySections } from "../src/types";
+import {
+    composeBiography,
+    escapeMarkdownText,
+    normalizeSections,
+    renderSectionsMarkdown,
+    sectionsFromFrontmatter,
+    splitBiography,
+} from "../src/biography";
+
+describe("renderSectionsMarkdown", () => {
+    const sections = (): BiographySections => ({
+        positions: [{ issue: "Housing", stance: "Build more homes near transit." }],
+        experience: [
+            { role: "Teacher", organization: "Lake Park High School", years: "2010–2020", description: "Taught civics." },
+            { role: "PTA volunteer" },
+        ],
+        endorsements: [
+            { name: "Jane Roe", organization: "Lake Park Teachers Union", url: "https://example.com/endorse" },
+            { name: "John Doe" },
+        ],
+    });
+
+    test("writes every section in one fixed format", () => {
+        expect(renderSectionsMarkdown(sections())).toBe(`### Policy
+
+- **Housing**: Build more homes near transit.
+
+### Experience
+
+- **Teacher**, Lake Park High School (2010–2020): Taught civics.
+- **PTA volunteer**
+
+### Endorsements
+
+- [Jane Roe](https://example.com/endorse), Lake Park Teachers Union
+- John Doe`);
+    });
+
+    test("leaves out empty sections", () => {
+        expect(renderSectionsMarkdown({ positions: [], endorsements: [{ name: "Jane Roe" }] }))
+            .toBe("### Endorsements\n\n- Jane Roe");
+        expect(renderSectionsMarkdown({})).toBe("");
+    });
+
+    test("escapes markdown in values and keeps them on one line", () => {
+        const markdown = renderSectionsMarkdown({
+            positions: [{ issue: "**Taxes**", stance: "Lower [them](https://evil.example)\n\n# now" }],
+        });
+
+        expect(markdown).toContain("- **\\*\\*Taxes\\*\\***: Lower \\[them\\](https://evil.example) \\# now");
+    });
+
+    test("encodes parentheses and spaces in endorsement links", () => {
+        expect(renderSectionsMarkdown({ endorsements: [{ name: "Jane", url: "https://example.com/a_(b)" }] }))
+            .toContain("[Jane](https://example.com/a_%28b%29)");
+    });
+});
+
+describe("normalizeSections", () => {
+    test("trims values and drops blank fields and entries", () => {
+        expect(normalizeSections({
+            positions: [{ issue: " Housing ", stance: " More homes " }, { issue: "Parks", stance: " " }],
+            experience: [{ role: "Teacher", organization: "", years: " 2010 " }],
+            endorsements: [{ name: "", organization: "Union" }],
+        })).toEqual({
+            positions: [{ issue: "Housing", stance: "More homes" }],
+            experience: [{ role: "Teacher", years: "2010" }],
+            endorsements: [],
+        });
+    });
+});
+
+describe("composeBiography and splitBiography", () => {
+    const sections: BiographySections = { positions: [{ issue: "Housing", stance: "More homes." }] };
+
+    test("puts the sections before the free-form text", () => {
+        expect(composeBiography(sections, "More about me.")).toBe("### Policy\n\n- **Housing**: More homes.\n\nMore about me.");
+        expect(composeBiography(sections, "")).toBe("### Policy\n\n- **Housing**: More homes.");
+        expect(composeBiography({}, "More about me.")).toBe("More about me.");
+    });
+
+    test("splits a composed body back into sections and text", () => {
+        expect(splitBiography(composeBiography(sections, "More about me."), sections))
+            .toEqual({ sections: { positions: sections.positions, experience: [], endorsements: [] }, content: "More about me." });
+        expect(splitBiography(composeBiography(sections, ""), sections).content).toBe("");
+    });
+
+    test("keeps a hand-edited body whole and drops the sections", () => {
+        const body = "### Policy\n\n- **Housing**: More homes, edited by hand.\n\nMore about me.";
+
+        expect(splitBiography(body, sections)).toEqual({ sections: {}, content: body });
+        expect(splitBiography("Just text", {})).toEqual({ sections: {}, content: "Just text" });
+    });
+});
+
+describe("sectionsFromFrontmatter", () => {
+    test("reads well-formed entries and ignores the rest", () => {
+        expect(sectionsFromFrontmatter({
+            positions: [{ issue: "Housing", stance: "More homes" }, "stray text"],
+            experience: [{ role: "Teacher", years: 2010 }],
+            endorsements: "not a list",
+        })).toEqual({
+            positions: [{ issue: "Housing", stance: "More homes" }],
+            experience: [{ role: "Teacher", years: "2010" }],
+            endorsements: [],
+        });
+    });
+});
+
+describe("escapeMarkdownText", () => {
+    test("escapes formatting characters", () => {
+        expect(escapeMarkdownText("a_b <c> `d`")).toBe("a\\_b \\<c\\> \\`d\\`");
+    });
+});
@@ -0,0 +1,65 @@
+import { generateKeyPairSync } from "crypto";
+import { contactEmailHash, contactKeyId, openContactRecord, parsePublicKey, sealContactRecord } from "../src/contactEncryption";
+import type { ContactRecord } from "../src/types";
+
+const { publicKey, privateKey } = generateKeyPairSync("rsa", { modulusLength: 2048 });
+const keys = { publicKey, emailHashKey: "test-hash-key" };
+
+const record = (): ContactRecord => ({
+    correlationId: "123e4567-e89b-42d3-a456-426614174000",
+    submittedAt: "2026-03-01T12:00:00.000Z",
+    contactEmail: "Jane@Example.com",
+    contactPhone: "555-0100",
+    contactNotes: "Call after 5pm",
+    submitterName: "Sam Doe",
+    submitterRelationship: "Campaign manager",
+    candidateName: "Jane Doe",
+    contentPath: "candidates/2026/jane-doe",
+    status: "pending",
+});
+
+describe("sealContactRecord", () => {
+    test("keeps personal fields out of the stored record", () => {
+        const stored = sealContactRecord(record(), keys);
+        const text = JSON.stringify(stored);
+
+        for (const value of ["Jane@Example.com", "555-0100", "Call after 5pm", "Sam Doe", "Campaign manager"]) {
+            expect(text).not.toContain(value);
+        }
+        expect(stored).toMatchObject({ candidateName: "Jane Doe", status: "pending", contentPath: "candidates/2026/jane-doe" });
+        expect(stored.sealed?.keyId).toBe(contactKeyId(publicKey));
+        expect(stored.contactEmailHash).toBe(contactEmailHash(" jane@example.com", "test-hash-key"));
+    });
+
+    test("uses a new data key for every record", () => {
+        expect(sealContactRecord(record(), keys).sealed?.wrappedKey).not.toBe(sealContactRecord(record(), keys).sealed?.wrappedKey);
+    });
+});
+
+describe("openContactRecord", () => {
+    test("restores the record with the private key", () => {
+        expect(openContactRecord(sealContactRecord(record(), keys), privateKey)).toEqual(record());
+    });
+
+    test("refuses sealed fields moved to another record", () => {
+        const stored = { ...sealContactRecord(record(), keys), correlationId: "00000000-0000-4000-8000-000000000000" };
+        expect(() => openContactRecord(stored, privateKey)).toThrow();
+    });
+
+    test("names the key a record was sealed with when given another", () => {
+        const other = generateKeyPairSync("rsa", { modulusLength: 2048 }).privateKey;
+        expect(() => openContactRecord(sealContactRecord(record(), keys), other))
+            .toThrow(`was sealed with key ${contactKeyId(publicKey)}`);
+    });
+
+    test("returns records stored before encryption as they are", () => {
+        expect(openContactRecord(record(), privateKey)).toEqual(record());
+    });
+});
+
+describe("parsePublicKey", () => {
+    test("accepts keys with escaped newlines from app settings", () => {
+        const pem = publicKey.export({ type: "spki", format: "pem" }).toString().replace(/\n/g, "\\n");
+        expect(contactKeyId(parsePublicKey(pem))).toBe(contactKeyId(publicKey));
+    });
+});
@@ -0,0 +1,144 @@
+import { generateKeyPairSync } from "crypto";
+import { mkdtempSync, rmSync, statSync } from "fs";
+import { tmpdir } from "os";
+import { join } from "path";
+import { findProfileOwner, isContactEmailOf, loadContactRecord, loadProfileOwner, registerProfileClaim, storeContactInfo, updateContactRecord } from "../src/contacts";
+import { openContactRecord } from "../src/contactEncryption";
+import { createFileContactStore, createMemoryContactStore } from "../src/contactStore";
+import type { ContactRecord } from "../src/types";
+
+const { publicKey, privateKey } = generateKeyPairSync("rsa", { modulusLength: 2048 });
+const keys = { publicKey, emailHashKey: "test-hash-key" };
+const CORRELATION_ID = "123e4567-e89b-42d3-a456-426614174000";
+
+const record = (): ContactRecord => ({
+    correlationId: CORRELATION_ID,
+    submittedAt: "2026-03-01T12:00:00.000Z",
+    contactEmail: "jane@example.com",
+    contactPhone: "555-0100",
+    candidateName: "Jane Doe",
+    contentPath: "candidates/2026/jane-doe",
+    status: "pending",
+});
+
+describe("contact records", () => {
+    test("are stored sealed and only the private key opens them", async () => {
+        const store = createMemoryContactStore();
+
+        await storeContactInfo(store, record(), keys);
+
+        expect(store.documents.get(`${CORRELATION_ID}.json`)).not.toContain("jane@example.com");
+        const stored = await loadContactRecord(store, CORRELATION_ID);
+        expect(stored?.contactEmail).toBeUndefined();
+        expect(openContactRecord(stored!, privateKey)).toEqual(record());
+    });
+
+    test("status updates keep the sealed fields", async () => {
+        const store = createMemoryContactStore();
+        await storeContactInfo(store, record(), keys);
+        const stored = (await loadContactRecord(store, CORRELATION_ID))!;
+
+        await updateContactRecord(store, stored, { status: "submitted", pullRequestUrl: "https://github.com/o/r/pull/1" });
+
+        const updated = (await loadContactRecord(store, CORRELATION_ID))!;
+        expect(updated.sealed).toEqual(stored.sealed);
+        expect(openContactRecord(updated, privateKey)).toMatchObject({ status: "submitted", contactPhone: "555-0100" });
+    });
+
+    test("are stored in the clear without keys (local dev)", async () => {
+        const store = createMemoryContactStore();
+
+        await storeContactInfo(store, record(), null);
+
+        expect(await loadContactRecord(store, CORRELATION_ID)).toEqual(record());
+    });
+});
+
+describe("profile ownership", () => {
+    const SQUATTER_ID = "00000000-0000-4000-8000-000000000000";
+    const PATH = "candidates/2026/jane-doe";
+
+    // The squatter submitted first, but only Jane's pull request was merged
+    async function claimedTwice() {
+        const store = createMemoryContactStore();
+        await storeContactInfo(store, { ...record(), correlationId: SQUATTER_ID, submittedAt: "2026-02-01T00:00:00.000Z", contactEmail: "squatter@example.com", pullRequestUrl: "https://github.com/o/r/pull/1" }, keys);
+        await storeContactInfo(store, { ...record(), pullRequestUrl: "https://github.com/o/r/pull/2" }, keys);
+        await registerProfileClaim(store, PATH, SQUATTER_ID);
+        await registerProfileClaim(store, PATH, CORRELATION_ID);
+        return store;
+    }
+
+    test("the submission whose change was published owns the profile", async () => {
+        const store = await claimedTwice();
+        const isPublished = jest.fn(async (url: string) => url.endsWith("/pull/2"));
+
+        const owner = await findProfileOwner(store, PATH, isPublished);
+
+        expect(owner?.correlationId).toBe(CORRELATION_ID);
+        expect((await loadProfileOwner(store, PATH))?.correlationId).toBe(CORRELATION_ID);
+        // Recorded, so GitHub is not asked again
+        isPublished.mockClear();
+        expect((await findProfileOwner(store, PATH, isPublished))?.correlationId).toBe(CORRELATION_ID);
+        expect(isPublished).not.toHaveBeenCalled();
+    });
+
+    test("nobody owns a profile until a claim is published", async () => {
+        const store = await claimedTwice();
+
+        expect(await findProfileOwner(store, PATH, async () => false)).toBeNull();
+        expect(await loadProfileOwner(store, PATH)).toBeNull();
+        expect(await findProfileOwner(store, "candidates/2026/nobody", async () => true)).toBeNull();
+    });
+
+    test("reads the single-entry index written before claims", async () => {
+        const store = createMemoryContactStore();
+        await storeContactInfo(store, { ...record(), pullRequestUrl: "https://github.com/o/r/pull/2" }, keys);
+        await store.write(`profiles/${PATH}.json`, JSON.stringify({ correlationId: CORRELATION_ID }));
+
+        expect((await findProfileOwner(store, PATH, async () => true))?.correlationId).toBe(CORRELATION_ID);
+    });
+
+    test("matches the contact email by hash, ignoring case and spaces", async () => {
+        const store = createMemoryContactStore();
+        await storeContactInfo(store, record(), keys);
+        const stored = (await loadContactRecord(store, CORRELATION_ID))!;
+
+        expect(isContactEmailOf(stored, " Jane@Example.com ", "test-hash-key")).toBe(true);
+        expect(isContactEmailOf(stored, "someone@example.com", "test-hash-key")).toBe(false);
+        expect(isContactEmailOf(stored, "jane@example.com", null)).toBe(false);
+    });
+
+    test("matches records stored before encryption directly", () => {
+        expect(isContactEmailOf(record(), "JANE@example.com", "test-hash-key")).toBe(true);
+    });
+});
+
+describe("createFileContactStore", () => {
+    let directory: string;
+
+    beforeEach(() => {
+        directory = mkdtempSync(join(tmpdir(), "contacts-"));
+    });
+
+    afterEach(() => {
+        rmSync(directory, { recursive: true, force: true });
+    });
+
+    test("reads back what it writes, with files only the owner can read", async () => {
+        const store = createFileContactStore(directory);
+
+        expect(await store.write("profiles/candidates/2026/jane-doe.json", "{}", { onlyIfNew: true })).toBe(true);
+        expect(await store.write("profiles/candidates/2026/jane-doe.json", "{\"x\":1}", { onlyIfNew: true })).toBe(false);
+        expect(await store.read("profiles/candidates/2026/jane-doe.json")).toBe("{}");
+        expect(await store.read("missing.json")).toBeNull();
+        expect(await store.list("profiles/candidates/2026/")).toEqual(["profiles/candidates/2026/jane-doe.json"]);
+        expect(await store.list("drafts/")).toEqual([]);
+        expect(statSync(join(directory, "profiles/candidates/2026/jane-doe.json")).mode & 0o777).toBe(0o600);
+    });
+
+    test("refuses names outside its directory", async () => {
+        const store = createFileContactStore(directory);
+
+        await expect(store.write("../escape.json", "{}")).rejects.toThrow("outside the contact store");
+    });
+});
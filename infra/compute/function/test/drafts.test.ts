@@ -0,0 +1,126 @@
+import { DRAFT_TTL_DAYS, createDraftToken, draftBlobName, draftExpiresAt, isValidDraftToken, openDraft, sealDraft, validateDraft } from "../src/drafts";
+import type { CandidateDraft } from "../src/types";
+
+const PNG = "data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChwGA60e6kgAAAABJRU5ErkJggg==";
+
+const validDraft = () => ({
+    fields: { candidate: "Jane Doe", contactEmail: "jane@example.com" },
+    tags: ["education"],
+    content: "## About\n\n![Image](image:img-abc123)",
+    images: [{ id: "img-abc123", filename: "images/img-abc123-photo.png", data: PNG }],
+    avatarImage: PNG,
+});
+
+describe("draft tokens", () => {
+    test("creates URL-safe tokens that validate", () => {
+        const token = createDraftToken();
+
+        expect(token).toMatch(/^[A-Za-z0-9_-]{32}$/);
+        expect(isValidDraftToken(token)).toBe(true);
+        expect(createDraftToken()).not.toBe(token);
+    });
+
+    test("rejects malformed tokens", () => {
+        expect(isValidDraftToken(undefined)).toBe(false);
+        expect(isValidDraftToken("short")).toBe(false);
+        expect(isValidDraftToken("../".repeat(11) + "ab")).toBe(false);
+    });
+
+    test("names blobs by token hash", () => {
+        const token = createDraftToken();
+        const name = draftBlobName(token);
+
+        expect(name).toMatch(/^drafts\/[0-9a-f]{64}\.json$/);
+        expect(name).not.toContain(token);
+    });
+
+    test("expires drafts after the retention period", () => {
+        const savedAt = new Date("2026-01-01T00:00:00Z");
+
+        expect(draftExpiresAt(savedAt).getTime() - savedAt.getTime()).toBe(DRAFT_TTL_DAYS * 24 * 60 * 60 * 1000);
+    });
+});
+
+describe("sealDraft", () => {
+    const savedAt = new Date("2026-01-01T00:00:00Z");
+    const draft = (): CandidateDraft => ({
+        ...validDraft(),
+        fields: { ...validDraft().fields, contactPhone: "555-0100", contactNotes: "Call after 5pm" },
+    });
+
+    test("keeps contact details out of the stored draft", () => {
+        const stored = sealDraft(createDraftToken(), draft(), savedAt);
+        const text = JSON.stringify(stored);
+
+        for (const value of ["jane@example.com", "555-0100", "Call after 5pm"]) {
+            expect(text).not.toContain(value);
+        }
+        expect(stored.draft.fields).toEqual({ candidate: "Jane Doe" });
+        expect(stored.savedAt).toBe(savedAt.toISOString());
+    });
+
+    test("opens only with the draft's own token", () => {
+        const token = createDraftToken();
+        const stored = sealDraft(token, draft(), savedAt);
+
+        expect(openDraft(token, stored)).toEqual(draft());
+        expect(() => openDraft(createDraftToken(), stored)).toThrow();
+    });
+
+    test("returns drafts saved before encryption as they are", () => {
+        expect(openDraft(createDraftToken(), { savedAt: savedAt.toISOString(), draft: draft() })).toEqual(draft());
+    });
+});
+
+describe("validateDraft", () => {
+    test("accepts a partial draft", () => {
+        expect(validateDraft(validDraft())).toEqual([]);
+        expect(validateDraft({ fields: {}, tags: [], images: [] })).toEqual([]);
+    });
+
+    test("rejects non-objects", () => {
+        expect(validateDraft(null)).toEqual(["Draft must be a JSON object"]);
+        expect(validateDraft([])).toEqual(["Draft must be a JSON object"]);
+    });
+
+    test("rejects unknown and oversized fields", () => {
+        const errors = validateDraft({ ...validDraft(), fields: { turnstileToken: "x", candidate: "a".repeat(101) } });
+
+        expect(errors).toContain("Unknown draft field: turnstileToken");
+        expect(errors.some(e => e.startsWith("Draft field candidate"))).toBe(true);
+    });
+
+    test("accepts unfinished section rows but checks their shape", () => {
+        expect(validateDraft({ ...validDraft(), sections: { positions: [{ issue: "Housing", stance: "" }] } })).toEqual([]);
+        expect(validateDraft({ ...validDraft(), sections: { awards: [] } })).toEqual(["Unknown draft sections: awards"]);
+        expect(validateDraft({ ...validDraft(), sections: { endorsements: [{ name: 1 }] } }))
+            .toEqual(["Endorsement 1 name must be a string"]);
+    });
+
+    test("rejects non-string tags", () => {
+        expect(validateDraft({ ...validDraft(), tags: [{ html: "<b>" }] })[0]).toMatch(/^Draft tags/);
+    });
+
+    test("rejects images that are not data URLs", () => {
+        const draft = { ...validDraft(), images: [{ id: "img-abc123", filename: "images/img-abc123-photo.png", data: "javascript:alert(1)" }] };
+
+        expect(validateDraft(draft)).toEqual(["Draft image 1 is malformed"]);
+    });
+
+    test("rejects unsafe image ids and filenames", () => {
+        expect(validateDraft({ ...validDraft(), images: [{ id: "img-\"onerror", filename: "images/img-abc123-photo.png", data: PNG }] }))
+            .toEqual(["Draft image 1 is malformed"]);
+        expect(validateDraft({ ...validDraft(), images: [{ id: "img-abc", filename: "images/../x.png", data: PNG }] }))
+            .toEqual(["Draft image 1 is malformed"]);
+    });
+
+    test("rejects a non-image main photo", () => {
+        expect(validateDraft({ ...validDraft(), avatarImage: "https://example.com/a.png" }))
+            .toEqual(["Main photo must be an image data URL"]);
+    });
+
+    test("checks the existing profile path", () => {
+        expect(validateDraft({ ...validDraft(), existingProfilePath: "candidates/2026/jane-doe" })).toEqual([]);
+        expect(validateDraft({ ...validDraft(), existingProfilePath: "../secrets" })).toEqual(["Existing profile path is invalid"]);
+    });
+});
@@ -0,0 +1,117 @@
+import { Octokit } from "@octokit/rest";
+import { findPossibleDuplicates, formatDuplicateNotice, hasPossibleDuplicates } from "../src/duplicates";
+
+const options = {
+    owner: "testowner",
+    repo: "testrepo",
+    formRepo: "testrepo-formsubmissions",
+    baseBranch: "main",
+    slug: "jane-doe",
+    year: "2026",
+};
+
+function mockOctokit({
+    existingPaths = [] as string[],
+    pulls = [] as Array<{ number: number; ref: string; repo: string; files: string[] }>,
+} = {}) {
+    const notFound = Object.assign(new Error("Not Found"), { status: 404 });
+    const listFiles = jest.fn(async ({ pull_number }: { pull_number: number }) => ({
+        data: (pulls.find(p => p.number === pull_number)?.files || []).map(filename => ({ filename })),
+    }));
+    return {
+        repos: {
+            getContent: jest.fn(async ({ path }: { path: string }) => {
+                if (existingPaths.some(p => `${p}/index.md` === path)) return { data: {} };
+                throw notFound;
+            }),
+        },
+        pulls: {
+            list: jest.fn(),
+            listFiles,
+        },
+        // Every page at once: the files of one PR, or the open PRs
+        paginate: jest.fn(async (method: unknown, params: { pull_number: number }) => method === listFiles
+            ? (await listFiles(params)).data
+            : pulls.map(p => ({
+                number: p.number,
+                title: `Add Candidate Jane Doe`,
+                html_url: `https://github.com/testowner/testrepo/pull/${p.number}`,
+                head: { ref: p.ref, repo: { full_name: p.repo } },
+            }))),
+    } as unknown as Octokit;
+}
+
+describe("findPossibleDuplicates", () => {
+    test("returns nothing for a new candidate", async () => {
+        const result = await findPossibleDuplicates(mockOctokit(), options);
+
+        expect(hasPossibleDuplicates(result)).toBe(false);
+        expect(formatDuplicateNotice(result)).toBe("");
+    });
+
+    test("finds published profiles in the election year and legacy folders", async () => {
+        const octokit = mockOctokit({
+            existingPaths: [
+                "src/content/english/candidates/2026/jane-doe",
+                "src/content/english/candidates/jane-doe",
+            ],
+        });
+
+        const result = await findPossibleDuplicates(octokit, options);
+
+        expect(result.existingProfiles.map(p => p.path)).toEqual([
+            "src/content/english/candidates/2026/jane-doe",
+            "src/content/english/candidates/jane-doe",
+        ]);
+        expect(result.existingProfiles[0].url)
+            .toBe("https://github.com/testowner/testrepo/tree/main/src/content/english/candidates/2026/jane-doe");
+    });
+
+    test("finds open form PRs for the same slug and election year only", async () => {
+        const octokit = mockOctokit({
+            pulls: [
+                { number: 1, ref: "form-jane-doe-aaaaaaaa", repo: "testowner/testrepo-formsubmissions", files: ["src/content/english/candidates/2026/jane-doe/index.md"] },
+                { number: 2, ref: "form-jane-doe-bbbbbbbb", repo: "testowner/testrepo-formsubmissions", files: ["src/content/english/candidates/2024/jane-doe/index.md"] },
+                { number: 3, ref: "form-jane-doe-smith-cccccccc", repo: "testowner/testrepo-formsubmissions", files: ["src/content/english/candidates/2026/jane-doe-smith/index.md"] },
+                { number: 4, ref: "form-jane-doe-dddddddd", repo: "someone/fork", files: ["src/content/english/candidates/2026/jane-doe/index.md"] },
+            ],
+        });
+
+        const result = await findPossibleDuplicates(octokit, options);
+
+        expect(result.openPullRequests.map(pr => pr.number)).toEqual([1]);
+    });
+
+    test("reads every page of a PR's files", async () => {
+        // Sorted before the profile folder, so index.md is on the second page
+        const images = Array.from({ length: 150 }, (_, i) => `src/assets/images/img-${i}.png`);
+        const octokit = mockOctokit({
+            pulls: [{ number: 5, ref: "form-jane-doe-eeeeeeee", repo: "testowner/testrepo-formsubmissions", files: [...images, "src/content/english/candidates/2026/jane-doe/index.md"] }],
+        });
+
+        const result = await findPossibleDuplicates(octokit, options);
+
+        expect(result.openPullRequests.map(pr => pr.number)).toEqual([5]);
+        expect(octokit.paginate).toHaveBeenCalledWith(octokit.pulls.listFiles, expect.objectContaining({ pull_number: 5 }));
+    });
+
+    test("propagates unexpected GitHub errors", async () => {
+        const octokit = mockOctokit();
+        (octokit.repos.getContent as unknown as jest.Mock).mockRejectedValueOnce(Object.assign(new Error("Server Error"), { status: 500 }));
+
+        await expect(findPossibleDuplicates(octokit, options)).rejects.toThrow("Server Error");
+    });
+});
+
+describe("formatDuplicateNotice", () => {
+    test("lists profiles and PRs for reviewers", () => {
+        const notice = formatDuplicateNotice({
+            existingProfiles: [{ path: "src/content/english/candidates/2026/jane-doe", url: "https://example.com/p" }],
+            openPullRequests: [{ number: 7, url: "https://example.com/7", title: "Add Candidate Jane Doe" }],
+        });
+
+        expect(notice).toContain("## ⚠️ Possible Duplicate");
+        expect(notice).toContain("[`src/content/english/candidates/2026/jane-doe`](https://example.com/p)");
+        expect(notice).toContain("- Open PR: #7 Add Candidate Jane Doe");
+    });
+});
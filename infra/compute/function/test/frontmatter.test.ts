@@ -0,0 +1,255 @@
+import type { CandidateSubmission } from "../src/types";
+import {
+    buildFrontmatterData,
+    generateFrontmatter,
+    parseMarkdownDocument,
+    updateFrontmatter,
+    verifyMarkdownRoundTrip,
+} from "../src/frontmatter";
+
+describe("generateFrontmatter", () => {
+    const baseSubmission = (): CandidateSubmission => ({
+        candidate: "Test Candidate",
+        title: "School Board Member",
+        party: "Independent",
+        electionDate: "2026-04-01",
+        categories: ["School Board", "Illinois"],
+        tags: ["Lake Park", "High School"],
+        about: "Test bio about the candidate",
+        content: "### Policy\n\nTest policy content",
+        contactEmail: "test@example.com",
+        pledgeVersion: "2026",
+        pledgeHash: "3ac8dbaa718390d3369e12734bde08743b1e85f7ff7bde540d061556813c7c4b",
+        turnstileToken: "test-token",
+    });
+
+    test("generates Hugo frontmatter with all fields in archetype order", () => {
+        const markdown = generateFrontmatter(
+            { ...baseSubmission(), website: "https://example.com" },
+            "test-candidate-avatar.jpg",
+            "test-candidate-title.jpg"
+        );
+
+        expect(markdown).toBe(`---
+title: "School Board Member"
+meta_title: "Test Candidate for School Board Member"
+description: "Test Candidate for School Board Member"
+candidate: "Test Candidate"
+party: "Independent"
+election_date: 2026-04-01T12:00:00Z
+image: "test-candidate-title.jpg"
+categories: [ "School Board", "Illinois" ]
+tags: [ "Lake Park", "High School" ]
+draft: false
+avatar: "test-candidate-avatar.jpg"
+about: "Test bio about the candidate"
+pledge_version: "2026"
+website: "https://example.com"
+---
+
+### Policy
+
+Test policy content
+`);
+    });
+
+    test("omits website and leaves images empty when not provided", () => {
+        const { data } = parseMarkdownDocument(generateFrontmatter(baseSubmission()));
+
+        expect(data.website).toBeUndefined();
+        expect(data.avatar).toBe("");
+        expect(data.image).toBe("");
+    });
+
+    test("escapes quotes, backslashes and colons in every field", () => {
+        const submission = {
+            ...baseSubmission(),
+            candidate: 'Test "Nickname" Candidate',
+            title: "Mayor's Assistant: Ward \\ 3",
+            party: 'Independent"',
+            about: 'A candidate with "quotes" and special chars',
+        };
+
+        const { data } = parseMarkdownDocument(generateFrontmatter(submission));
+
+        expect(data.candidate).toBe('Test "Nickname" Candidate');
+        expect(data.title).toBe("Mayor's Assistant: Ward \\ 3");
+        expect(data.party).toBe('Independent"');
+        expect(data.about).toBe('A candidate with "quotes" and special chars');
+    });
+
+    test("cannot inject keys or close the frontmatter block", () => {
+        const submission = {
+            ...baseSubmission(),
+            title: 'Board"\ndraft: true\nextra: "x',
+            about: "Bio\n---\nlayout: evil",
+            tags: ["Lake Park\"]\nlayout: evil\n#"],
+        };
+
+        const markdown = generateFrontmatter(submission);
+        const { data, body } = parseMarkdownDocument(markdown);
+
+        expect(data.draft).toBe(false);
+        expect(data).not.toHaveProperty("extra");
+        expect(data).not.toHaveProperty("layout");
+        expect(data.title).toBe(submission.title);
+        expect(data.about).toBe(submission.about);
+        expect(data.tags).toEqual(submission.tags);
+        expect(body).toBe("### Policy\n\nTest policy content\n");
+    });
+});
+
+describe("structured sections", () => {
+    const submission = (): CandidateSubmission => ({
+        candidate: "Test Candidate",
+        title: "School Board Member",
+        party: "Independent",
+        electionDate: "2026-04-01",
+        categories: ["School Board", "Illinois"],
+        tags: ["Lake Park"],
+        about: "Bio",
+        positions: [{ issue: "Housing", stance: "More homes" }],
+        endorsements: [{ name: "Jane Roe", organization: "" }],
+        content: "### Policy\n\n- **Housing**: More homes",
+        contactEmail: "test@example.com",
+        pledgeVersion: "2026",
+        pledgeHash: "3ac8dbaa718390d3369e12734bde08743b1e85f7ff7bde540d061556813c7c4b",
+        turnstileToken: "test-token",
+    });
+
+    test("writes non-empty sections as block-style frontmatter lists", () => {
+        const markdown = generateFrontmatter(submission());
+
+        expect(markdown).toContain('tags: [ "Lake Park" ]');
+        expect(markdown).toContain('positions:\n  - issue: "Housing"\n    stance: "More homes"\n');
+        expect(markdown).toContain('endorsements:\n  - name: "Jane Roe"\n');
+        expect(markdown).not.toContain("experience:");
+    });
+
+    test("removes a section that was emptied on update", () => {
+        const existing = generateFrontmatter(submission());
+        const { data } = parseMarkdownDocument(updateFrontmatter(existing, { ...submission(), endorsements: [] }));
+
+        expect(data.positions).toEqual([{ issue: "Housing", stance: "More homes" }]);
+        expect("endorsements" in data).toBe(false);
+    });
+});
+
+describe("verifyMarkdownRoundTrip", () => {
+    const submission: CandidateSubmission = {
+        candidate: "Test Candidate",
+        title: "School Board",
+        party: "Independent",
+        electionDate: "2026-04-01",
+        categories: ["School Board", "Illinois"],
+        tags: ["Lake Park"],
+        about: "Bio",
+        content: "Content",
+        contactEmail: "test@example.com",
+        pledgeVersion: "2026",
+        pledgeHash: "3ac8dbaa718390d3369e12734bde08743b1e85f7ff7bde540d061556813c7c4b",
+        turnstileToken: "test-token",
+    };
+
+    test("rejects documents with extra keys", () => {
+        const expected = buildFrontmatterData(submission);
+        const markdown = generateFrontmatter(submission).replace("draft: false", "draft: false\nlayout: evil");
+
+        expect(() => verifyMarkdownRoundTrip(markdown, expected, submission.content)).toThrow(/expected keys/);
+    });
+
+    test("rejects documents with changed values", () => {
+        const expected = buildFrontmatterData(submission);
+        const markdown = generateFrontmatter(submission).replace("draft: false", "draft: true");
+
+        expect(() => verifyMarkdownRoundTrip(markdown, expected, submission.content)).toThrow(/"draft"/);
+    });
+
+    test("rejects documents without frontmatter", () => {
+        expect(() => parseMarkdownDocument("# Just markdown")).toThrow(/frontmatter/);
+    });
+});
+
+describe("updateFrontmatter", () => {
+    // Hand-edited profile as found in the content tree
+    const existing = `---
+title: "School Board"
+meta_title: "Test Candidate for the Lake Park School Board"
+description: "Test Candidate for the Lake Park School Board"
+candidate: "Test Candidate"
+party: "Independent"
+election_date: 2026-04-01T12:00:00Z
+image: "test-candidate-title.jpg"
+categories: ["School Board","Illinois"]
+tags: ["Lake Park"]
+draft: false
+avatar: "test-candidate-avatar.jpg"
+about: "Bio"
+website: "https://example.com"
+weight: 3
+---
+
+Old content
+`;
+
+    const submission = (): CandidateSubmission => ({
+        candidate: "Test Candidate",
+        title: "School Board",
+        party: "Independent",
+        electionDate: "2026-04-01",
+        categories: ["School Board", "Illinois"],
+        tags: ["Lake Park"],
+        about: "Bio",
+        website: "https://example.com",
+        content: "New content",
+        contactEmail: "test@example.com",
+        pledgeVersion: "2026",
+        pledgeHash: "3ac8dbaa718390d3369e12734bde08743b1e85f7ff7bde540d061556813c7c4b",
+        turnstileToken: "test-token",
+    });
+
+    test("only rewrites values that changed", () => {
+        const markdown = updateFrontmatter(
+            existing,
+            { ...submission(), about: "Updated bio" },
+            "test-candidate-avatar.jpg",
+            "test-candidate-title.jpg"
+        );
+
+        expect(markdown).toContain('about: "Updated bio"');
+        expect(markdown).toContain('meta_title: "Test Candidate for the Lake Park School Board"');
+        expect(markdown).toContain("election_date: 2026-04-01T12:00:00Z");
+        expect(markdown).toContain("weight: 3");
+        expect(markdown.endsWith("---\n\nNew content\n")).toBe(true);
+    });
+
+    test("regenerates SEO fields when the office changes", () => {
+        const { data } = parseMarkdownDocument(updateFrontmatter(existing, { ...submission(), title: "Village Trustee" }));
+
+        expect(data.meta_title).toBe("Test Candidate for Village Trustee");
+        expect(data.description).toBe("Test Candidate for Village Trustee");
+    });
+
+    test("removes the website when it is cleared and applies new image names", () => {
+        const { data } = parseMarkdownDocument(updateFrontmatter(
+            existing,
+            { ...submission(), website: undefined },
+            "test-candidate-avatar.png",
+            "test-candidate-title.jpg"
+        ));
+
+        expect(data).not.toHaveProperty("website");
+        expect(data.avatar).toBe("test-candidate-avatar.png");
+        expect(data.weight).toBe(3);
+    });
+
+    test("keeps user input inside its values", () => {
+        const { data } = parseMarkdownDocument(updateFrontmatter(
+            existing,
+            { ...submission(), about: 'Bio"\ndraft: true\n---' }
+        ));
+
+        expect(data.draft).toBe(false);
+        expect(data.about).toBe('Bio"\ndraft: true\n---');
+    });
+});
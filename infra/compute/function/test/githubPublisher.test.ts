@@ -0,0 +1,166 @@
+import { InvocationContext } from "@azure/functions";
+import { Octokit } from "@octokit/rest";
+import type { CandidateSubmission } from "../src/types";
+import type { PreparedImages } from "../src/images";
+import { createGitHubPublisher } from "../src/githubPublisher";
+import { createCandidatePR } from "../src/pullRequest";
+import { createRollback } from "../src/rollback";
+
+const target = { owner: "testowner", repo: "testrepo", formRepo: "testrepo-formsubmissions" };
+const correlationId = "123e4567-e89b-42d3-a456-426614174000";
+
+const submission = (): CandidateSubmission => ({
+    candidate: "Jane Doe",
+    title: "School Board Member",
+    party: "Independent",
+    electionDate: "2026-04-01",
+    categories: ["School Board", "Illinois"],
+    tags: ["Lake Park"],
+    about: "Parent and teacher.",
+    content: "About Jane.",
+    contactEmail: "jane@example.com",
+    pledgeVersion: "2026",
+    pledgeHash: "3ac8dbaa718390d3369e12734bde08743b1e85f7ff7bde540d061556813c7c4b",
+    turnstileToken: "test-token",
+});
+
+const images = (): PreparedImages => ({
+    avatar: { type: "jpeg", extension: "jpg", data: Buffer.from("avatar"), width: 800, height: 800 },
+    inline: [],
+});
+
+const context = () => ({ log: jest.fn(), warn: jest.fn(), error: jest.fn() } as unknown as InvocationContext);
+
+// The GitHub calls a new submission makes, in order
+const STEPS = [
+    "repos.get",
+    "git.getRef",
+    "git.createRef",
+    "git.getTree",
+    "git.createBlob",
+    "git.createTree",
+    "git.createCommit",
+    "git.updateRef",
+    "pulls.create",
+] as const;
+
+function mockOctokit(failAt?: string) {
+    const notFound = Object.assign(new Error("Not Found"), { status: 404 });
+    const call = <T>(name: string, result: T) => jest.fn(async () => {
+        if (name === failAt) throw new Error(`${name} failed`);
+        return { data: result };
+    });
+    return {
+        repos: {
+            get: call("repos.get", { default_branch: "main" }),
+            getContent: jest.fn(async () => { throw notFound; }),
+        },
+        git: {
+            getRef: call("git.getRef", { object: { sha: "base-sha" } }),
+            createRef: call("git.createRef", {}),
+            deleteRef: jest.fn(async () => ({ data: {} })),
+            getTree: call("git.getTree", { sha: "tree-sha" }),
+            createBlob: call("git.createBlob", { sha: "blob-sha" }),
+            createTree: call("git.createTree", { sha: "new-tree-sha" }),
+            createCommit: call("git.createCommit", { sha: "commit-sha" }),
+            updateRef: call("git.updateRef", {}),
+        },
+        pulls: {
+            list: jest.fn(),
+            create: call("pulls.create", { number: 7, html_url: "https://github.com/testowner/testrepo/pull/7" }),
+            update: jest.fn(async () => ({ data: {} })),
+            get: jest.fn(async () => ({ data: { merged_at: null as string | null } })),
+        },
+        issues: {
+            addLabels: jest.fn(async () => ({ data: {} })),
+            createComment: jest.fn(async () => ({ data: {} })),
+        },
+        paginate: jest.fn(async () => []),
+    };
+}
+
+const publisherFor = (octokit: ReturnType<typeof mockOctokit>) => createGitHubPublisher(octokit as unknown as Octokit, target);
+
+describe("GitHub publisher", () => {
+    test("opens the PR without undoing anything when every call succeeds", async () => {
+        const octokit = mockOctokit();
+        const rollback = createRollback();
+
+        const url = await createCandidatePR(publisherFor(octokit), submission(), images(), correlationId, context(), rollback);
+
+        expect(url).toBe("https://github.com/testowner/testrepo/pull/7");
+        expect(octokit.pulls.create).toHaveBeenCalledWith(expect.objectContaining({
+            title: "Add Candidate Jane Doe",
+            head: "form-jane-doe-123e4567",
+            head_repo: "testowner/testrepo-formsubmissions",
+            base: "main",
+            body: expect.stringContaining("## New Candidate Submission"),
+        }));
+        expect(octokit.issues.addLabels).toHaveBeenCalledWith(expect.objectContaining({
+            labels: ["form-submission", "category: School Board", "state: Illinois"],
+        }));
+        expect(octokit.git.deleteRef).not.toHaveBeenCalled();
+        expect(octokit.pulls.update).not.toHaveBeenCalled();
+    });
+
+    test.each(STEPS)("removes what was created when %s fails", async (step) => {
+        const octokit = mockOctokit(step);
+        const rollback = createRollback();
+
+        await expect(createCandidatePR(publisherFor(octokit), submission(), images(), correlationId, context(), rollback))
+            .rejects.toThrow(`${step} failed`);
+        expect(await rollback.run()).toEqual([]);
+
+        // The branch exists once createRef has succeeded; the PR never does when a step fails
+        const branchCreated = STEPS.indexOf(step) > STEPS.indexOf("git.createRef");
+        if (branchCreated) {
+            expect(octokit.git.deleteRef).toHaveBeenCalledWith({
+                owner: "testowner",
+                repo: "testrepo-formsubmissions",
+                ref: "heads/form-jane-doe-123e4567",
+            });
+        } else {
+            expect(octokit.git.deleteRef).not.toHaveBeenCalled();
+        }
+        expect(octokit.pulls.update).not.toHaveBeenCalled();
+    });
+
+    test("closes the PR and deletes the branch when a later step fails", async () => {
+        const octokit = mockOctokit();
+        const rollback = createRollback();
+        await createCandidatePR(publisherFor(octokit), submission(), images(), correlationId, context(), rollback);
+
+        expect(await rollback.run()).toEqual([]);
+
+        expect(octokit.pulls.update).toHaveBeenCalledWith({ owner: "testowner", repo: "testrepo", pull_number: 7, state: "closed" });
+        expect(octokit.issues.createComment).toHaveBeenCalledWith(expect.objectContaining({
+            issue_number: 7,
+            body: expect.stringContaining("form-jane-doe-123e4567"),
+        }));
+        expect(octokit.git.deleteRef).toHaveBeenCalled();
+        // The PR is closed before its branch goes away
+        expect(octokit.pulls.update.mock.invocationCallOrder[0])
+            .toBeLessThan(octokit.git.deleteRef.mock.invocationCallOrder[0]);
+    });
+
+    test("still opens the PR when labelling fails", async () => {
+        const octokit = mockOctokit();
+        octokit.issues.addLabels.mockRejectedValue(new Error("labels failed"));
+
+        await expect(createCandidatePR(publisherFor(octokit), submission(), images(), correlationId, context(), createRollback()))
+            .resolves.toBe("https://github.com/testowner/testrepo/pull/7");
+    });
+});
+
+describe("isPublished", () => {
+    test("counts only merged PRs in the main repo", async () => {
+        const octokit = mockOctokit();
+        octokit.pulls.get.mockResolvedValueOnce({ data: { merged_at: "2026-03-02T00:00:00Z" } });
+        const publisher = publisherFor(octokit);
+
+        expect(await publisher.isPublished("https://github.com/testowner/testrepo/pull/7")).toBe(true);
+        expect(await publisher.isPublished("https://github.com/testowner/testrepo/pull/8")).toBe(false);
+        expect(await publisher.isPublished("https://github.com/someone/testrepo/pull/7")).toBe(false);
+        expect(octokit.pulls.get).toHaveBeenCalledTimes(2);
+    });
+});
@@ -0,0 +1,106 @@
+import type { CandidateSubmission } from "../src/types";
+import {
+    PENDING_TIMEOUT_MINUTES,
+    claimSubmission,
+    createMemoryClaimStore,
+    finishSubmission,
+    submissionHash,
+} from "../src/idempotency";
+
+const KEY = "0b7c2d4e-5f60-4a1b-8c2d-3e4f5a6b7c8d";
+const now = new Date("2026-03-01T12:00:00Z");
+const later = (minutes: number) => new Date(now.getTime() + minutes * 60 * 1000);
+
+describe("claimSubmission", () => {
+    test("claims a new key and refuses a second request while it runs", async () => {
+        const store = createMemoryClaimStore();
+
+        expect(await claimSubmission(store, KEY, "hash", now)).toEqual({ status: "claimed" });
+        expect(await claimSubmission(store, KEY, "hash", later(1))).toEqual({ status: "in-progress" });
+    });
+
+    test("returns the earlier result for a retry of a completed submission", async () => {
+        const store = createMemoryClaimStore();
+        await claimSubmission(store, KEY, "hash", now);
+        await finishSubmission(store, KEY, {
+            state: "completed",
+            requestHash: "hash",
+            correlationId: "123e4567-e89b-42d3-a456-426614174000",
+            pullRequestUrl: "https://github.com/testowner/testrepo/pull/7",
+        }, now);
+
+        expect(await claimSubmission(store, KEY, "hash", later(1))).toEqual({
+            status: "completed",
+            correlationId: "123e4567-e89b-42d3-a456-426614174000",
+            pullRequestUrl: "https://github.com/testowner/testrepo/pull/7",
+        });
+        // The same key sent with different content is not treated as a retry
+        expect(await claimSubmission(store, KEY, "other-hash", later(1))).toEqual({ status: "reused" });
+    });
+
+    test("returns the correlation ID for a retry of a queued submission", async () => {
+        const store = createMemoryClaimStore();
+        await claimSubmission(store, KEY, "hash", now);
+        await finishSubmission(store, KEY, { state: "queued", requestHash: "hash", correlationId: "123e4567-e89b-42d3-a456-426614174000" }, now);
+
+        // However long processing takes, the retry is not a new submission
+        expect(await claimSubmission(store, KEY, "hash", later(PENDING_TIMEOUT_MINUTES * 6))).toEqual({
+            status: "queued",
+            correlationId: "123e4567-e89b-42d3-a456-426614174000",
+        });
+        expect(await claimSubmission(store, KEY, "other-hash", later(1))).toEqual({ status: "reused" });
+    });
+
+    test("lets a failed submission be retried with the same key", async () => {
+        const store = createMemoryClaimStore();
+        await claimSubmission(store, KEY, "hash", now);
+        await finishSubmission(store, KEY, { state: "failed", requestHash: "hash" }, now);
+
+        expect(await claimSubmission(store, KEY, "hash", later(1))).toEqual({ status: "claimed" });
+    });
+
+    test("takes over a pending claim left by a request that never finished", async () => {
+        const store = createMemoryClaimStore();
+        await claimSubmission(store, KEY, "hash", now);
+
+        expect(await claimSubmission(store, KEY, "hash", later(PENDING_TIMEOUT_MINUTES))).toEqual({ status: "claimed" });
+    });
+
+    test("lets only one of two concurrent requests claim a key", async () => {
+        const store = createMemoryClaimStore();
+
+        const results = await Promise.all([
+            claimSubmission(store, KEY, "hash", now),
+            claimSubmission(store, KEY, "hash", now),
+        ]);
+
+        expect(results.map(result => result.status).sort()).toEqual(["claimed", "in-progress"]);
+    });
+});
+
+describe("submissionHash", () => {
+    const submission = (): CandidateSubmission => ({
+        candidate: "Jane Doe",
+        title: "School Board Member",
+        party: "Independent",
+        electionDate: "2026-04-01",
+        categories: ["School Board", "Illinois"],
+        tags: [],
+        about: "Parent and teacher.",
+        content: "About Jane.",
+        contactEmail: "jane@example.com",
+        pledgeVersion: "2026",
+        pledgeHash: "3ac8dbaa718390d3369e12734bde08743b1e85f7ff7bde540d061556813c7c4b",
+        turnstileToken: "first-token",
+        avatarImageId: "11111111-1111-4111-8111-111111111111",
+    });
+
+    test("is the same for a retry with a new token and new upload ids", () => {
+        expect(submissionHash({ ...submission(), turnstileToken: "second-token", avatarImageId: "22222222-2222-4222-8222-222222222222", idempotencyKey: KEY }))
+            .toBe(submissionHash(submission()));
+    });
+
+    test("changes when the profile changes", () => {
+        expect(submissionHash({ ...submission(), content: "Edited." })).not.toBe(submissionHash(submission()));
+    });
+});
@@ -0,0 +1,291 @@
+import type { CandidateSubmission } from "../src/types";
+import {
+    MAX_IMAGE_BYTES,
+    prepareSubmissionImages,
+    processImage,
+    readImageDimensions,
+    sniffImageType,
+} from "../src/images";
+
+// ===== Fixture builders =====
+// Minimal but structurally valid headers; pixel data is irrelevant to verification
+
+function pngChunk(type: string, data: Buffer = Buffer.alloc(0)): Buffer {
+    const length = Buffer.alloc(4);
+    length.writeUInt32BE(data.length);
+    return Buffer.concat([length, Buffer.from(type, "ascii"), data, Buffer.alloc(4)]);
+}
+
+function makePng(width: number, height: number, extraChunks: Buffer[] = []): Buffer {
+    const ihdr = Buffer.alloc(13);
+    ihdr.writeUInt32BE(width, 0);
+    ihdr.writeUInt32BE(height, 4);
+    return Buffer.concat([
+        Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+        pngChunk("IHDR", ihdr),
+        ...extraChunks,
+        pngChunk("IDAT", Buffer.from([1, 2, 3])),
+        pngChunk("IEND"),
+    ]);
+}
+
+function jpegSegment(marker: number, payload: Buffer): Buffer {
+    const header = Buffer.alloc(4);
+    header.writeUInt16BE(0xff00 | marker, 0);
+    header.writeUInt16BE(payload.length + 2, 2);
+    return Buffer.concat([header, payload]);
+}
+
+function exifPayload(orientation: number): Buffer {
+    // Little-endian TIFF with Orientation plus a GPS IFD pointer entry
+    const tiff = Buffer.alloc(8 + 2 + 24 + 4);
+    tiff.write("II", 0, "ascii");
+    tiff.writeUInt16LE(0x2a, 2);
+    tiff.writeUInt32LE(8, 4);
+    tiff.writeUInt16LE(2, 8);
+    tiff.writeUInt16LE(0x0112, 10);
+    tiff.writeUInt16LE(3, 12);
+    tiff.writeUInt32LE(1, 14);
+    tiff.writeUInt16LE(orientation, 18);
+    tiff.writeUInt16LE(0x8825, 22); // GPSInfo
+    tiff.writeUInt16LE(4, 24);
+    tiff.writeUInt32LE(1, 26);
+    tiff.writeUInt32LE(0, 30);
+    return Buffer.concat([Buffer.from("Exif\0\0", "binary"), tiff]);
+}
+
+function makeJpeg(width: number, height: number, orientation?: number): Buffer {
+    const sof = Buffer.alloc(9);
+    sof[0] = 8;
+    sof.writeUInt16BE(height, 1);
+    sof.writeUInt16BE(width, 3);
+    sof[5] = 1;
+    return Buffer.concat([
+        Buffer.from([0xff, 0xd8]),
+        jpegSegment(0xe0, Buffer.from("JFIF\0\x01\x01\0\0\x01\0\x01\0\0", "binary")),
+        ...(orientation ? [jpegSegment(0xe1, exifPayload(orientation))] : []),
+        jpegSegment(0xfe, Buffer.from("GPS 41.8781,-87.6298", "ascii")),
+        jpegSegment(0xc0, sof),
+        jpegSegment(0xda, Buffer.from([1, 0, 0, 0x3f, 0])),
+        Buffer.from([0x12, 0x34, 0xff, 0xd9]),
+    ]);
+}
+
+function makeWebp(width: number, height: number): Buffer {
+    const vp8x = Buffer.alloc(18);
+    vp8x.write("VP8X", 0, "ascii");
+    vp8x.writeUInt32LE(10, 4);
+    vp8x[8] = 0x08 | 0x04; // EXIF + XMP flags
+    vp8x.writeUIntLE(width - 1, 12, 3);
+    vp8x.writeUIntLE(height - 1, 15, 3);
+    const exif = Buffer.concat([Buffer.from("EXIF", "ascii"), Buffer.from([4, 0, 0, 0]), Buffer.from("GPS!")]);
+    const body = Buffer.concat([vp8x, exif]);
+    const header = Buffer.alloc(12);
+    header.write("RIFF", 0, "ascii");
+    header.writeUInt32LE(body.length + 4, 4);
+    header.write("WEBP", 8, "ascii");
+    return Buffer.concat([header, body]);
+}
+
+function makeGif(width: number, height: number): Buffer {
+    const screen = Buffer.alloc(7);
+    screen.writeUInt16LE(width, 0);
+    screen.writeUInt16LE(height, 2);
+    screen[4] = 0x80; // Global color table of 2 colors
+    const descriptor = Buffer.alloc(10);
+    descriptor[0] = 0x2c;
+    descriptor.writeUInt16LE(width, 5);
+    descriptor.writeUInt16LE(height, 7);
+    return Buffer.concat([
+        Buffer.from("GIF89a", "ascii"), screen, Buffer.alloc(6),
+        Buffer.from([0x21, 0xff, 11]), Buffer.from("NETSCAPE2.0", "ascii"), Buffer.from([3, 1, 0, 0, 0]),
+        Buffer.from([0x21, 0xfe, 9]), Buffer.from("GPS 41.87", "ascii"), Buffer.from([0]),
+        Buffer.from([0x21, 0xff, 11]), Buffer.from("XMP DataXMP", "ascii"), Buffer.from([6]), Buffer.from("secret", "ascii"), Buffer.from([0]),
+        descriptor, Buffer.from([2, 2, 0x4c, 0x01, 0]),
+        Buffer.from([0x3b]),
+    ]);
+}
+
+const toDataUri = (data: Buffer, mime = "image/jpeg") => `data:${mime};base64,${data.toString("base64")}`;
+
+describe("sniffImageType", () => {
+    test("identifies types from magic bytes", () => {
+        expect(sniffImageType(makeJpeg(10, 10))).toBe("jpeg");
+        expect(sniffImageType(makePng(10, 10))).toBe("png");
+        expect(sniffImageType(makeWebp(10, 10))).toBe("webp");
+        expect(sniffImageType(Buffer.from("GIF89a\x0a\x00\x0a\x00", "binary"))).toBe("gif");
+        expect(sniffImageType(Buffer.from('<?xml version="1.0"?>\n<!-- logo -->\n<svg xmlns="http://www.w3.org/2000/svg"/>'))).toBe("svg");
+    });
+
+    test("rejects non-image bytes", () => {
+        expect(sniffImageType(Buffer.from("<html><script>alert(1)</script></html>"))).toBeNull();
+        expect(sniffImageType(Buffer.from("%PDF-1.7"))).toBeNull();
+    });
+});
+
+describe("readImageDimensions", () => {
+    test("reads dimensions from each raster header", () => {
+        expect(readImageDimensions(makeJpeg(640, 480), "jpeg")).toEqual({ width: 640, height: 480 });
+        expect(readImageDimensions(makePng(300, 200), "png")).toEqual({ width: 300, height: 200 });
+        expect(readImageDimensions(makeWebp(1200, 400), "webp")).toEqual({ width: 1200, height: 400 });
+    });
+});
+
+describe("processImage", () => {
+    test("picks the extension from the bytes, not the data URI", () => {
+        const { image, errors } = processImage(toDataUri(makePng(200, 200), "image/jpeg"), "Main photo");
+
+        expect(errors).toEqual([]);
+        expect(image?.type).toBe("png");
+        expect(image?.extension).toBe("png");
+    });
+
+    test("strips EXIF, GPS and comments from JPEGs but keeps orientation", () => {
+        const { image } = processImage(toDataUri(makeJpeg(400, 300, 6)), "Main photo");
+        const bytes = image!.data;
+
+        expect(bytes.includes(Buffer.from("GPS 41.8781"))).toBe(false);
+        expect(bytes.includes(Buffer.from([0x25, 0x88]))).toBe(false); // GPSInfo tag
+        expect(bytes.includes(Buffer.from("Exif\0\0", "binary"))).toBe(true);
+        expect(readImageDimensions(bytes, "jpeg")).toEqual({ width: 400, height: 300 });
+        // Orientation 6 displays rotated, so the reported shape is transposed
+        expect(image).toMatchObject({ width: 300, height: 400 });
+    });
+
+    test("keeps JFIF APP0 directly after SOI when adding the orientation segment", () => {
+        const { image } = processImage(toDataUri(makeJpeg(400, 300, 6)), "Main photo");
+
+        expect(image!.data.readUInt16BE(2)).toBe(0xffe0);
+        expect(image!.data.indexOf(Buffer.from("Exif\0\0", "binary"))).toBeGreaterThan(image!.data.indexOf(Buffer.from("JFIF")));
+    });
+
+    test("strips GIF comments and XMP but keeps the looping extension", () => {
+        const { image, errors } = processImage(toDataUri(makeGif(100, 100), "image/gif"), "Main photo");
+
+        expect(errors).toEqual([]);
+        expect(image!.data.includes(Buffer.from("GPS 41.87"))).toBe(false);
+        expect(image!.data.includes(Buffer.from("XMP DataXMP"))).toBe(false);
+        expect(image!.data.includes(Buffer.from("NETSCAPE2.0"))).toBe(true);
+        expect(image!.data[image!.data.length - 1]).toBe(0x3b);
+    });
+
+    test("drops JPEG EXIF entirely when orientation is normal", () => {
+        const { image } = processImage(toDataUri(makeJpeg(100, 100, 1)), "Main photo");
+
+        expect(image!.data.includes(Buffer.from("Exif\0\0", "binary"))).toBe(false);
+    });
+
+    test("strips PNG text and EXIF chunks", () => {
+        const png = makePng(100, 100, [
+            pngChunk("tEXt", Buffer.from("Comment\0secret")),
+            pngChunk("eXIf", Buffer.from("MM\0*")),
+        ]);
+        const { image } = processImage(toDataUri(png), "Main photo");
+
+        expect(image!.data.includes(Buffer.from("tEXt"))).toBe(false);
+        expect(image!.data.includes(Buffer.from("eXIf"))).toBe(false);
+        expect(image!.data.includes(Buffer.from("IDAT"))).toBe(true);
+    });
+
+    test("strips WebP EXIF chunks and flags", () => {
+        const { image } = processImage(toDataUri(makeWebp(100, 100)), "Main photo");
+
+        expect(image!.data.includes(Buffer.from("GPS!"))).toBe(false);
+        expect(image!.data[20] & 0x0c).toBe(0);
+        expect(image!.data.readUInt32LE(4)).toBe(image!.data.length - 8);
+    });
+
+    test("enforces square and wide rules", () => {
+        expect(processImage(toDataUri(makePng(400, 300)), "Main photo", { requireSquare: true }).errors)
+            .toEqual(["Main photo must be square (got 400x300)"]);
+        expect(processImage(toDataUri(makePng(405, 400)), "Main photo", { requireSquare: true }).errors)
+            .toEqual([]);
+        expect(processImage(toDataUri(makePng(450, 400)), "Title photo", { requireWide: true }).errors[0])
+            .toMatch(/^Title photo must be a landscape image/);
+    });
+
+    test("rejects non-images, SVG where raster is required, and oversized payloads", () => {
+        const svg = Buffer.from('<svg xmlns="http://www.w3.org/2000/svg"></svg>');
+
+        expect(processImage(Buffer.from("hello").toString("base64"), "Main photo").errors)
+            .toEqual(["Main photo is not a recognized image file"]);
+        expect(processImage(toDataUri(svg, "image/svg+xml"), "Main photo").errors)
+            .toEqual(["Main photo must be a JPEG, PNG, GIF or WebP image"]);
+        expect(processImage(Buffer.alloc(MAX_IMAGE_BYTES + 1).toString("base64"), "Main photo").errors)
+            .toEqual(["Main photo must be under 5MB"]);
+    });
+
+    test("rejects truncated images", () => {
+        const truncated = makeJpeg(100, 100).subarray(0, 12);
+
+        expect(processImage(toDataUri(truncated), "Main photo").errors[0]).toMatch(/appears to be corrupt/);
+    });
+});
+
+describe("prepareSubmissionImages", () => {
+    const submission = (overrides: Partial<CandidateSubmission>): CandidateSubmission => ({
+        candidate: "Test Candidate",
+        title: "School Board",
+        party: "Independent",
+        electionDate: "2026-04-01",
+        categories: ["School Board", "Illinois"],
+        tags: ["Lake Park"],
+        about: "Bio",
+        content: "Content",
+        contactEmail: "test@example.com",
+        pledgeVersion: "2026",
+        pledgeHash: "3ac8dbaa718390d3369e12734bde08743b1e85f7ff7bde540d061556813c7c4b",
+        turnstileToken: "test-token",
+        ...overrides,
+    });
+
+    test("collects errors from every image", () => {
+        const { errors } = prepareSubmissionImages(submission({
+            avatarImage: toDataUri(makePng(400, 300)),
+            titleImage: toDataUri(makePng(300, 300)),
+            additionalImages: [{ path: "images/img-1-a.jpg", content: Buffer.from("nope").toString("base64") }],
+        }));
+
+        expect(errors).toHaveLength(3);
+        expect(errors[2]).toBe("Inline image 1 is not a recognized image file");
+    });
+
+    test("returns cleaned images keyed by their original path", () => {
+        const { images, errors } = prepareSubmissionImages(submission({
+            avatarImage: toDataUri(makeJpeg(300, 300)),
+            additionalImages: [{ path: "images/img-1-logo.png", content: makeWebp(50, 50).toString("base64") }],
+        }));
+
+        expect(errors).toEqual([]);
+        expect(images.avatar?.extension).toBe("jpg");
+        expect(images.inline[0]).toMatchObject({ path: "images/img-1-logo.png", extension: "webp" });
+    });
+
+    test("attaches WebP copies of the same size", () => {
+        const { images, errors } = prepareSubmissionImages(submission({
+            avatarImage: toDataUri(makePng(300, 300), "image/png"),
+            avatarImageWebp: toDataUri(makeWebp(300, 300), "image/webp"),
+            additionalImages: [{ path: "images/img-1-logo.png", content: makePng(80, 40).toString("base64"), webp: makeWebp(80, 40).toString("base64") }],
+        }));
+
+        expect(errors).toEqual([]);
+        expect(images.avatar).toMatchObject({ extension: "png", webp: { extension: "webp", width: 300, height: 300 } });
+        expect(images.inline[0].webp?.type).toBe("webp");
+    });
+
+    test("rejects WebP copies that do not match their image", () => {
+        const { errors } = prepareSubmissionImages(submission({
+            avatarImage: toDataUri(makeJpeg(300, 300)),
+            avatarImageWebp: toDataUri(makeWebp(200, 200), "image/webp"),
+            titleImage: toDataUri(makeJpeg(400, 200)),
+            titleImageWebp: toDataUri(makeJpeg(400, 200)),
+            additionalImages: [{ path: "images/img-1-logo.webp", content: makeWebp(50, 50).toString("base64"), webp: makeWebp(50, 50).toString("base64") }],
+        }));
+
+        expect(errors).toEqual([
+            "Main photo WebP copy must be the same size as the image",
+            "Title photo WebP copy must be a WebP image",
+            "Inline image 1 WebP copy is only allowed for JPEG, PNG or GIF images",
+        ]);
+    });
+});
@@ -0,0 +1,89 @@
+import { InvocationContext } from "@azure/functions";
+import { execFileSync } from "child_process";
+import { mkdtempSync, readFileSync, rmSync } from "fs";
+import { tmpdir } from "os";
+import { join } from "path";
+import { createLocalGitPublisher } from "../src/localGitPublisher";
+import type { ContentChange } from "../src/publisher";
+import { createRollback } from "../src/rollback";
+
+const folder = "src/content/english/candidates/2026/jane-doe";
+
+const context = () => ({ log: jest.fn(), warn: jest.fn(), error: jest.fn() } as unknown as InvocationContext);
+
+const change = (files: ContentChange["files"]): ContentChange => ({
+    branchName: "form-jane-doe-123e4567",
+    candidatePath: folder,
+    title: "Add Candidate Jane Doe",
+    description: "## Candidate Submission",
+    labels: ["form-submission"],
+    files,
+});
+
+let repoDir: string;
+const git = (...args: string[]) => execFileSync("git", ["-C", repoDir, ...args], { encoding: "utf-8" }).trim();
+
+beforeEach(() => {
+    repoDir = mkdtempSync(join(tmpdir(), "content-repo-"));
+    git("init", "--quiet");
+    git("config", "user.name", "Test");
+    git("config", "user.email", "test@example.com");
+    git("commit", "--quiet", "--allow-empty", "-m", "Initial commit");
+});
+
+afterEach(() => {
+    rmSync(repoDir, { recursive: true, force: true });
+});
+
+describe("createLocalGitPublisher", () => {
+    test("commits the profile files and reads them back", async () => {
+        const publisher = createLocalGitPublisher(repoDir);
+
+        const url = await publisher.publish(change([
+            { path: `${folder}/index.md`, content: "---\ncandidate: Jane Doe\n---\n" },
+            { path: `${folder}/jane-doe-avatar.jpg`, content: Buffer.from("avatar").toString("base64"), encoding: "base64" },
+        ]), createRollback(), context());
+
+        expect(url).toBe(`file://${join(repoDir, folder)}`);
+        expect(git("log", "-1", "--format=%s")).toBe("Add Candidate Jane Doe");
+        expect(readFileSync(join(repoDir, folder, "jane-doe-avatar.jpg"), "utf-8")).toBe("avatar");
+        expect(await publisher.fetchProfileMarkdown("candidates/2026/jane-doe")).toBe("---\ncandidate: Jane Doe\n---\n");
+        expect((await publisher.listProfileFiles("candidates/2026/jane-doe")).sort()).toEqual(["index.md", "jane-doe-avatar.jpg"]);
+        expect((await publisher.findPossibleDuplicates("jane-doe", "2026")).existingProfiles).toHaveLength(1);
+    });
+
+    test("reports missing profiles as empty", async () => {
+        const publisher = createLocalGitPublisher(repoDir);
+
+        expect(await publisher.fetchProfileMarkdown("candidates/2026/nobody")).toBeNull();
+        expect(await publisher.listProfileFiles("candidates/2026/nobody")).toEqual([]);
+        expect(await publisher.findPossibleDuplicates("nobody", "2026")).toEqual({ existingProfiles: [], openPullRequests: [] });
+    });
+
+    test("only commits the profile's files", async () => {
+        const publisher = createLocalGitPublisher(repoDir);
+        execFileSync("sh", ["-c", "echo draft > notes.md && git add notes.md"], { cwd: repoDir });
+
+        await publisher.publish(change([{ path: `${folder}/index.md`, content: "profile" }]), createRollback(), context());
+
+        expect(git("show", "--name-only", "--format=", "HEAD")).toBe(`${folder}/index.md`);
+        expect(git("diff", "--cached", "--name-only")).toBe("notes.md");
+    });
+
+    test("the undo action reverts the commit", async () => {
+        const publisher = createLocalGitPublisher(repoDir);
+        const rollback = createRollback();
+        await publisher.publish(change([{ path: `${folder}/index.md`, content: "profile" }]), rollback, context());
+
+        expect(await rollback.run()).toEqual([]);
+        expect(await publisher.fetchProfileMarkdown("candidates/2026/jane-doe")).toBeNull();
+        expect(git("log", "-1", "--format=%s")).toBe('Revert "Add Candidate Jane Doe"');
+    });
+
+    test("refuses paths outside the working copy", async () => {
+        const publisher = createLocalGitPublisher(repoDir);
+
+        await expect(publisher.publish(change([{ path: "../escape.md", content: "nope" }]), createRollback(), context()))
+            .rejects.toThrow("Refusing to write outside the repo");
+    });
+});
@@ -0,0 +1,38 @@
+import { readFileSync } from "fs";
+import { join } from "path";
+import { hashPledgeText, parsePledgeDocument, verifyPledge } from "../src/pledge";
+
+// The published pledge page, as the function fetches it from the repo
+const pledgeMarkdown = readFileSync(join(__dirname, "../../../../src/content/english/pledge.md"), "utf-8");
+
+describe("parsePledgeDocument", () => {
+    test("reads the version and hashes the trimmed body", () => {
+        const pledge = parsePledgeDocument(`---\ntitle: "Pledge"\npledge_version: "2030"\n---\n\n> I pledge.\n\n`);
+
+        expect(pledge).toEqual({ version: "2030", hash: hashPledgeText("> I pledge.") });
+    });
+
+    test("parses the published pledge page", () => {
+        const pledge = parsePledgeDocument(pledgeMarkdown);
+
+        expect(pledge.version).toMatch(/^\d{4}$/);
+        expect(pledge.hash).toMatch(/^[0-9a-f]{64}$/);
+    });
+
+    test("requires a pledge_version", () => {
+        expect(() => parsePledgeDocument(`---\ntitle: "Pledge"\n---\n\nText`)).toThrow(/pledge_version/);
+    });
+});
+
+describe("verifyPledge", () => {
+    const current = { version: "2026", hash: hashPledgeText("> I pledge.") };
+
+    test("accepts the current pledge", () => {
+        expect(verifyPledge({ ...current }, current)).toEqual([]);
+    });
+
+    test("rejects an outdated version or edited text", () => {
+        expect(verifyPledge({ ...current, version: "2025" }, current)[0]).toMatch(/updated to version 2026/);
+        expect(verifyPledge({ ...current, hash: hashPledgeText("> I pledge nothing.") }, current)[0]).toMatch(/text has changed/);
+    });
+});
@@ -0,0 +1,45 @@
+import { Octokit } from "@octokit/rest";
+import type { CandidateSubmission } from "../src/types";
+import { candidateSlug, fetchProfileMarkdown, newProfilePath } from "../src/profiles";
+import { isSameContactEmail } from "../src/contacts";
+
+describe("profile paths", () => {
+    test("builds the dated folder for a new submission", () => {
+        const submission = { candidate: "Jane O'Doe Smith", electionDate: "2026-04-01" } as CandidateSubmission;
+
+        expect(candidateSlug(submission.candidate)).toBe("jane-odoe-smith");
+        expect(newProfilePath(submission)).toBe("candidates/2026/jane-odoe-smith");
+    });
+});
+
+describe("fetchProfileMarkdown", () => {
+    const options = { owner: "testowner", repo: "testrepo", profilePath: "candidates/2026/jane-doe" };
+
+    const mockOctokit = (getContent: jest.Mock) => ({ repos: { getContent } } as unknown as Octokit);
+
+    test("decodes the published index.md", async () => {
+        const getContent = jest.fn(async () => ({
+            data: { type: "file", content: Buffer.from("---\ntitle: \"x\"\n---\n").toString("base64") },
+        }));
+
+        await expect(fetchProfileMarkdown(mockOctokit(getContent), options)).resolves.toBe("---\ntitle: \"x\"\n---\n");
+        expect(getContent).toHaveBeenCalledWith(expect.objectContaining({
+            path: "src/content/english/candidates/2026/jane-doe/index.md",
+        }));
+    });
+
+    test("returns null for missing profiles and rethrows other errors", async () => {
+        const notFound = jest.fn().mockRejectedValue(Object.assign(new Error("Not Found"), { status: 404 }));
+        const serverError = jest.fn().mockRejectedValue(Object.assign(new Error("Server Error"), { status: 500 }));
+
+        await expect(fetchProfileMarkdown(mockOctokit(notFound), options)).resolves.toBeNull();
+        await expect(fetchProfileMarkdown(mockOctokit(serverError), options)).rejects.toThrow("Server Error");
+    });
+});
+
+describe("isSameContactEmail", () => {
+    test("ignores case and surrounding whitespace", () => {
+        expect(isSameContactEmail(" Jane@Example.com", "jane@example.com ")).toBe(true);
+        expect(isSameContactEmail("jane@example.com", "jane@example.org")).toBe(false);
+    });
+});
@@ -0,0 +1,116 @@
+import { InvocationContext } from "@azure/functions";
+import type { CandidateSubmission } from "../src/types";
+import type { PreparedImages } from "../src/images";
+import { createCandidatePR } from "../src/pullRequest";
+import { createMemoryPublisher } from "../src/memoryPublisher";
+import { createRollback } from "../src/rollback";
+
+const correlationId = "123e4567-e89b-42d3-a456-426614174000";
+const folder = "src/content/english/candidates/2026/jane-doe";
+
+const submission = (): CandidateSubmission => ({
+    candidate: "Jane Doe",
+    title: "School Board Member",
+    party: "Independent",
+    electionDate: "2026-04-01",
+    categories: ["School Board", "Illinois"],
+    tags: ["Lake Park"],
+    about: "Parent and teacher.",
+    positions: [{ issue: "Housing", stance: "More homes." }],
+    content: "About Jane.\n\n![Jane at a meeting](images/Meeting Photo.png)",
+    contactEmail: "jane@example.com",
+    pledgeVersion: "2026",
+    pledgeHash: "3ac8dbaa718390d3369e12734bde08743b1e85f7ff7bde540d061556813c7c4b",
+    turnstileToken: "test-token",
+});
+
+const images = (): PreparedImages => ({
+    avatar: {
+        type: "jpeg", extension: "jpg", data: Buffer.from("avatar"), width: 800, height: 800,
+        webp: { data: Buffer.from("avatar-webp") },
+    },
+    inline: [{ path: "images/Meeting Photo.png", type: "jpeg", extension: "jpg", data: Buffer.from("inline") }],
+} as PreparedImages);
+
+const context = () => ({ log: jest.fn(), warn: jest.fn(), error: jest.fn() } as unknown as InvocationContext);
+
+describe("createCandidatePR", () => {
+    test("publishes the profile folder with a review description and labels", async () => {
+        const publisher = createMemoryPublisher();
+
+        const url = await createCandidatePR(publisher, submission(), images(), correlationId, context(), createRollback());
+
+        expect(url).toBe("memory://changes/form-jane-doe-123e4567");
+        const [change] = publisher.changes;
+        expect(change.title).toBe("Add Candidate Jane Doe");
+        expect(change.labels).toEqual(["form-submission", "category: School Board", "state: Illinois"]);
+        expect(change.files.map(file => file.path)).toEqual([
+            `${folder}/jane-doe-avatar.jpg`,
+            `${folder}/jane-doe-avatar.webp`,
+            `${folder}/meeting-photo.jpg`,
+            `${folder}/index.md`,
+        ]);
+
+        const index = change.files.find(file => file.path.endsWith("index.md"))!.content!;
+        expect(index).toContain('candidate: "Jane Doe"');
+        expect(index).toContain("### Policy\n\n- **Housing**: More homes.\n\nAbout Jane.");
+        expect(index).toContain("![Jane at a meeting](meeting-photo.jpg)");
+        expect(change.description).toContain(`memory://form-jane-doe-123e4567/${folder}/jane-doe-avatar.jpg`);
+    });
+
+    test("flags a profile that is already published", async () => {
+        const publisher = createMemoryPublisher({ [`${folder}/index.md`]: "---\ncandidate: Jane Doe\n---\n" });
+
+        await createCandidatePR(publisher, submission(), images(), correlationId, context(), createRollback());
+
+        expect(publisher.changes[0].labels).toContain("possible-duplicate");
+        expect(publisher.changes[0].description).toContain("## ⚠️ Possible Duplicate");
+    });
+
+    test("replaces a renamed photo and its stale WebP copy on updates", async () => {
+        const existing = "---\ntitle: School Board Member\ncandidate: Jane Doe\navatar: jane-doe-avatar.png\n---\n\nOld biography.\n";
+        const publisher = createMemoryPublisher({
+            [`${folder}/index.md`]: existing,
+            [`${folder}/jane-doe-avatar.png`]: "png",
+            [`${folder}/jane-doe-avatar.webp`]: "webp",
+        });
+        const update = { ...submission(), existingProfilePath: "candidates/2026/jane-doe" };
+        const withoutWebp = { ...images(), avatar: { ...images().avatar!, webp: undefined } };
+
+        await createCandidatePR(publisher, update, withoutWebp, correlationId, context(), createRollback(), existing);
+
+        const change = publisher.changes[0];
+        expect(change.title).toBe("Update Candidate Jane Doe");
+        expect(change.labels).toContain("profile-update");
+        expect(change.files).toEqual(expect.arrayContaining([
+            { path: `${folder}/jane-doe-avatar.png`, content: null },
+            { path: `${folder}/jane-doe-avatar.webp`, content: null },
+        ]));
+    });
+
+    test("the publisher's undo action discards the change", async () => {
+        const publisher = createMemoryPublisher();
+        const rollback = createRollback();
+        await createCandidatePR(publisher, submission(), images(), correlationId, context(), rollback);
+
+        expect(await rollback.run()).toEqual([]);
+        expect(publisher.changes).toEqual([]);
+    });
+});
+
+describe("createRollback", () => {
+    test("undoes steps most recent first and keeps going past failures", async () => {
+        const rollback = createRollback();
+        const order: string[] = [];
+        rollback.add("first", async () => { order.push("first"); });
+        rollback.add("second", async () => { throw new Error("undo failed"); });
+        rollback.add("third", async () => { order.push("third"); });
+
+        const failures = await rollback.run();
+
+        expect(order).toEqual(["third", "first"]);
+        expect(failures).toEqual([{ description: "second", error: new Error("undo failed") }]);
+        // Steps are only undone once
+        expect(await rollback.run()).toEqual([]);
+    });
+});
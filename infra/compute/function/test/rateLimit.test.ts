@@ -0,0 +1,112 @@
+import { BlobServiceClient } from "@azure/storage-blob";
+import { randomUUID } from "crypto";
+import {
+    checkRateLimits,
+    createBlobCounterStore,
+    createMemoryCounterStore,
+    getClientIp,
+    limitFromEnv,
+    RateLimitRule,
+} from "../src/rateLimit";
+
+const hourly: RateLimitRule = { scope: "ip", limit: 2, windowSeconds: 60 * 60 };
+const daily: RateLimitRule = { scope: "email", limit: 3, windowSeconds: 24 * 60 * 60 };
+
+describe("checkRateLimits", () => {
+    const now = new Date("2026-03-01T10:15:00Z");
+
+    test("allows requests up to the limit, then reports when to retry", async () => {
+        const store = createMemoryCounterStore();
+        const check = () => checkRateLimits(store, [{ rule: hourly, subject: "203.0.113.7" }], now);
+
+        expect((await check()).allowed).toBe(true);
+        expect((await check()).allowed).toBe(true);
+        expect(await check()).toEqual({ allowed: false, scope: "ip", retryAfterSeconds: 45 * 60 });
+    });
+
+    test("starts a fresh window after it expires", async () => {
+        const store = createMemoryCounterStore();
+        for (let i = 0; i < 3; i++) {
+            await checkRateLimits(store, [{ rule: hourly, subject: "203.0.113.7" }], now);
+        }
+
+        const later = new Date("2026-03-01T11:00:00Z");
+        expect((await checkRateLimits(store, [{ rule: hourly, subject: "203.0.113.7" }], later)).allowed).toBe(true);
+    });
+
+    test("keeps subjects and scopes separate, ignoring email case", async () => {
+        const store = createMemoryCounterStore();
+        const checks = (ip: string, email: string) => [
+            { rule: hourly, subject: ip },
+            { rule: daily, subject: email },
+        ];
+
+        await checkRateLimits(store, checks("203.0.113.1", "a@example.com"), now);
+        await checkRateLimits(store, checks("203.0.113.2", "A@Example.com "), now);
+        await checkRateLimits(store, checks("203.0.113.3", "a@example.com"), now);
+
+        expect(await checkRateLimits(store, checks("203.0.113.4", "a@example.com"), now))
+            .toEqual(expect.objectContaining({ allowed: false, scope: "email" }));
+        expect((await checkRateLimits(store, checks("203.0.113.4", "b@example.com"), now)).allowed).toBe(true);
+    });
+
+    test("skips disabled rules", async () => {
+        const store = createMemoryCounterStore();
+        const disabled = { ...hourly, limit: 0 };
+        for (let i = 0; i < 5; i++) {
+            expect((await checkRateLimits(store, [{ rule: disabled, subject: "x" }], now)).allowed).toBe(true);
+        }
+    });
+});
+
+describe("getClientIp", () => {
+    test("takes the address the front end appended, without its port", () => {
+        // Earlier entries come from the client and can be anything
+        expect(getClientIp("10.0.0.1, 203.0.113.7:51234")).toBe("203.0.113.7");
+        expect(getClientIp("198.51.100.99,203.0.113.7")).toBe("203.0.113.7");
+        expect(getClientIp("[2001:db8::1]:443")).toBe("2001:db8::1");
+        expect(getClientIp("2001:db8::1")).toBe("2001:db8::1");
+        expect(getClientIp(null)).toBe("unknown");
+    });
+});
+
+describe("limitFromEnv", () => {
+    test("falls back for unset or invalid values", () => {
+        process.env.TEST_RATE_LIMIT = "12";
+        expect(limitFromEnv("TEST_RATE_LIMIT", 5)).toBe(12);
+        process.env.TEST_RATE_LIMIT = "-1";
+        expect(limitFromEnv("TEST_RATE_LIMIT", 5)).toBe(5);
+        delete process.env.TEST_RATE_LIMIT;
+        expect(limitFromEnv("TEST_RATE_LIMIT", 5)).toBe(5);
+    });
+});
+
+// Runs against a real storage emulator: start `npm run azurite`, then
+// RATE_LIMIT_TEST_STORAGE="UseDevelopmentStorage=true" npm test
+const describeWithStorage = process.env.RATE_LIMIT_TEST_STORAGE ? describe : describe.skip;
+
+describeWithStorage("createBlobCounterStore (Azurite)", () => {
+    const containerClient = BlobServiceClient
+        .fromConnectionString(process.env.RATE_LIMIT_TEST_STORAGE || "UseDevelopmentStorage=true")
+        .getContainerClient(`ratelimit-test-${randomUUID().slice(0, 8)}`);
+
+    beforeAll(() => containerClient.createIfNotExists());
+    afterAll(() => containerClient.deleteIfExists());
+
+    test("counts concurrent increments without losing any", async () => {
+        const store = createBlobCounterStore(containerClient);
+
+        const results = await Promise.all(Array.from({ length: 5 }, () => store.increment("concurrent")));
+
+        expect(results.sort()).toEqual([1, 2, 3, 4, 5]);
+    });
+
+    test("enforces limits across store instances", async () => {
+        const now = new Date("2026-03-01T10:15:00Z");
+        const check = () => checkRateLimits(createBlobCounterStore(containerClient), [{ rule: hourly, subject: "198.51.100.1" }], now);
+
+        await check();
+        await check();
+        expect((await check()).allowed).toBe(false);
+    });
+});
@@ -0,0 +1,51 @@
+import { Octokit } from "@octokit/rest";
+import { getPullRequestStatus, parsePullRequestUrl, resolveSubmissionStatus } from "../src/status";
+
+const open = { state: "open", merged_at: null };
+const review = (login: string, state: string) => ({ state, user: { login } });
+
+describe("parsePullRequestUrl", () => {
+    test("parses github.com pull request URLs", () => {
+        expect(parsePullRequestUrl("https://github.com/testowner/testrepo/pull/42"))
+            .toEqual({ owner: "testowner", repo: "testrepo", number: 42 });
+    });
+
+    test("rejects mock and non-GitHub URLs", () => {
+        expect(parsePullRequestUrl("http://localhost:mock-pr-url")).toBeNull();
+        expect(parsePullRequestUrl("https://evil.example/testowner/testrepo/pull/42")).toBeNull();
+        expect(parsePullRequestUrl(undefined)).toBeNull();
+    });
+});
+
+describe("resolveSubmissionStatus", () => {
+    test("reports merged and closed PRs regardless of reviews", () => {
+        expect(resolveSubmissionStatus({ state: "closed", merged_at: "2026-01-01T00:00:00Z" }, [])).toBe("merged");
+        expect(resolveSubmissionStatus({ state: "closed", merged_at: null }, [review("a", "APPROVED")])).toBe("closed");
+    });
+
+    test("is pending until a reviewer decides", () => {
+        expect(resolveSubmissionStatus(open, [])).toBe("pending_review");
+        expect(resolveSubmissionStatus(open, [review("a", "COMMENTED")])).toBe("pending_review");
+    });
+
+    test("uses each reviewer's latest decision", () => {
+        expect(resolveSubmissionStatus(open, [review("a", "CHANGES_REQUESTED"), review("a", "APPROVED")])).toBe("approved");
+        expect(resolveSubmissionStatus(open, [review("a", "APPROVED"), review("b", "CHANGES_REQUESTED")])).toBe("changes_requested");
+        expect(resolveSubmissionStatus(open, [review("a", "CHANGES_REQUESTED"), review("a", "COMMENTED")])).toBe("changes_requested");
+    });
+});
+
+describe("getPullRequestStatus", () => {
+    test("combines the PR and its reviews", async () => {
+        const octokit = {
+            pulls: {
+                get: jest.fn(async () => ({ data: { ...open, updated_at: "2026-02-01T00:00:00Z" } })),
+                listReviews: jest.fn(),
+            },
+            paginate: jest.fn(async () => [review("a", "CHANGES_REQUESTED")]),
+        } as unknown as Octokit;
+
+        await expect(getPullRequestStatus(octokit, { owner: "o", repo: "r", number: 1 }))
+            .resolves.toEqual({ status: "changes_requested", updatedAt: "2026-02-01T00:00:00Z" });
+    });
+});
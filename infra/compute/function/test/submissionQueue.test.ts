@@ -0,0 +1,82 @@
+import { isRetryableError, parseQueueMessage, retryDelayMs, withRetries } from "../src/submissionQueue";
+
+const CORRELATION_ID = "123e4567-e89b-42d3-a456-426614174000";
+
+// Shaped like the errors Octokit throws
+const githubError = (status: number, headers: Record<string, string> = {}, message = "GitHub error") =>
+    Object.assign(new Error(message), { status, response: { headers } });
+
+describe("parseQueueMessage", () => {
+    test("reads messages as objects or JSON text", () => {
+        expect(parseQueueMessage({ correlationId: CORRELATION_ID })).toEqual({ correlationId: CORRELATION_ID });
+        expect(parseQueueMessage(JSON.stringify({ correlationId: CORRELATION_ID }))).toEqual({ correlationId: CORRELATION_ID });
+    });
+
+    test("rejects anything else", () => {
+        expect(parseQueueMessage("not json")).toBeNull();
+        expect(parseQueueMessage(null)).toBeNull();
+        expect(parseQueueMessage({ correlationId: "../../secrets" })).toBeNull();
+    });
+});
+
+describe("isRetryableError", () => {
+    test("retries network errors, server errors and rate limits", () => {
+        expect(isRetryableError(Object.assign(new Error("socket hang up"), { code: "ECONNRESET" }))).toBe(true);
+        expect(isRetryableError(new TypeError("fetch failed", { cause: Object.assign(new Error("connect"), { code: "ECONNREFUSED" }) }))).toBe(true);
+        expect(isRetryableError(Object.assign(new Error("Service Unavailable"), { statusCode: 503 }))).toBe(true);
+        expect(isRetryableError(githubError(502))).toBe(true);
+        expect(isRetryableError(githubError(429))).toBe(true);
+        expect(isRetryableError(githubError(403, { "x-ratelimit-remaining": "0" }))).toBe(true);
+        expect(isRetryableError(githubError(403, {}, "You have exceeded a secondary rate limit"))).toBe(true);
+    });
+
+    test("does not retry errors that would happen again", () => {
+        expect(isRetryableError(githubError(403, {}, "Resource not accessible by integration"))).toBe(false);
+        expect(isRetryableError(githubError(404))).toBe(false);
+        expect(isRetryableError(githubError(422))).toBe(false);
+        expect(isRetryableError(new TypeError("Cannot read properties of undefined (reading 'sha')"))).toBe(false);
+        expect(isRetryableError(new Error("Profile folder already exists"))).toBe(false);
+    });
+});
+
+describe("retryDelayMs", () => {
+    const now = new Date("2026-03-01T12:00:00Z");
+
+    test("doubles the delay with each attempt", () => {
+        expect([1, 2, 3].map(attempt => retryDelayMs(new Error("timeout"), attempt, 5000, now))).toEqual([5000, 10000, 20000]);
+    });
+
+    test("waits as long as GitHub asks, up to a minute", () => {
+        expect(retryDelayMs(githubError(403, { "retry-after": "30" }), 1, 5000, now)).toBe(30000);
+        expect(retryDelayMs(githubError(403, { "retry-after": "3600" }), 1, 5000, now)).toBe(60000);
+        const reset = String(now.getTime() / 1000 + 20);
+        expect(retryDelayMs(githubError(403, { "x-ratelimit-remaining": "0", "x-ratelimit-reset": reset }), 1, 5000, now)).toBe(20000);
+    });
+});
+
+describe("withRetries", () => {
+    test("retries until an attempt succeeds", async () => {
+        const sleep = jest.fn(async () => {});
+        const attempt = jest.fn()
+            .mockRejectedValueOnce(githubError(502))
+            .mockRejectedValueOnce(githubError(502))
+            .mockResolvedValueOnce("done");
+
+        await expect(withRetries(attempt, { attempts: 3, baseDelayMs: 1000, sleep })).resolves.toBe("done");
+        expect(sleep.mock.calls).toEqual([[1000], [2000]]);
+    });
+
+    test("gives up after the last attempt", async () => {
+        const attempt = jest.fn().mockRejectedValue(githubError(503));
+
+        await expect(withRetries(attempt, { attempts: 3, baseDelayMs: 1000, sleep: async () => {} })).rejects.toMatchObject({ status: 503 });
+        expect(attempt).toHaveBeenCalledTimes(3);
+    });
+
+    test("stops at once on an error that cannot be retried", async () => {
+        const attempt = jest.fn().mockRejectedValue(githubError(422));
+
+        await expect(withRetries(attempt, { attempts: 3, baseDelayMs: 1000, sleep: async () => {} })).rejects.toMatchObject({ status: 422 });
+        expect(attempt).toHaveBeenCalledTimes(1);
+    });
+});
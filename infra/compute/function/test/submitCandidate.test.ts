@@ -3,8 +3,28 @@ import { Octokit } from "@octokit/rest";
 
 // Mock dependencies
 jest.mock("@azure/storage-blob");
-jest.mock("@octokit/auth-app");
-jest.mock("@octokit/rest");
+// Factories, since automocking would have to load these ESM-only packages
+jest.mock("@octokit/auth-app", () => ({ createAppAuth: jest.fn() }));
+jest.mock("@octokit/rest", () => ({ Octokit: jest.fn() }));
+
+// The handler is registered with app.http; keep it so it can be called directly
+const mockHandlers: Record<string, (request: unknown, context: unknown) => Promise<any>> = {};
+jest.mock("@azure/functions", () => ({
+    app: {
+        http: (name: string, options: { handler: (request: unknown, context: unknown) => Promise<any> }) => { mockHandlers[name] = options.handler; },
+        storageQueue: jest.fn(),
+    },
+    output: { storageQueue: (options: object) => ({ type: "queue", ...options }) },
+}));
+jest.mock("../src/idempotency", () => ({ ...jest.requireActual("../src/idempotency"), claimSubmission: jest.fn(), finishSubmission: jest.fn(async () => {}) }));
+jest.mock("../src/rateLimit", () => ({ ...jest.requireActual("../src/rateLimit"), checkRateLimits: jest.fn() }));
+jest.mock("../src/contacts", () => ({
+    ...jest.requireActual("../src/contacts"),
+    getContactStore: jest.fn(async () => ({})),
+    getContainerClient: jest.fn(async () => ({})),
+    loadContactRecord: jest.fn(),
+}));
+jest.mock("../src/submissionQueue", () => ({ ...jest.requireActual("../src/submissionQueue"), loadQueuedSubmission: jest.fn() }));
 
 // Import after mocking
 import type { CandidateSubmission, TurnstileVerifyResponse } from "../src/types";
@@ -53,6 +73,8 @@ describe("submitCandidate Function Tests", () => {
                 about: "Test bio about the candidate",
                 content: "# Policy\n\nTest policy content",
                 contactEmail: "test@example.com",
+                pledgeVersion: "2026",
+                pledgeHash: "3ac8dbaa718390d3369e12734bde08743b1e85f7ff7bde540d061556813c7c4b",
                 turnstileToken: "test-token",
             };
 
@@ -88,6 +110,8 @@ describe("submitCandidate Function Tests", () => {
                 about: 'A candidate with "quotes" and special chars',
                 content: "Content",
                 contactEmail: "test@example.com",
+                pledgeVersion: "2026",
+                pledgeHash: "3ac8dbaa718390d3369e12734bde08743b1e85f7ff7bde540d061556813c7c4b",
                 turnstileToken: "test-token",
             };
 
@@ -112,6 +136,8 @@ describe("submitCandidate Function Tests", () => {
                 avatarImage: "data:image/jpeg;base64,/9j/test",
                 titleImage: "data:image/jpeg;base64,/9j/test2",
                 contactEmail: "test@example.com",
+                pledgeVersion: "2026",
+                pledgeHash: "3ac8dbaa718390d3369e12734bde08743b1e85f7ff7bde540d061556813c7c4b",
                 turnstileToken: "test-token",
             };
 
@@ -169,6 +195,8 @@ describe("submitCandidate Function Tests", () => {
                 candidate: "",
                 title: "School Board",
                 contactEmail: "test@example.com",
+                pledgeVersion: "2026",
+                pledgeHash: "3ac8dbaa718390d3369e12734bde08743b1e85f7ff7bde540d061556813c7c4b",
                 turnstileToken: "test-token",
             } as CandidateSubmission;
 
@@ -206,6 +234,8 @@ describe("submitCandidate Function Tests", () => {
                 about: "Bio",
                 content: "Content",
                 contactEmail: "test@example.com",
+                pledgeVersion: "2026",
+                pledgeHash: "3ac8dbaa718390d3369e12734bde08743b1e85f7ff7bde540d061556813c7c4b",
                 turnstileToken: "test-token",
             };
 
@@ -279,6 +309,8 @@ describe("submitCandidate Function Tests", () => {
                 about: "Bio",
                 content: "Content",
                 contactEmail: "test@example.com",
+                pledgeVersion: "2026",
+                pledgeHash: "3ac8dbaa718390d3369e12734bde08743b1e85f7ff7bde540d061556813c7c4b",
                 turnstileToken: "test-token",
                 // No avatarImage or titleImage
             };
@@ -304,6 +336,8 @@ describe("submitCandidate Function Tests", () => {
                 contactEmail: "test@example.com",
                 contactPhone: "+15555551234",
                 contactNotes: "Call after 5pm",
+                pledgeVersion: "2026",
+                pledgeHash: "3ac8dbaa718390d3369e12734bde08743b1e85f7ff7bde540d061556813c7c4b",
                 turnstileToken: "test-token",
             };
 
@@ -330,6 +364,8 @@ describe("submitCandidate Function Tests", () => {
                 about: "Bio",
                 content: "Content",
                 contactEmail: "test@example.com",
+                pledgeVersion: "2026",
+                pledgeHash: "3ac8dbaa718390d3369e12734bde08743b1e85f7ff7bde540d061556813c7c4b",
                 turnstileToken: "test-token",
                 // No phone or notes
             };
@@ -367,6 +403,97 @@ describe("submitCandidate Function Tests", () => {
     });
 });
 
+describe("submitCandidate handler", () => {
+    const CORRELATION_ID = "123e4567-e89b-42d3-a456-426614174000";
+    const submission = (): CandidateSubmission => ({
+        candidate: "Test Candidate",
+        title: "School Board",
+        party: "Independent",
+        electionDate: "2026-04-01",
+        categories: ["School Board", "Illinois"],
+        tags: ["Lake Park"],
+        about: "Bio",
+        content: "# Policy\n\nContent",
+        contactEmail: "test@example.com",
+        pledgeVersion: "2026",
+        pledgeHash: "3ac8dbaa718390d3369e12734bde08743b1e85f7ff7bde540d061556813c7c4b",
+        turnstileToken: "test-token",
+        idempotencyKey: "0b7c2d4e-5f60-4a1b-8c2d-3e4f5a6b7c8d",
+    });
+    const request = (body: unknown) => ({ method: "POST", headers: new Headers(), json: async () => body });
+    const invocation = () => ({ log: jest.fn(), warn: jest.fn(), error: jest.fn(), extraOutputs: { set: jest.fn() } });
+
+    let submitCandidate: (request: unknown, context: unknown) => Promise<any>;
+    let mocks: {
+        claimSubmission: jest.Mock;
+        finishSubmission: jest.Mock;
+        checkRateLimits: jest.Mock;
+        loadContactRecord: jest.Mock;
+        loadQueuedSubmission: jest.Mock;
+    };
+
+    beforeAll(async () => {
+        // Read when the module loads; skips Turnstile
+        process.env.IS_LOCAL_DEV = "true";
+        await import("../src/functions/submitCandidate");
+        submitCandidate = mockHandlers.submitCandidate;
+        mocks = {
+            claimSubmission: (await import("../src/idempotency")).claimSubmission as jest.Mock,
+            finishSubmission: (await import("../src/idempotency")).finishSubmission as jest.Mock,
+            checkRateLimits: (await import("../src/rateLimit")).checkRateLimits as jest.Mock,
+            loadContactRecord: (await import("../src/contacts")).loadContactRecord as jest.Mock,
+            loadQueuedSubmission: (await import("../src/submissionQueue")).loadQueuedSubmission as jest.Mock,
+        };
+    });
+
+    afterAll(() => {
+        delete process.env.IS_LOCAL_DEV;
+    });
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+    });
+
+    test("answers a retry of a queued submission without charging any rate limit", async () => {
+        mocks.claimSubmission.mockResolvedValue({ status: "queued", correlationId: CORRELATION_ID });
+        mocks.loadQueuedSubmission.mockResolvedValue({ correlationId: CORRELATION_ID });
+        mocks.loadContactRecord.mockResolvedValue({ correlationId: CORRELATION_ID, status: "pending" });
+        const context = invocation();
+
+        const response = await submitCandidate(request(submission()), context);
+
+        expect(response.status).toBe(202);
+        expect(response.jsonBody).toMatchObject({ success: true, correlationId: CORRELATION_ID });
+        expect(mocks.checkRateLimits).not.toHaveBeenCalled();
+        // Still waiting, so it is queued again in case the first message was never sent
+        expect(context.extraOutputs.set).toHaveBeenCalledWith(expect.anything(), { correlationId: CORRELATION_ID });
+    });
+
+    test("answers a retry of a completed submission without charging any rate limit", async () => {
+        mocks.claimSubmission.mockResolvedValue({ status: "completed", correlationId: CORRELATION_ID, pullRequestUrl: "https://github.com/o/r/pull/7" });
+        const context = invocation();
+
+        const response = await submitCandidate(request(submission()), context);
+
+        expect(response.status).toBe(202);
+        expect(response.jsonBody).toMatchObject({ correlationId: CORRELATION_ID, pullRequestUrl: "https://github.com/o/r/pull/7" });
+        expect(mocks.checkRateLimits).not.toHaveBeenCalled();
+        expect(context.extraOutputs.set).not.toHaveBeenCalled();
+    });
+
+    test("does not charge rate limits for a submission that fails its checks, and frees the key", async () => {
+        mocks.claimSubmission.mockResolvedValue({ status: "claimed" });
+        const context = invocation();
+
+        // Passes the payload validator, but is not a complete JPEG
+        const response = await submitCandidate(request({ ...submission(), avatarImage: "data:image/jpeg;base64,/9j/4AAQSkZJRg==" }), context);
+
+        expect(response.status).toBe(400);
+        expect(mocks.checkRateLimits).not.toHaveBeenCalled();
+        expect(mocks.finishSubmission).toHaveBeenCalledWith(expect.anything(), submission().idempotencyKey, expect.objectContaining({ state: "failed" }));
+    });
+});
+
 // ===== Test Helper Functions =====
 // These mirror the actual implementation but are testable without side effects
 
@@ -0,0 +1,123 @@
+import { isSafeCss, sanitizeSvg } from "../src/svg";
+import { processImage } from "../src/images";
+
+const wrap = (inner: string, rootAttrs = "") =>
+    `<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink"${rootAttrs}>${inner}</svg>`;
+
+describe("sanitizeSvg", () => {
+    test("keeps static drawing content intact", () => {
+        const input = wrap(
+            '<defs><linearGradient id="g"><stop offset="0" stop-color="#fff"/></linearGradient></defs>'
+            + '<title>Logo</title><rect width="10" height="10" fill="url(#g)"/>'
+            + '<use xlink:href="#g"/><text x="1" y="2">Vote</text>',
+            ' viewBox="0 0 10 10"'
+        );
+        const output = sanitizeSvg(input);
+
+        expect(output).toContain('viewBox="0 0 10 10"');
+        expect(output).toContain('fill="url(#g)"');
+        expect(output).toContain('xlink:href="#g"');
+        expect(output).toContain("<title>Logo</title>");
+        expect(output).toContain(">Vote</text>");
+    });
+
+    // Known SVG XSS vectors; none of the active parts may survive
+    const attacks: Array<[string, string, RegExp]> = [
+        ["script element", '<script>alert(1)</script>', /script|alert/i],
+        ["CDATA script", '<script><![CDATA[alert(1)]]></script>', /script|alert/i],
+        ["xhtml script", '<html:script xmlns:html="http://www.w3.org/1999/xhtml">alert(1)</html:script>', /script|alert/i],
+        ["onload on root", "", /onload/i],
+        ["event handler", '<rect width="1" height="1" onclick="alert(1)" onmouseover="alert(2)"/>', /onclick|onmouseover|alert/i],
+        ["foreignObject", '<foreignObject><body xmlns="http://www.w3.org/1999/xhtml"><img src="x" onerror="alert(1)"/></body></foreignObject>', /foreignObject|onerror|alert/i],
+        ["javascript link", '<a href="javascript:alert(1)"><text>click</text></a>', /javascript|<a/i],
+        ["obfuscated javascript link", '<a xlink:href="jav&#x09;ascript:alert(1)"><text>click</text></a>', /ascript|<a/i],
+        ["animate rewriting href", '<a><animate attributeName="href" to="javascript:alert(1)"/><text>x</text></a>', /animate|javascript/i],
+        ["set element", '<set attributeName="onmouseover" to="alert(1)"/>', /<set|alert/i],
+        ["external use", '<use href="https://evil.example/sprite.svg#x"/>', /evil\.example/],
+        ["external image", '<image href="https://evil.example/track.png" width="1" height="1"/>', /evil\.example/],
+        ["svg data image", '<image href="data:image/svg+xml;base64,PHN2Zz4=" width="1" height="1"/>', /data:image\/svg/],
+        ["iframe", '<iframe src="https://evil.example"/>', /iframe|evil/i],
+        ["external url in fill", '<rect fill="url(https://evil.example/x.svg#p)" width="1" height="1"/>', /evil\.example/],
+        ["style import", '<style>@import url(https://evil.example/x.css);</style>', /@import|evil/i],
+        ["style external url", '<style>rect { fill: url(https://evil.example/a) }</style>', /evil/],
+        ["style attribute url", '<rect style="background:url(https://evil.example/beacon)"/>', /evil/],
+        ["css escape obfuscation", '<style>rect { background: u\\72l(https://evil.example) }</style>', /evil/],
+        ["xml-stylesheet PI", '<?xml-stylesheet href="https://evil.example/x.css"?>', /xml-stylesheet|evil/],
+        ["xml:base", '<g xml:base="https://evil.example/"><use href="#a"/></g>', /xml:base|evil/],
+    ];
+
+    test.each(attacks)("removes %s", (_name, inner, forbidden) => {
+        const input = _name === "onload on root"
+            ? wrap('<rect width="1" height="1"/>', ' onload="alert(1)"')
+            : wrap(inner);
+
+        const output = sanitizeSvg(input);
+
+        expect(output).not.toMatch(forbidden);
+        expect(output.startsWith("<svg")).toBe(true);
+    });
+
+    test("keeps link text when unwrapping anchors", () => {
+        const output = sanitizeSvg(wrap('<a href="javascript:alert(1)"><text>click</text></a>'));
+
+        expect(output).toContain("<text>click</text>");
+    });
+
+    test("allows embedded raster data images", () => {
+        const output = sanitizeSvg(wrap('<image href="data:image/png;base64,iVBORw0KGgo=" width="1" height="1"/>'));
+
+        expect(output).toContain('href="data:image/png;base64,iVBORw0KGgo="');
+    });
+
+    test("rejects entity declarations", () => {
+        const input = '<?xml version="1.0"?><!DOCTYPE svg [<!ENTITY a "aaaa"><!ENTITY b "&a;&a;">]>'
+            + '<svg xmlns="http://www.w3.org/2000/svg"><text>&b;</text></svg>';
+
+        expect(() => sanitizeSvg(input)).toThrow(/entities/);
+    });
+
+    test("rejects malformed or non-SVG documents", () => {
+        expect(() => sanitizeSvg("<svg><g></svg>")).toThrow();
+        expect(() => sanitizeSvg('<html xmlns="http://www.w3.org/1999/xhtml"/>')).toThrow(/root/);
+    });
+
+    test("adds the SVG namespace when the input omits it", () => {
+        expect(sanitizeSvg("<svg><rect/><script>alert(1)</script></svg>"))
+            .toBe('<svg xmlns="http://www.w3.org/2000/svg"><rect/></svg>');
+    });
+});
+
+describe("isSafeCss", () => {
+    test("allows fragment references and plain declarations", () => {
+        expect(isSafeCss(".a { fill: url(#grad); stroke: #000 }")).toBe(true);
+        expect(isSafeCss("fill: url('#grad')")).toBe(true);
+    });
+
+    test("rejects external references and legacy script hooks", () => {
+        expect(isSafeCss("background: url(//evil.example)")).toBe(false);
+        expect(isSafeCss("width: expression(alert(1))")).toBe(false);
+        expect(isSafeCss("behavior: url(#x)")).toBe(false);
+        expect(isSafeCss("fill: url(#a")).toBe(false);
+    });
+});
+
+describe("processImage with SVG", () => {
+    test("commits the sanitized markup", () => {
+        const svg = wrap('<script>alert(1)</script><circle r="4"/>');
+        const { image, errors } = processImage(Buffer.from(svg).toString("base64"), "Inline image 1", {
+            allowedTypes: ["svg"],
+        });
+
+        expect(errors).toEqual([]);
+        expect(image!.data.toString("utf-8")).not.toContain("script");
+        expect(image!.data.toString("utf-8")).toContain("<circle");
+    });
+
+    test("reports unparseable SVG as a validation error", () => {
+        const { errors } = processImage(Buffer.from("<svg><g></svg>").toString("base64"), "Inline image 1", {
+            allowedTypes: ["svg"],
+        });
+
+        expect(errors).toEqual(["Inline image 1 is not a valid SVG image"]);
+    });
+});
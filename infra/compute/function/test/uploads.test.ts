@@ -0,0 +1,66 @@
+import { MAX_IMAGE_BYTES } from "../src/images";
+import {
+    UPLOAD_CHUNK_BYTES,
+    chunkBlockId,
+    isValidUploadId,
+    isValidUploadToken,
+    uploadChunkCount,
+    validateUploadStart,
+} from "../src/uploads";
+
+describe("validateUploadStart", () => {
+    test("accepts each image kind with a valid size", () => {
+        for (const kind of ["avatar", "title", "inline"]) {
+            expect(validateUploadStart({ kind, size: 1024 })).toEqual([]);
+        }
+    });
+
+    test("rejects non-object bodies", () => {
+        expect(validateUploadStart(null)).toEqual(["Request body must be a JSON object"]);
+        expect(validateUploadStart([1])).toEqual(["Request body must be a JSON object"]);
+    });
+
+    test("rejects unknown kinds and bad sizes", () => {
+        expect(validateUploadStart({ kind: "banner", size: 0 })).toEqual([
+            "Image kind must be one of avatar, title, inline",
+            "Image size must be a positive number of bytes",
+        ]);
+        expect(validateUploadStart({ kind: "avatar", size: 1.5 })).toEqual(["Image size must be a positive number of bytes"]);
+        expect(validateUploadStart({ kind: "avatar", size: "100" })).toEqual(["Image size must be a positive number of bytes"]);
+    });
+
+    test("rejects images over the size limit", () => {
+        expect(validateUploadStart({ kind: "title", size: MAX_IMAGE_BYTES + 1 }))
+            .toEqual([`Images must be under ${MAX_IMAGE_BYTES / (1024 * 1024)}MB`]);
+    });
+});
+
+describe("chunks", () => {
+    test("counts chunks, including a final partial one", () => {
+        expect(uploadChunkCount(1)).toBe(1);
+        expect(uploadChunkCount(UPLOAD_CHUNK_BYTES)).toBe(1);
+        expect(uploadChunkCount(UPLOAD_CHUNK_BYTES + 1)).toBe(2);
+        expect(uploadChunkCount(UPLOAD_CHUNK_BYTES * 3)).toBe(3);
+    });
+
+    test("builds distinct block ids of equal length", () => {
+        const ids = [0, 1, 9, 10, 999].map(chunkBlockId);
+
+        expect(new Set(ids).size).toBe(ids.length);
+        expect(new Set(ids.map(id => id.length)).size).toBe(1);
+    });
+});
+
+describe("identifiers", () => {
+    test("accepts UUID upload ids only", () => {
+        expect(isValidUploadId("3f1c2a9e-5b7d-4c1e-9a2b-6d8e0f1a2b3c")).toBe(true);
+        expect(isValidUploadId("../drafts/abc")).toBe(false);
+        expect(isValidUploadId(undefined)).toBe(false);
+    });
+
+    test("accepts URL-safe upload tokens only", () => {
+        expect(isValidUploadToken("A".repeat(32))).toBe(true);
+        expect(isValidUploadToken("a/b+".repeat(8))).toBe(false);
+        expect(isValidUploadToken("short")).toBe(false);
+    });
+});
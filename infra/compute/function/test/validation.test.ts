@@ -0,0 +1,259 @@
+import type { CandidateSubmission } from "../src/types";
+import { validateSubmission, isValidIsoDate, isHttpsUrl, LIMITS } from "../src/validation";
+
+describe("validateSubmission", () => {
+    const validSubmission = (): CandidateSubmission => ({
+        candidate: "Test Candidate",
+        title: "School Board",
+        party: "Independent",
+        electionDate: "2026-04-01",
+        categories: ["School Board", "Illinois"],
+        tags: ["Lake Park", "High School"],
+        about: "Bio",
+        website: "https://www.example.com",
+        content: "# Policy\n\nContent",
+        avatarImage: "data:image/jpeg;base64,/9j/4AAQSkZJRg==",
+        additionalImages: [{ path: "images/img-abc123-photo.jpg", content: "/9j/4AAQ" }],
+        contactEmail: "test@example.com",
+        contactPhone: "+15555551234",
+        pledgeVersion: "2026",
+        pledgeHash: "3ac8dbaa718390d3369e12734bde08743b1e85f7ff7bde540d061556813c7c4b",
+        turnstileToken: "test-token",
+    });
+
+    test("accepts a valid submission", () => {
+        expect(validateSubmission(validSubmission())).toEqual([]);
+    });
+
+    test("rejects non-object bodies", () => {
+        expect(validateSubmission(null)).toEqual(["Request body must be a JSON object"]);
+        expect(validateSubmission([])).toEqual(["Request body must be a JSON object"]);
+        expect(validateSubmission("text")).toEqual(["Request body must be a JSON object"]);
+    });
+
+    test("reports every missing required field at once", () => {
+        const errors = validateSubmission({});
+
+        expect(errors).toEqual(expect.arrayContaining([
+            "Candidate name is required",
+            "Position title is required",
+            "Party affiliation is required",
+            "Election date is required",
+            "Categories are required",
+            "At least one location tag is required",
+            "About section is required",
+            "Content is required",
+            "Contact email is required",
+            "Turnstile token is required",
+        ]));
+    });
+
+    test("rejects malformed election dates instead of crashing", () => {
+        for (const electionDate of ["04/01/2026", "2026-02-30", "2026-4-1"]) {
+            const errors = validateSubmission({ ...validSubmission(), electionDate });
+            expect(errors).toContain("Election date must be a valid date in YYYY-MM-DD format");
+        }
+    });
+
+    test("rejects wrong field types", () => {
+        const errors = validateSubmission({
+            ...validSubmission(),
+            candidate: 42,
+            tags: "Lake Park",
+            categories: [1, 2],
+        });
+
+        expect(errors).toContain("Candidate name must be a string");
+        expect(errors).toContain("At least one location tag is required");
+        expect(errors).toContain("Categories must be a list of strings");
+    });
+
+    test("requires an allowed category and state", () => {
+        const errors = validateSubmission({ ...validSubmission(), categories: ["Senate", "Ontario"] });
+
+        expect(errors).toEqual(expect.arrayContaining([
+            expect.stringMatching(/^Category must be one of/),
+            "State must be a U.S. state name",
+            "Unknown categories: Senate, Ontario",
+        ]));
+    });
+
+    test("requires https websites", () => {
+        expect(validateSubmission({ ...validSubmission(), website: "http://example.com" }))
+            .toContain("Campaign website must be a valid https:// URL");
+        expect(validateSubmission({ ...validSubmission(), website: "javascript:alert(1)" }))
+            .toContain("Campaign website must be a valid https:// URL");
+    });
+
+    test("validates email and phone formats", () => {
+        const errors = validateSubmission({
+            ...validSubmission(),
+            contactEmail: "not an email",
+            contactPhone: "call me",
+        });
+
+        expect(errors).toContain("Contact email must be a valid email address");
+        expect(errors).toContain("Contact phone must be a valid phone number");
+    });
+
+    test("enforces length limits and array sizes", () => {
+        const errors = validateSubmission({
+            ...validSubmission(),
+            candidate: "x".repeat(LIMITS.candidate + 1),
+            tags: Array.from({ length: LIMITS.maxTags + 1 }, (_, i) => `Tag ${i}`),
+        });
+
+        expect(errors).toContain(`Candidate name must be at most ${LIMITS.candidate} characters`);
+        expect(errors).toContain(`At most ${LIMITS.maxTags} tags are allowed`);
+    });
+
+    test("rejects duplicate and empty tags", () => {
+        const errors = validateSubmission({ ...validSubmission(), tags: ["Lake Park", "lake park", " "] });
+
+        expect(errors).toContain("Tags must be unique");
+        expect(errors).toContain("Tags cannot be empty");
+    });
+
+    test("validates image payloads", () => {
+        const errors = validateSubmission({
+            ...validSubmission(),
+            avatarImage: "<svg onload=alert(1)>",
+            additionalImages: [{ path: "../../../hugo.toml", content: "not base64!" }, "bogus"],
+        });
+
+        expect(errors).toContain("Main photo must be a base64 encoded image");
+        expect(errors).toContain("Inline image 1 has an invalid path");
+        expect(errors).toContain("Inline image 1 must be base64 encoded");
+        expect(errors).toContain("Inline image 2 is malformed");
+    });
+
+    test("accepts staged upload ids in place of image content", () => {
+        const imageId = "3f1c2a9e-5b7d-4c1e-9a2b-6d8e0f1a2b3c";
+
+        expect(validateSubmission({
+            ...validSubmission(),
+            avatarImage: undefined,
+            avatarImageId: imageId,
+            titleImageId: imageId,
+            additionalImages: [{ path: "images/img-abc123-photo.jpg", imageId }],
+        })).toEqual([]);
+    });
+
+    test("rejects malformed upload ids and images sent both ways", () => {
+        const errors = validateSubmission({
+            ...validSubmission(),
+            avatarImageId: "3f1c2a9e-5b7d-4c1e-9a2b-6d8e0f1a2b3c",
+            titleImageId: "../uploads/x",
+            additionalImages: [{ path: "images/img-abc123-photo.jpg", imageId: "nope" }],
+        });
+
+        expect(errors).toContain("Main photo must be sent either inline or as an upload, not both");
+        expect(errors).toContain("Title photo upload id is invalid");
+        expect(errors).toContain("Inline image 1 upload id is invalid");
+    });
+
+    test("checks WebP copies like the images they copy", () => {
+        const errors = validateSubmission({
+            ...validSubmission(),
+            avatarImageWebp: "data:image/webp;base64,UklGRg==",
+            titleImageWebpId: "3f1c2a9e-5b7d-4c1e-9a2b-6d8e0f1a2b3c",
+            additionalImages: [{ path: "images/img-abc123-photo.jpg", content: "/9j/4AAQ", webp: "not base64!" }],
+        });
+
+        expect(errors).toEqual([
+            "Title photo WebP copy was sent without the photo itself",
+            "Inline image 1 WebP copy must be base64 encoded",
+        ]);
+    });
+
+    test("requires descriptive alt text on biography images", () => {
+        const content = [
+            "![Jane at the library board meeting](images/img-1-a.jpg)",
+            "![Image](images/img-2-b.jpg)",
+            "![](images/img-3-c.jpg)",
+            "![IMG_2041.JPG](images/img-4-d.jpg)",
+            "![ photo ](https://example.com/e.png \"title\")",
+        ].join("\n\n");
+
+        expect(validateSubmission({ ...validSubmission(), content })).toEqual([
+            "Biography image 2 needs a description (alt text) for screen readers",
+            "Biography image 3 needs a description (alt text) for screen readers",
+            "Biography image 4 needs a description (alt text) for screen readers",
+            "Biography image 5 needs a description (alt text) for screen readers",
+        ]);
+    });
+
+    test("requires a pledge version and SHA-256 hash", () => {
+        const errors = validateSubmission({ ...validSubmission(), pledgeVersion: "2026; rm", pledgeHash: "abc" });
+
+        expect(errors).toContain("Pledge version is invalid");
+        expect(errors).toContain("Pledge hash must be a SHA-256 hex digest");
+        expect(validateSubmission({ ...validSubmission(), pledgeVersion: undefined, pledgeHash: undefined }))
+            .toEqual(expect.arrayContaining(["Pledge version is required", "Pledge hash is required"]));
+    });
+
+    test("accepts structured sections in place of free-form content", () => {
+        const submission = {
+            ...validSubmission(),
+            content: "",
+            positions: [{ issue: "Housing", stance: "More homes" }],
+            experience: [{ role: "Teacher", organization: "Lake Park High School", years: "2010-2020" }],
+            endorsements: [{ name: "Jane Roe", url: "https://example.com" }],
+        };
+
+        expect(validateSubmission(submission)).toEqual([]);
+        expect(validateSubmission({ ...validSubmission(), content: "" })).toContain("Content is required");
+    });
+
+    test("rejects incomplete and malformed section entries", () => {
+        const errors = validateSubmission({
+            ...validSubmission(),
+            positions: [{ issue: "Housing", stance: "" }, "text"],
+            experience: { role: "Teacher" },
+            endorsements: [{ name: "Jane Roe", url: "http://example.com", extra: true }],
+        });
+
+        expect(errors).toEqual(expect.arrayContaining([
+            "Policy position 1 stance is required",
+            "Policy position 2 is malformed",
+            "The experience entries must be a list",
+            "Endorsement 1 has unknown fields",
+            "Endorsement 1 link must be a valid https:// URL",
+        ]));
+        expect(validateSubmission({
+            ...validSubmission(),
+            positions: Array.from({ length: LIMITS.maxPositions + 1 }, () => ({ issue: "Issue", stance: "Stance" })),
+        })).toContain(`At most ${LIMITS.maxPositions} policy positions are allowed`);
+    });
+
+    test("validates the existing profile path for updates", () => {
+        expect(validateSubmission({ ...validSubmission(), existingProfilePath: "candidates/2026/test-candidate" })).toEqual([]);
+        expect(validateSubmission({ ...validSubmission(), existingProfilePath: "candidates/test-candidate" })).toEqual([]);
+
+        for (const path of ["../../hugo.toml", "candidates/2026/../../x", "pages/about", "candidates/2026/Test"]) {
+            expect(validateSubmission({ ...validSubmission(), existingProfilePath: path }))
+                .toContain("Existing profile path is invalid");
+        }
+    });
+
+    test("accepts a UUID idempotency key and nothing else", () => {
+        expect(validateSubmission({ ...validSubmission(), idempotencyKey: "0b7c2d4e-5f60-4a1b-8c2d-3e4f5a6b7c8d" })).toEqual([]);
+        expect(validateSubmission({ ...validSubmission(), idempotencyKey: "retry-1" })).toContain("Idempotency key is invalid");
+        expect(validateSubmission({ ...validSubmission(), idempotencyKey: 42 as unknown as string })).toContain("Idempotency key is invalid");
+    });
+});
+
+describe("format helpers", () => {
+    test("isValidIsoDate", () => {
+        expect(isValidIsoDate("2026-04-01")).toBe(true);
+        expect(isValidIsoDate("2024-02-29")).toBe(true);
+        expect(isValidIsoDate("2025-02-29")).toBe(false);
+        expect(isValidIsoDate("")).toBe(false);
+    });
+
+    test("isHttpsUrl", () => {
+        expect(isHttpsUrl("https://example.com/path")).toBe(true);
+        expect(isHttpsUrl("http://example.com")).toBe(false);
+        expect(isHttpsUrl("example.com")).toBe(false);
+    });
+});
@@ -24,6 +24,19 @@ const githubFormRepoName = config.get("githubFormRepoName") || "democracycandida
 // Turnstile configuration (from ESC)
 const turnstileSecretKey = config.requireSecret("turnstileSecretKey");
 
+// Contact record encryption (from ESC): the public half of the admins' RSA key pair seals personal
+// fields, and the secret hashes contact emails for ownership checks. The private key is not deployed.
+const contactEncryptionPublicKey = config.require("contactEncryptionPublicKey");
+const contactEmailHashKey = config.requireSecret("contactEmailHashKey");
+
+// Submission, draft save, image upload and status lookup rate limits (0 disables a limit)
+const rateLimitIpPerHour = config.getNumber("rateLimitIpPerHour") ?? 5;
+const rateLimitEmailPerDay = config.getNumber("rateLimitEmailPerDay") ?? 5;
+const rateLimitDailyPullRequests = config.getNumber("rateLimitDailyPullRequests") ?? 50;
+const rateLimitDraftsPerHour = config.getNumber("rateLimitDraftsPerHour") ?? 30;
+const rateLimitUploadsPerHour = config.getNumber("rateLimitUploadsPerHour") ?? 100;
+const rateLimitStatusPerHour = config.getNumber("rateLimitStatusPerHour") ?? 300;
+
 // CORS configuration
 const allowedOrigins = config.getObject<string[]>("allowedOrigins") || ["https://www.democracycandidate.us"];
 
@@ -50,6 +63,102 @@ const contactContainer = new azure.storage.BlobContainer(`${prefix}-contacts`, {
     publicAccess: azure.storage.PublicAccess.None,
 });
 
+// Queue of accepted submissions waiting for their pull request (read by the processSubmission function)
+const submissionQueue = new azure.storage.Queue(`${prefix}-submission-queue`, {
+    resourceGroupName: resourceGroupName,
+    accountName: contactStorage.name,
+    queueName: "candidate-submissions",
+});
+
+// Expire rate limit counters (stored as blobs under ratelimits/) once their windows have passed,
+// saved form drafts (under drafts/) after the 30 days their resume links are valid,
+// staged image uploads (under uploads/) a day after they were started, submission
+// idempotency records (under submissions/) once the form would no longer retry with their key,
+// and queued submissions (under queued/) left behind after the queue gave up on them
+new azure.storage.ManagementPolicy(`${prefix}-contacts-policy`, {
+    resourceGroupName: resourceGroupName,
+    accountName: contactStorage.name,
+    managementPolicyName: "default",
+    policy: {
+        rules: [{
+            name: "expire-rate-limit-counters",
+            enabled: true,
+            type: azure.storage.RuleType.Lifecycle,
+            definition: {
+                filters: {
+                    blobTypes: ["blockBlob"],
+                    prefixMatch: [pulumi.interpolate`${contactContainer.name}/ratelimits/`],
+                },
+                actions: {
+                    baseBlob: {
+                        delete: { daysAfterModificationGreaterThan: 2 },
+                    },
+                },
+            },
+        }, {
+            name: "expire-form-drafts",
+            enabled: true,
+            type: azure.storage.RuleType.Lifecycle,
+            definition: {
+                filters: {
+                    blobTypes: ["blockBlob"],
+                    prefixMatch: [pulumi.interpolate`${contactContainer.name}/drafts/`],
+                },
+                actions: {
+                    baseBlob: {
+                        delete: { daysAfterModificationGreaterThan: 30 },
+                    },
+                },
+            },
+        }, {
+            name: "expire-staged-uploads",
+            enabled: true,
+            type: azure.storage.RuleType.Lifecycle,
+            definition: {
+                filters: {
+                    blobTypes: ["blockBlob"],
+                    prefixMatch: [pulumi.interpolate`${contactContainer.name}/uploads/`],
+                },
+                actions: {
+                    baseBlob: {
+                        delete: { daysAfterModificationGreaterThan: 1 },
+                    },
+                },
+            },
+        }, {
+            name: "expire-submission-claims",
+            enabled: true,
+            type: azure.storage.RuleType.Lifecycle,
+            definition: {
+                filters: {
+                    blobTypes: ["blockBlob"],
+                    prefixMatch: [pulumi.interpolate`${contactContainer.name}/submissions/`],
+                },
+                actions: {
+                    baseBlob: {
+                        delete: { daysAfterModificationGreaterThan: 7 },
+                    },
+                },
+            },
+        }, {
+            name: "expire-queued-submissions",
+            enabled: true,
+            type: azure.storage.RuleType.Lifecycle,
+            definition: {
+                filters: {
+                    blobTypes: ["blockBlob"],
+                    prefixMatch: [pulumi.interpolate`${contactContainer.name}/queued/`],
+                },
+                actions: {
+                    baseBlob: {
+                        delete: { daysAfterModificationGreaterThan: 7 },
+                    },
+                },
+            },
+        }],
+    },
+});
+
 // Get storage connection string for function app
 const storageConnectionString = pulumi.all([contactStorage.name, resourceGroupName]).apply(([accountName, rgName]) =>
     azure.storage.listStorageAccountKeysOutput({
@@ -105,6 +214,8 @@ const functionApp = new azure.web.WebApp(`${prefix}-func`, {
             // Contact storage connection
             { name: "CONTACT_STORAGE_CONNECTION", value: storageConnectionString },
             { name: "CONTACT_CONTAINER_NAME", value: contactContainer.name },
+            { name: "CONTACT_ENCRYPTION_PUBLIC_KEY", value: contactEncryptionPublicKey },
+            { name: "CONTACT_EMAIL_HASH_KEY", value: contactEmailHashKey },
 
             // GitHub App authentication
             { name: "GITHUB_APP_ID", value: githubAppId },
@@ -119,6 +230,14 @@ const functionApp = new azure.web.WebApp(`${prefix}-func`, {
 
             // Cloudflare Turnstile
             { name: "TURNSTILE_SECRET_KEY", value: turnstileSecretKey },
+
+            // Submission rate limits
+            { name: "RATE_LIMIT_IP_PER_HOUR", value: String(rateLimitIpPerHour) },
+            { name: "RATE_LIMIT_EMAIL_PER_DAY", value: String(rateLimitEmailPerDay) },
+            { name: "RATE_LIMIT_DAILY_PULL_REQUESTS", value: String(rateLimitDailyPullRequests) },
+            { name: "RATE_LIMIT_DRAFTS_PER_HOUR", value: String(rateLimitDraftsPerHour) },
+            { name: "RATE_LIMIT_UPLOADS_PER_HOUR", value: String(rateLimitUploadsPerHour) },
+            { name: "RATE_LIMIT_STATUS_PER_HOUR", value: String(rateLimitStatusPerHour) },
         ],
     },
 });
@@ -129,3 +248,4 @@ const functionApp = new azure.web.WebApp(`${prefix}-func`, {
 export const functionAppName = functionApp.name;
 export const functionAppUrl = pulumi.interpolate`https://${functionApp.defaultHostName}`;
 export const contactStorageAccountName = contactStorage.name;
+export const submissionQueueName = submissionQueue.name;
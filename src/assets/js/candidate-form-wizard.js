@@ -0,0 +1,290 @@
+// Step-by-step mode for the contribute form
+// Shows one group of the existing form fields at a time (grouped by their data-step attribute),
+// validates each step with the form's own validators and ends with a read-only review.
+(() => {
+    const form = document.getElementById('candidate-form');
+    const api = window.CandidateForm;
+    if (!form || !api) return;
+
+    const STEPS = [
+        { name: 'pledge', label: 'Pledge' },
+        { name: 'basics', label: 'Candidate' },
+        { name: 'location', label: 'Location & Tags' },
+        { name: 'photos', label: 'Photos' },
+        { name: 'biography', label: 'Biography' },
+        { name: 'contact', label: 'Contact' },
+        { name: 'review', label: 'Review' },
+    ];
+    const MODE_KEY = 'candidate-form-wizard';
+
+    const progressEl = document.getElementById('wizard-progress');
+    const toggleBtn = document.getElementById('wizard-toggle');
+    const navEl = document.getElementById('wizard-nav');
+    const backBtn = document.getElementById('wizard-back');
+    const nextBtn = document.getElementById('wizard-next');
+    const reviewEl = document.getElementById('wizard-review');
+    const stepSections = Array.from(form.querySelectorAll('[data-step]'));
+
+    let enabled = false;
+    let current = 0;
+
+    const stepIndex = (name) => STEPS.findIndex(step => step.name === name);
+    const stepOf = (el) => {
+        const section = el.closest('[data-step]');
+        return section ? section.dataset.step : null;
+    };
+
+    // Validate only the fields in one step; returns the error messages
+    const validateStep = (index) => api.validateForm(el => stepOf(el) === STEPS[index].name);
+
+    const renderProgress = () => {
+        progressEl.innerHTML = '';
+
+        const heading = document.createElement('p');
+        heading.className = 'text-sm text-gray-600 dark:text-gray-300 mb-2';
+        heading.textContent = `Step ${current + 1} of ${STEPS.length}: ${STEPS[current].label}`;
+        progressEl.appendChild(heading);
+
+        const bar = document.createElement('div');
+        bar.className = 'h-2 rounded bg-gray-200 dark:bg-darkmode-theme-light overflow-hidden';
+        const fill = document.createElement('div');
+        fill.className = 'h-full bg-primary dark:bg-blue-400 transition-all';
+        fill.style.width = `${((current + 1) / STEPS.length) * 100}%`;
+        bar.appendChild(fill);
+        progressEl.appendChild(bar);
+
+        // Completed steps can be revisited directly
+        const list = document.createElement('ol');
+        list.className = 'hidden md:flex flex-wrap gap-x-4 gap-y-1 mt-2 text-xs';
+        STEPS.forEach((step, index) => {
+            const item = document.createElement('li');
+            if (index < current) {
+                const link = document.createElement('button');
+                link.type = 'button';
+                link.className = 'text-primary dark:text-blue-400 hover:underline';
+                link.textContent = `${index + 1}. ${step.label}`;
+                link.addEventListener('click', () => goTo(index));
+                item.appendChild(link);
+            } else {
+                item.className = index === current ? 'font-semibold' : 'text-gray-500';
+                item.textContent = `${index + 1}. ${step.label}`;
+            }
+            list.appendChild(item);
+        });
+        progressEl.appendChild(list);
+    };
+
+    const labelFor = (id) => {
+        const label = document.querySelector(`label[for="${id}"]`);
+        return label ? label.innerText.replace('*', '').replace('(Optional)', '').trim() : id;
+    };
+
+    // Display value of a field; selects show the chosen option's text
+    const displayValue = (id) => {
+        const el = document.getElementById(id);
+        if (!el) return '';
+        if (el.tagName === 'SELECT') return el.value ? el.options[el.selectedIndex].text : '';
+        return el.value.trim();
+    };
+
+    const addReviewSection = (stepName, title, build) => {
+        const section = document.createElement('div');
+        section.className = 'rounded border border-border p-4 mb-4 dark:border-darkmode-border';
+
+        const header = document.createElement('div');
+        header.className = 'flex justify-between items-center mb-3';
+        const heading = document.createElement('h4');
+        heading.className = 'h5';
+        heading.textContent = title;
+        const edit = document.createElement('button');
+        edit.type = 'button';
+        edit.className = 'text-sm text-primary dark:text-blue-400 hover:underline';
+        edit.textContent = 'Edit';
+        edit.addEventListener('click', () => goTo(stepIndex(stepName)));
+        header.append(heading, edit);
+        section.appendChild(header);
+
+        build(section);
+        reviewEl.appendChild(section);
+    };
+
+    const addFieldList = (section, ids) => {
+        const list = document.createElement('dl');
+        list.className = 'grid grid-cols-1 sm:grid-cols-3 gap-x-4 gap-y-2 text-sm';
+        ids.forEach(id => {
+            const term = document.createElement('dt');
+            term.className = 'font-semibold';
+            term.textContent = labelFor(id);
+            const value = document.createElement('dd');
+            value.className = 'sm:col-span-2 break-words whitespace-pre-line';
+            value.textContent = displayValue(id) || '—';
+            list.append(term, value);
+        });
+        section.appendChild(list);
+    };
+
+    const addImage = (section, label, src) => {
+        const figure = document.createElement('figure');
+        figure.className = 'mb-2';
+        const caption = document.createElement('figcaption');
+        caption.className = 'text-sm font-semibold mb-1';
+        caption.textContent = label;
+        figure.appendChild(caption);
+        if (src) {
+            const img = document.createElement('img');
+            img.src = src;
+            img.alt = label;
+            img.className = 'max-h-[150px] rounded';
+            figure.appendChild(img);
+        } else {
+            const none = document.createElement('p');
+            none.className = 'text-sm text-gray-500';
+            none.textContent = 'No new photo';
+            figure.appendChild(none);
+        }
+        section.appendChild(figure);
+    };
+
+    // Read-only summary of everything that will be submitted
+    const renderReview = () => {
+        const draft = api.gatherDraft();
+        reviewEl.innerHTML = '';
+
+        const intro = document.createElement('p');
+        intro.className = 'mb-4';
+        intro.textContent = 'Please review the profile before submitting. Use Edit to change a section.';
+        reviewEl.appendChild(intro);
+
+        addReviewSection('pledge', 'Pledge', section => {
+            const pledge = document.getElementById('pledge-checkbox');
+            const text = document.createElement('p');
+            text.className = 'text-sm';
+            text.textContent = pledge && pledge.checked
+                ? `The candidate agrees to the pro-democracy pledge (version ${pledge.dataset.pledgeVersion}).`
+                : 'The pledge has not been accepted.';
+            section.appendChild(text);
+            if (draft.existingProfilePath) {
+                const update = document.createElement('p');
+                update.className = 'text-sm mt-1';
+                update.textContent = `Updating the published profile at /${draft.existingProfilePath}/`;
+                section.appendChild(update);
+            }
+        });
+
+        addReviewSection('basics', 'Candidate', section => {
+            addFieldList(section, ['candidate-name', 'position-title', 'party', 'election-date', 'website']);
+        });
+
+        addReviewSection('location', 'Location & Tags', section => {
+            addFieldList(section, ['category', 'state']);
+            const tags = document.createElement('div');
+            tags.className = 'flex flex-wrap gap-2 mt-3';
+            draft.tags.forEach(tag => {
+                const tagEl = document.createElement('span');
+                tagEl.className = 'bg-primary/10 text-primary dark:bg-blue-900/40 dark:text-blue-400 rounded text-sm px-2 py-1';
+                tagEl.textContent = tag;
+                tags.appendChild(tagEl);
+            });
+            section.appendChild(tags);
+        });
+
+        addReviewSection('photos', 'Photos', section => {
+            addImage(section, labelFor('avatar-upload'), draft.avatarImage);
+            addImage(section, labelFor('title-upload'), draft.titleImage);
+        });
+
+        addReviewSection('biography', 'Biography', section => {
+            addFieldList(section, ['about']);
+            const bio = document.createElement('div');
+            bio.className = 'content mt-4 text-sm';
+            bio.innerHTML = api.renderBiography(api.composeBiography(draft.sections, draft.content));
+            section.appendChild(bio);
+        });
+
+        addReviewSection('contact', 'Contact Information (Private)', section => {
+            addFieldList(section, ['contact-email', 'contact-phone', 'submitter-name', 'submitter-relationship', 'contact-notes']);
+        });
+    };
+
+    const showStep = (index) => {
+        current = index;
+        const name = STEPS[index].name;
+        stepSections.forEach(section => section.classList.toggle('hidden', section.dataset.step !== name));
+
+        if (name === 'review') renderReview();
+        // CodeMirror cannot measure itself while hidden
+        if (name === 'biography') api.refreshEditor();
+
+        backBtn.classList.toggle('invisible', index === 0);
+        nextBtn.classList.toggle('hidden', name === 'review');
+        renderProgress();
+    };
+
+    // Move to a step; going forward validates each step on the way and stops at the first with errors
+    const goTo = (target, { push = true } = {}) => {
+        let index = current;
+        while (index < target) {
+            const errors = validateStep(index);
+            if (errors.length > 0) {
+                api.showErrorSummary(errors);
+                break;
+            }
+            index++;
+        }
+        if (index >= target) {
+            index = target;
+            api.hideErrorSummary();
+        }
+
+        showStep(index);
+        const hash = `#step-${STEPS[index].name}`;
+        if (push && window.location.hash !== hash) {
+            window.history.pushState(null, '', hash);
+        } else if (!push) {
+            window.history.replaceState(null, '', hash);
+        }
+        if (push && index === target) form.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    };
+
+    const setEnabled = (on) => {
+        enabled = on;
+        localStorage.setItem(MODE_KEY, on ? 'on' : 'off');
+        toggleBtn.textContent = on ? 'Show all fields on one page' : 'Fill in step by step';
+        progressEl.classList.toggle('hidden', !on);
+        navEl.classList.toggle('hidden', !on);
+
+        if (on) {
+            current = 0;
+            goTo(0, { push: false });
+        } else {
+            stepSections.forEach(section => section.classList.toggle('hidden', section === reviewEl));
+            api.hideErrorSummary();
+            api.refreshEditor();
+            if (window.location.hash.startsWith('#step-')) {
+                window.history.replaceState(null, '', window.location.pathname + window.location.search);
+            }
+        }
+    };
+
+    backBtn.addEventListener('click', () => goTo(Math.max(0, current - 1)));
+    nextBtn.addEventListener('click', () => goTo(current + 1));
+    toggleBtn.addEventListener('click', () => setEnabled(!enabled));
+
+    // Browser back/forward moves between steps
+    window.addEventListener('popstate', () => {
+        if (!enabled) return;
+        const index = stepIndex(window.location.hash.replace('#step-', ''));
+        goTo(index === -1 ? 0 : index, { push: false });
+    });
+
+    // Enter in a field submits the form; before the review step it means "next" instead
+    form.addEventListener('submit', (e) => {
+        if (!enabled || STEPS[current].name === 'review') return;
+        e.preventDefault();
+        e.stopImmediatePropagation();
+        goTo(current + 1);
+    }, true);
+
+    toggleBtn.classList.remove('hidden');
+    setEnabled(localStorage.getItem(MODE_KEY) !== 'off');
+})();
@@ -19,69 +19,226 @@ const ImageManager = {
         return id;
     },
 
+    // Output size and quality for every raster image, inline or cropped
+    MAX_WIDTH: 1000,
+    MAX_HEIGHT: 1000,
+    JPEG_QUALITY: 0.8,
+
+    readDataUrl: (file) => new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = (e) => resolve(e.target.result);
+        reader.onerror = reject;
+        reader.readAsDataURL(file);
+    }),
+
+    loadDataUrl: (dataUrl) => new Promise((resolve, reject) => {
+        const img = new Image();
+        img.onload = () => resolve(img);
+        img.onerror = reject;
+        img.src = dataUrl;
+    }),
+
+    // Read a file into a loaded <img>
+    load: async (file) => ImageManager.loadDataUrl(await ImageManager.readDataUrl(file)),
+
+    // True if any pixel is not fully opaque (logos on transparent backgrounds)
+    hasTransparency: (ctx, width, height) => {
+        const { data } = ctx.getImageData(0, 0, width, height);
+        for (let i = 3; i < data.length; i += 4) {
+            if (data[i] < 255) return true;
+        }
+        return false;
+    },
+
+    // Resize -> compress: draw a region of the image (all of it by default) within the max dimensions.
+    // Opaque images become JPEG; PNG keeps transparency, which JPEG would turn black.
+    render: (img, crop = { x: 0, y: 0, width: img.width, height: img.height }) => new Promise((resolve) => {
+        const canvas = document.createElement('canvas');
+        const ctx = canvas.getContext('2d');
+
+        const scale = Math.min(1, ImageManager.MAX_WIDTH / crop.width, ImageManager.MAX_HEIGHT / crop.height);
+        canvas.width = Math.round(crop.width * scale);
+        canvas.height = Math.round(crop.height * scale);
+        ctx.drawImage(img, crop.x, crop.y, crop.width, crop.height, 0, 0, canvas.width, canvas.height);
+
+        const type = ImageManager.hasTransparency(ctx, canvas.width, canvas.height) ? 'image/png' : 'image/jpeg';
+        const base64 = canvas.toDataURL(type, ImageManager.JPEG_QUALITY);
+        // Blob for local preview URLs (better performance than base64 in src)
+        canvas.toBlob((blob) => {
+            resolve({ base64, blob, type, width: canvas.width, height: canvas.height });
+        }, type, ImageManager.JPEG_QUALITY);
+    }),
+
+    // WebP copy of a rendered JPEG or PNG at the same size (WebP keeps transparency too).
+    // Null for other images, or when the browser cannot encode WebP (toDataURL falls back to PNG).
+    webpCopy: async (dataUrl) => {
+        if (!/^data:image\/(jpeg|png);base64,/.test(dataUrl)) return null;
+        const img = await ImageManager.loadDataUrl(dataUrl);
+        const canvas = document.createElement('canvas');
+        canvas.width = img.naturalWidth;
+        canvas.height = img.naturalHeight;
+        canvas.getContext('2d').drawImage(img, 0, 0);
+        const webp = canvas.toDataURL('image/webp', ImageManager.JPEG_QUALITY);
+        return webp.startsWith('data:image/webp') ? webp : null;
+    },
+
+    // Number of image:<id> references to each stored image in the markdown
+    usage: (markdown) => {
+        const counts = new Map(Array.from(ImageManager.store.keys(), id => [id, 0]));
+        for (const match of markdown.matchAll(/!\[[^\]]*\]\(image:([a-z0-9-]+)\)/g)) {
+            if (counts.has(match[1])) counts.set(match[1], counts.get(match[1]) + 1);
+        }
+        return counts;
+    },
+
+    // Forget an image and release its preview URL
+    remove: (id) => {
+        const entry = ImageManager.store.get(id);
+        if (entry && entry.blobUrl.startsWith('blob:')) URL.revokeObjectURL(entry.blobUrl);
+        ImageManager.store.delete(id);
+    },
+
+    // Process a new file under an existing id, so every image:<id> reference shows the new image
+    replace: async (id, file) => {
+        const { id: newId } = await ImageManager.process(file);
+        const entry = ImageManager.store.get(newId);
+        ImageManager.store.delete(newId);
+        ImageManager.remove(id);
+        ImageManager.store.set(id, { ...entry, filename: entry.filename.replace(`images/${newId}-`, `images/${id}-`) });
+    },
+
     // Process file: resize -> compress -> store
     process: async (file) => {
         if (!file.type.startsWith('image/')) throw new Error('Not an image file');
         if (file.size > 10 * 1024 * 1024) throw new Error('Image too large (max 10MB)');
 
-        return new Promise((resolve, reject) => {
-            const reader = new FileReader();
-            reader.onload = (e) => {
-                // SVG files: preserve as-is, no canvas processing
-                // Check both MIME type and file extension
-                const isSVG = file.type === 'image/svg+xml' || file.name.toLowerCase().endsWith('.svg');
-                if (isSVG) {
-                    const base64 = e.target.result; // Already a data URL
-                    const id = ImageManager.add(file, base64, base64); // Use same for both preview and submission
-                    resolve({ id, filename: file.name });
-                    return;
-                }
+        // SVG files: preserve as-is, no canvas processing
+        // Check both MIME type and file extension
+        const isSVG = file.type === 'image/svg+xml' || file.name.toLowerCase().endsWith('.svg');
+        if (isSVG) {
+            const base64 = await ImageManager.readDataUrl(file); // Already a data URL
+            const id = ImageManager.add(file, base64, base64); // Use same for both preview and submission
+            return { id, filename: file.name };
+        }
 
-                // Raster images: compress via canvas
-                const img = new Image();
-                img.onload = () => {
-                    const canvas = document.createElement('canvas');
-                    const ctx = canvas.getContext('2d');
-
-                    // Max dimensions
-                    const MAX_WIDTH = 1000;
-                    const MAX_HEIGHT = 1000;
-                    let width = img.width;
-                    let height = img.height;
-
-                    if (width > height) {
-                        if (width > MAX_WIDTH) {
-                            height *= MAX_WIDTH / width;
-                            width = MAX_WIDTH;
-                        }
-                    } else {
-                        if (height > MAX_HEIGHT) {
-                            width *= MAX_HEIGHT / height;
-                            height = MAX_HEIGHT;
-                        }
-                    }
+        // Raster images: compress via canvas
+        const { base64, blob } = await ImageManager.render(await ImageManager.load(file));
+        const id = ImageManager.add(file, URL.createObjectURL(blob), base64);
+        return { id, filename: file.name };
+    }
+};
+
+// Crop dialog for the avatar and title photos, with the frame locked to an aspect ratio.
+// Drag (or use the arrow keys) to pan and the slider to zoom (1x = the image just covers the frame);
+// the crop goes through ImageManager.render.
+const ImageCropper = {
+    PAN_STEP: 10,
+
+    // Resolves with the rendered crop, or null if the dialog was cancelled
+    open: (img, aspectRatio, title) => new Promise((resolve) => {
+        const modal = document.getElementById('image-cropper-modal');
+        const canvas = document.getElementById('image-cropper-canvas');
+        const zoomInput = document.getElementById('image-cropper-zoom');
+        const applyBtn = document.getElementById('image-cropper-apply');
+        const cancelBtn = document.getElementById('image-cropper-cancel');
+        const ctx = canvas.getContext('2d');
+
+        document.getElementById('image-cropper-heading').textContent = title;
+        canvas.width = 600;
+        canvas.height = Math.round(canvas.width / aspectRatio);
+
+        // The image always covers the frame: the smallest scale fills it, zoom multiplies that
+        const coverScale = Math.max(canvas.width / img.width, canvas.height / img.height);
+        let scale = coverScale;
+        let offsetX = (canvas.width - img.width * scale) / 2;
+        let offsetY = (canvas.height - img.height * scale) / 2;
+
+        const clamp = () => {
+            offsetX = Math.min(0, Math.max(canvas.width - img.width * scale, offsetX));
+            offsetY = Math.min(0, Math.max(canvas.height - img.height * scale, offsetY));
+        };
+        const draw = () => {
+            ctx.clearRect(0, 0, canvas.width, canvas.height);
+            ctx.drawImage(img, offsetX, offsetY, img.width * scale, img.height * scale);
+        };
+
+        // Zoom around the centre of the frame
+        const setZoom = (zoom) => {
+            const centerX = (canvas.width / 2 - offsetX) / scale;
+            const centerY = (canvas.height / 2 - offsetY) / scale;
+            scale = coverScale * zoom;
+            offsetX = canvas.width / 2 - centerX * scale;
+            offsetY = canvas.height / 2 - centerY * scale;
+            clamp();
+            draw();
+        };
 
-                    canvas.width = width;
-                    canvas.height = height;
-                    ctx.drawImage(img, 0, 0, width, height);
-
-                    // Compress to JPEG 80%
-                    const base64 = canvas.toDataURL('image/jpeg', 0.8);
-
-                    // Create Blob for local preview URL (better performance than base64 in src)
-                    canvas.toBlob((blob) => {
-                        const blobUrl = URL.createObjectURL(blob);
-                        const id = ImageManager.add(file, blobUrl, base64);
-                        resolve({ id, filename: file.name });
-                    }, 'image/jpeg', 0.8);
-                };
-                img.onerror = reject;
-                img.src = e.target.result;
+        let drag = null;
+        const onPointerDown = (e) => {
+            drag = { x: e.clientX, y: e.clientY };
+            canvas.setPointerCapture(e.pointerId);
+        };
+        const onPointerMove = (e) => {
+            if (!drag) return;
+            // Pointer movement is in CSS pixels; the canvas may be displayed smaller than its size
+            const ratio = canvas.width / canvas.getBoundingClientRect().width;
+            offsetX += (e.clientX - drag.x) * ratio;
+            offsetY += (e.clientY - drag.y) * ratio;
+            drag = { x: e.clientX, y: e.clientY };
+            clamp();
+            draw();
+        };
+        const onPointerUp = () => {
+            drag = null;
+        };
+        const onKeyDown = (e) => {
+            const moves = { ArrowLeft: [1, 0], ArrowRight: [-1, 0], ArrowUp: [0, 1], ArrowDown: [0, -1] };
+            if (e.target === canvas && moves[e.key]) {
+                e.preventDefault();
+                offsetX += moves[e.key][0] * ImageCropper.PAN_STEP;
+                offsetY += moves[e.key][1] * ImageCropper.PAN_STEP;
+                clamp();
+                draw();
+            } else if (e.key === 'Escape') {
+                close(null);
+            }
+        };
+        const onZoom = () => setZoom(Number(zoomInput.value));
+        const onApply = async () => {
+            const crop = {
+                x: -offsetX / scale,
+                y: -offsetY / scale,
+                width: canvas.width / scale,
+                height: canvas.height / scale,
             };
-            reader.onerror = reject;
-            reader.readAsDataURL(file);
-        });
-    }
+            close(await ImageManager.render(img, crop));
+        };
+        const onCancel = () => close(null);
+
+        const listeners = [
+            [canvas, 'pointerdown', onPointerDown],
+            [canvas, 'pointermove', onPointerMove],
+            [canvas, 'pointerup', onPointerUp],
+            [canvas, 'pointercancel', onPointerUp],
+            [document, 'keydown', onKeyDown],
+            [zoomInput, 'input', onZoom],
+            [applyBtn, 'click', onApply],
+            [cancelBtn, 'click', onCancel],
+        ];
+        const close = (result) => {
+            listeners.forEach(([target, type, listener]) => target.removeEventListener(type, listener));
+            modal.classList.add('hidden');
+            document.body.classList.remove('overflow-hidden');
+            resolve(result);
+        };
+
+        listeners.forEach(([target, type, listener]) => target.addEventListener(type, listener));
+        zoomInput.value = '1';
+        draw();
+        modal.classList.remove('hidden');
+        document.body.classList.add('overflow-hidden');
+        canvas.focus();
+    }),
 };
 
 // Helper to Title Case strings
@@ -140,6 +297,15 @@ const formatTag = (tag) => {
     return toTitleCase(tag);
 };
 
+// Published profile loaded for editing ({ path, pageUrl }), or null for a new submission
+let loadedProfile = null;
+
+// Resolve an image path from a published profile against its page URL for previews
+const resolveProfileAsset = (src) => {
+    if (!loadedProfile || !src || /^([a-z]+:|\/|#)/i.test(src)) return src;
+    return loadedProfile.pageUrl + src;
+};
+
 // Initialize EasyMDE with custom image handling
 const easyMDE = new EasyMDE({
     element: document.getElementById('content-editor'),
@@ -163,14 +329,21 @@ const easyMDE = new EasyMDE({
                 return `![${alt}](${imgData.blobUrl})`;
             }
             return match; // Keep original if not found
-        });
-
-        // If marked is not available (e.g. error loading), fallback to plain text
-        if (typeof marked === 'undefined') {
-            return processedText;
+        }).replace(/!\[(.*?)\]\(([^)\s]+)\)/g, (match, alt, src) => `![${alt}](${resolveProfileAsset(src)})`);
+
+        // If marked or DOMPurify is not available (e.g. error loading), fallback to plain text.
+        // The result goes into innerHTML, and drafts can come from someone else's link, so
+        // never return unsanitized HTML.
+        if (typeof marked === 'undefined' || typeof DOMPurify === 'undefined') {
+            const pre = document.createElement('pre');
+            pre.textContent = processedText;
+            return pre.outerHTML;
         }
 
-        return marked.parse(processedText);
+        return DOMPurify.sanitize(marked.parse(processedText), {
+            // Default protocols plus blob: for images picked in this session
+            ALLOWED_URI_REGEXP: /^(?:(?:https?|mailto|tel|blob):|[^a-z]|[a-z+.\-]+(?:[^a-z+.\-:]|$))/i,
+        });
     },
 
     toolbar: [
@@ -188,74 +361,328 @@ const easyMDE = new EasyMDE({
         '|',
         'preview', 'side-by-side', 'fullscreen', '|', 'guide'
     ],
-    initialValue: `### Policy
+});
+
+// Structured biography sections
+// Policy positions, experience and endorsements are edited as rows of fields. The function stores them
+// in frontmatter and writes them at the top of the biography; composeBiography mirrors its markdown
+// (renderSectionsMarkdown in the function's biography.ts) so previews match the published page.
+const BIOGRAPHY_SECTIONS = {
+    positions: { heading: 'Policy', label: 'Policy position', fields: ['issue', 'stance'], required: ['issue', 'stance'], max: 20 },
+    experience: { heading: 'Experience', label: 'Experience entry', fields: ['role', 'organization', 'years', 'description'], required: ['role'], max: 20 },
+    endorsements: { heading: 'Endorsements', label: 'Endorsement', fields: ['name', 'organization', 'url'], required: ['name'], max: 50 },
+};
+let sectionRowCount = 0;
+
+const sectionFieldset = (key) => document.querySelector(`[data-section="${key}"]`);
+
+// Sections cap their rows at the server's limits
+const updateSectionAddButton = (key) => {
+    const fieldset = sectionFieldset(key);
+    const addBtn = fieldset.querySelector('[data-section-add]');
+    addBtn.disabled = fieldset.querySelectorAll('[data-section-list] > li').length >= BIOGRAPHY_SECTIONS[key].max;
+};
+
+const addSectionRow = (key, values = {}) => {
+    const fieldset = sectionFieldset(key);
+    const template = document.getElementById(`section-row-${key}`);
+    if (!fieldset || !template) return null;
+
+    const row = template.content.firstElementChild.cloneNode(true);
+    sectionRowCount++;
+    row.querySelectorAll('[data-field]').forEach(input => {
+        input.id = `${key}-${sectionRowCount}-${input.dataset.field}`;
+        const label = row.querySelector(`[data-label-for="${input.dataset.field}"]`);
+        if (label) label.htmlFor = input.id;
+        input.value = values[input.dataset.field] || '';
+    });
+    // Like the campaign website, links typed without a scheme are assumed to be https
+    const urlInput = row.querySelector('[data-field="url"]');
+    if (urlInput) {
+        urlInput.addEventListener('change', () => {
+            const value = urlInput.value.trim();
+            if (value && !/^[a-z]+:\/\//i.test(value)) urlInput.value = `https://${value}`;
+        });
+    }
+    row.querySelector('[data-section-remove]').addEventListener('click', () => {
+        row.remove();
+        updateSectionAddButton(key);
+        scheduleLocalSave();
+    });
+
+    fieldset.querySelector('[data-section-list]').appendChild(row);
+    updateSectionAddButton(key);
+    return row;
+};
+
+// Rows with anything filled in, as { positions: [{ issue, stance }], ... } with blank fields left out
+const collectSections = () => {
+    const sections = {};
+    Object.entries(BIOGRAPHY_SECTIONS).forEach(([key, section]) => {
+        const fieldset = sectionFieldset(key);
+        sections[key] = !fieldset ? [] : Array.from(fieldset.querySelectorAll('[data-section-list] > li'))
+            .map(row => {
+                const entry = {};
+                section.fields.forEach(field => {
+                    const value = row.querySelector(`[data-field="${field}"]`).value.trim();
+                    if (value) entry[field] = value;
+                });
+                return entry;
+            })
+            .filter(entry => Object.keys(entry).length > 0);
+    });
+    return sections;
+};
+
+const setSections = (sections = {}) => {
+    Object.keys(BIOGRAPHY_SECTIONS).forEach(key => {
+        const fieldset = sectionFieldset(key);
+        if (!fieldset) return;
+        fieldset.querySelector('[data-section-list]').replaceChildren();
+        (Array.isArray(sections[key]) ? sections[key] : []).forEach(entry => addSectionRow(key, entry));
+        updateSectionAddButton(key);
+    });
+};
+
+const hasSectionEntries = (sections) => Object.values(sections).some(entries => entries.length > 0);
 
-[Describe your policy positions and what you stand for]
+const isHttpsLink = (value) => {
+    try {
+        return new URL(value).protocol === 'https:';
+    } catch (_) {
+        return false;
+    }
+};
 
-### Experience
+// Rows that were started but are missing a required field, as validation messages
+const findSectionProblems = (sections) => {
+    const problems = [];
+    Object.entries(BIOGRAPHY_SECTIONS).forEach(([key, section]) => {
+        sections[key].forEach((entry, index) => {
+            const missing = section.required.filter(field => !entry[field]);
+            if (missing.length > 0) {
+                problems.push(`${section.label} ${index + 1} is missing its ${missing.join(' and ')}.`);
+            }
+            if (entry.url && !isHttpsLink(entry.url)) {
+                problems.push(`${section.label} ${index + 1} link must be a secure https:// link.`);
+            }
+        });
+    });
+    return problems;
+};
 
-[Share your relevant experience and qualifications]
+const escapeMarkdownText = (text) => text.replace(/\s*\n\s*/g, ' ').replace(/([\\`*_[\]<>#|~])/g, '\\$1');
+// Parentheses and spaces would end a markdown link target early
+const escapeLinkTarget = (url) => url.replace(/[()\s]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase().padStart(2, '0')}`);
 
-### Endorsements
+// The markdown the function publishes: the sections in a fixed format, then the free-form biography
+const composeBiography = (sections, content) => {
+    const blocks = [];
+    const addBlock = (key, lines) => {
+        if (lines.length > 0) blocks.push(`### ${BIOGRAPHY_SECTIONS[key].heading}\n\n${lines.join('\n')}`);
+    };
+    const complete = (key) => (sections[key] || []).filter(entry => BIOGRAPHY_SECTIONS[key].required.every(field => entry[field]));
+
+    addBlock('positions', complete('positions').map(entry =>
+        `- **${escapeMarkdownText(entry.issue)}**: ${escapeMarkdownText(entry.stance)}`));
+    addBlock('experience', complete('experience').map(entry => {
+        let line = `- **${escapeMarkdownText(entry.role)}**`;
+        if (entry.organization) line += `, ${escapeMarkdownText(entry.organization)}`;
+        if (entry.years) line += ` (${escapeMarkdownText(entry.years)})`;
+        if (entry.description) line += `: ${escapeMarkdownText(entry.description)}`;
+        return line;
+    }));
+    addBlock('endorsements', complete('endorsements').map(entry => {
+        const name = escapeMarkdownText(entry.name);
+        let line = entry.url ? `- [${name}](${escapeLinkTarget(entry.url)})` : `- ${name}`;
+        if (entry.organization) line += `, ${escapeMarkdownText(entry.organization)}`;
+        return line;
+    }));
+
+    return [blocks.join('\n\n'), content].filter(Boolean).join('\n\n');
+};
 
-[Explain how you work with others and build consensus]`
+Object.keys(BIOGRAPHY_SECTIONS).forEach(key => {
+    const fieldset = sectionFieldset(key);
+    if (!fieldset) return;
+    fieldset.querySelector('[data-section-add]').addEventListener('click', () => {
+        const row = addSectionRow(key);
+        if (row) row.querySelector('[data-field]').focus();
+        scheduleLocalSave();
+    });
 });
 
+// Alt text for inline images
+// Screen readers read the alt text in place of the image, so "Image" or a file name tells the reader nothing.
+// The server rejects the same placeholders (findPlaceholderAltText in the function's validation.ts).
+const PLACEHOLDER_ALT_TEXT = ['image', 'img', 'photo', 'picture', 'pic', 'screenshot', 'untitled', 'alt text'];
+
+const isPlaceholderAlt = (alt) => {
+    const text = alt.trim().toLowerCase();
+    return !text || PLACEHOLDER_ALT_TEXT.includes(text) || /\.(jpe?g|png|gif|webp|svg)$/.test(text);
+};
+
+// Ask for a description of an image, or null if cancelled.
+// An empty answer leaves the alt text empty for validateForm to flag.
+const askAltText = (name, current = '') => {
+    const answer = window.prompt(
+        `Describe this image for people using screen readers (${name}).\n` +
+        'For example: "Jane Doe speaking at the library board meeting".',
+        current
+    );
+    if (answer === null) return null;
+    // Brackets would end the markdown alt text early
+    return answer.replace(/[[\]]/g, '').replace(/\s+/g, ' ').trim();
+};
+
+// Biography images whose alt text is missing or a placeholder, as validation messages
+const findAltTextProblems = (markdown) => {
+    const problems = [];
+    const imageRegex = /!\[([^\]]*)\]\(/g;
+    let match;
+    let index = 0;
+    while ((match = imageRegex.exec(markdown)) !== null) {
+        index++;
+        if (isPlaceholderAlt(match[1])) {
+            problems.push(match[1].trim()
+                ? `Biography image ${index} needs a description: "${match[1].trim()}" does not describe it. Edit the text between [ and ] before the image.`
+                : `Biography image ${index} needs a description. Type it between [ and ] before the image.`);
+        }
+    }
+    return problems;
+};
+
+// Adding images to the biography
+// Any number of images can be chosen, dropped or pasted at once. Each gets placeholder text right away,
+// replaced by its image:<id> reference once processed; failures are listed below the editor.
+const MAX_INLINE_IMAGES = 20;                  // Same limit as the server (LIMITS.maxAdditionalImages)
+const MAX_IMAGE_BATCH_BYTES = 50 * 1024 * 1024;
+const editorImageStatus = document.getElementById('editor-image-status');
+let imagePlaceholderCount = 0;
+
+const showEditorImageStatus = (errors, hint) => {
+    if (!editorImageStatus) return;
+    editorImageStatus.replaceChildren();
+    if (hint) {
+        const text = document.createElement('p');
+        text.className = 'text-gray-600 dark:text-gray-300';
+        text.textContent = hint;
+        editorImageStatus.appendChild(text);
+    }
+    if (errors.length > 0) {
+        const list = document.createElement('ul');
+        list.className = 'list-disc pl-5 text-red-600 dark:text-red-400';
+        errors.forEach(message => {
+            const item = document.createElement('li');
+            item.textContent = message;
+            list.appendChild(item);
+        });
+        editorImageStatus.appendChild(list);
+    }
+    editorImageStatus.classList.toggle('hidden', !hint && errors.length === 0);
+};
+
+const countEditorImages = () => (easyMDE.value().match(/!\[[^\]]*\]\(image:/g) || []).length;
+
+// Swap a placeholder for the finished markdown (or remove it); placeholders the user deleted are skipped
+const replacePlaceholder = (doc, placeholder, text) => {
+    const index = doc.getValue().indexOf(placeholder);
+    if (index === -1) return false;
+    doc.replaceRange(text, doc.posFromIndex(index), doc.posFromIndex(index + placeholder.length));
+    return true;
+};
+
+const addImagesToEditor = async (fileList, position) => {
+    const files = Array.from(fileList);
+    const images = files.filter(file => file.type.startsWith('image/'));
+    const errors = files
+        .filter(file => !file.type.startsWith('image/'))
+        .map(file => `${file.name || 'Pasted item'}: not an image, skipped.`);
+
+    // Limits are checked for the whole batch before anything is processed
+    const available = MAX_INLINE_IMAGES - countEditorImages();
+    const totalBytes = images.reduce((sum, file) => sum + file.size, 0);
+    if (images.length > available) {
+        errors.push(available > 0
+            ? `The biography can have at most ${MAX_INLINE_IMAGES} images, so only ${available} more can be added. Please choose fewer images.`
+            : `The biography already has the maximum of ${MAX_INLINE_IMAGES} images.`);
+    } else if (totalBytes > MAX_IMAGE_BATCH_BYTES) {
+        errors.push(`These images add up to ${Math.ceil(totalBytes / (1024 * 1024))}MB; please add at most ${MAX_IMAGE_BATCH_BYTES / (1024 * 1024)}MB at a time.`);
+    }
+    if (images.length === 0 || images.length > available || totalBytes > MAX_IMAGE_BATCH_BYTES) {
+        showEditorImageStatus(errors);
+        return;
+    }
+    showEditorImageStatus(errors, `Adding ${images.length === 1 ? 'image' : `${images.length} images`}…`);
+
+    const doc = easyMDE.codemirror.getDoc();
+    const placeholders = images.map(file => `[Adding image ${++imagePlaceholderCount}: ${file.name.replace(/[[\]]/g, '')}…]`);
+    doc.replaceRange(placeholders.join('\n\n'), position);
+
+    // One image gets a description prompt; for a batch each description is typed in afterwards
+    const askForAlt = images.length === 1;
+    let added = 0;
+    await Promise.all(images.map(async (file, index) => {
+        let markdown = '';
+        try {
+            const { id } = await ImageManager.process(file);
+            markdown = `![${(askForAlt && askAltText(file.name)) || ''}](image:${id})`;
+            added++;
+        } catch (err) {
+            console.error(err);
+            errors.push(`${file.name}: ${err.message || 'could not be read as an image'}.`);
+        }
+        if (!replacePlaceholder(doc, placeholders[index], markdown) && markdown) {
+            doc.replaceRange(`\n\n${markdown}`, doc.posFromIndex(doc.getValue().length));
+        }
+    }));
+
+    showEditorImageStatus(errors, added > 1
+        ? `Added ${added} images. Type a short description of each between [ and ] so screen reader users know what it shows.`
+        : '');
+};
+
 // Hidden file input for toolbar button
 const fileInput = document.createElement('input');
 fileInput.type = 'file';
 fileInput.id = 'hidden-image-input';
 fileInput.accept = 'image/*';
+fileInput.multiple = true;
 fileInput.style.display = 'none';
 document.body.appendChild(fileInput);
 
 fileInput.addEventListener('change', async (e) => {
-    if (e.target.files && e.target.files[0]) {
-        try {
-            const { id } = await ImageManager.process(e.target.files[0]);
-            const cm = easyMDE.codemirror;
-            const doc = cm.getDoc();
-            const cursor = doc.getCursor();
-            doc.replaceRange(`![Image](image:${id})`, cursor);
-        } catch (err) {
-            console.error(err);
-            alert('Failed to upload image: ' + err.message);
-        }
-        // Clear value so same file can be selected again
-        fileInput.value = '';
+    const files = Array.from(e.target.files || []);
+    // Clear value so same file can be selected again
+    fileInput.value = '';
+    if (files.length > 0) {
+        await addImagesToEditor(files, easyMDE.codemirror.getDoc().getCursor());
     }
 });
 
 // Drag & Drop + Paste Handlers
 const cm = easyMDE.codemirror;
 
-cm.on('drop', async (cm, e) => {
+cm.on('drop', (cm, e) => {
     const files = e.dataTransfer.files;
-    if (files && files.length > 0 && files[0].type.startsWith('image/')) {
+    if (files && files.length > 0) {
+        // CodeMirror's default drop would insert the file names as text
         e.preventDefault();
-        const { id } = await ImageManager.process(files[0]);
-        // Insert at drop position (handled by codemirror via coords if complex, 
-        // but simpler to just insert at cursor or prevent default drop behavior and insert manually)
-        // Actually, CodeMirror's default drop might try to insert the file path or just text.
-        // We want to insert the markdown.
-
-        // Calculate position from mouse coords
+        // Insert at drop position
         const coords = cm.coordsChar({ left: e.pageX, top: e.pageY });
-        cm.getDoc().replaceRange(`![Image](image:${id})`, coords);
+        addImagesToEditor(files, coords);
     }
 });
 
-cm.on('paste', async (cm, e) => {
-    const items = (e.clipboardData || e.originalEvent.clipboardData).items;
-    for (const item of items) {
-        if (item.kind === 'file' && item.type.startsWith('image/')) {
-            e.preventDefault();
-            const file = item.getAsFile();
-            const { id } = await ImageManager.process(file);
-            const doc = cm.getDoc();
-            doc.replaceRange(`![Image](image:${id})`, doc.getCursor());
-            return; // Handle one image per paste for now
-        }
+cm.on('paste', (cm, e) => {
+    const items = Array.from((e.clipboardData || e.originalEvent.clipboardData).items);
+    const files = items
+        .filter(item => item.kind === 'file' && item.type.startsWith('image/'))
+        .map(item => item.getAsFile())
+        .filter(Boolean);
+    if (files.length > 0) {
+        e.preventDefault();
+        addImagesToEditor(files, cm.getDoc().getCursor());
     }
 });
 
@@ -320,7 +747,13 @@ const validationList = document.getElementById('validation-list');
 const showErrorSummary = (errors) => {
     if (!validationSummary || !validationList) return;
 
-    validationList.innerHTML = errors.map(err => `<li>${err}</li>`).join('');
+    // Messages can quote what the user typed (e.g. alt text), so never render them as HTML
+    validationList.innerHTML = '';
+    errors.forEach(err => {
+        const li = document.createElement('li');
+        li.textContent = err;
+        validationList.appendChild(li);
+    });
     validationSummary.classList.remove('hidden');
 
     // Scroll to summary
@@ -331,20 +764,28 @@ const hideErrorSummary = () => {
     if (validationSummary) validationSummary.classList.add('hidden');
 };
 
+// Per-field validators that also show their own inline errors, set up with each field below
+const fieldValidators = {};
+
 // Validate Form Function
-const validateForm = () => {
+// isIncluded limits the checks to some fields (e.g. one wizard step); by default the whole form is checked
+const validateForm = (isIncluded = () => true) => {
     const errors = [];
+    const checks = (id) => {
+        const el = document.getElementById(id);
+        return !!el && isIncluded(el);
+    };
 
     // 1. Pledge Check
     const pledgeCheckbox = document.getElementById('pledge-checkbox');
-    if (pledgeCheckbox && !pledgeCheckbox.checked) {
+    if (pledgeCheckbox && isIncluded(pledgeCheckbox) && !pledgeCheckbox.checked) {
         errors.push("You must agree to the pro-democracy pledge.");
     }
 
     // 2. Required Fields check (Basic HTML5 validation check)
     const requiredInputs = document.querySelectorAll('input[required], select[required], textarea[required]');
     requiredInputs.forEach(input => {
-        if (!input.checkValidity()) {
+        if (isIncluded(input) && !input.checkValidity()) {
             // Get label text for better error message
             const label = document.querySelector(`label[for="${input.id}"]`);
             const fieldName = label ? label.innerText.replace('*', '').trim() : input.name || input.id;
@@ -356,7 +797,7 @@ const validateForm = () => {
 
     // Website Validation
     const formWebsiteInput = document.getElementById('website');
-    if (formWebsiteInput && formWebsiteInput.value.trim()) {
+    if (checks('website') && formWebsiteInput.value.trim()) {
         let val = formWebsiteInput.value.trim();
         if (!/^https?:\/\//i.test(val)) {
             val = 'https://' + val;
@@ -375,7 +816,7 @@ const validateForm = () => {
 
     // Email Regex
     const emailInput = document.getElementById('contact-email');
-    if (emailInput && emailInput.value) {
+    if (checks('contact-email') && emailInput.value) {
         if (!/^[a-zA-Z0-9].*@.*\..+$/.test(emailInput.value.trim())) {
             // Avoid duplicate if it's trapped by required check, but required only checks empty
             // logic: if value exists but invalid format
@@ -383,14 +824,39 @@ const validateForm = () => {
         }
     }
 
+    // Phone (optional, but must be valid when given)
+    if (checks('contact-phone') && fieldValidators.phone && !fieldValidators.phone()) {
+        errors.push("Please enter a valid phone number.");
+    }
+
     // Tags
-    if (currentTags.length === 0) {
+    if (checks('tag-entry') && currentTags.length === 0) {
         errors.push("Please add at least one location tag.");
     }
 
+    // Biography: at least one section or some free-form text, and started section rows completed
+    if (checks('biography-sections')) {
+        const sections = collectSections();
+        errors.push(...findSectionProblems(sections));
+        if (!hasSectionEntries(sections) && !easyMDE.value().trim()) {
+            errors.push("Please add a policy position, experience or endorsement, or write a biography.");
+        }
+    }
+
+    // Biography images need real alt text
+    if (checks('content-editor')) {
+        errors.push(...findAltTextProblems(easyMDE.value()));
+    }
+
+    // Update mode needs a loaded profile to apply the changes to
+    const updateMode = document.getElementById('update-mode');
+    if (checks('update-mode') && updateMode.checked && !loadedProfile) {
+        errors.push("Please select and load the profile you are updating.");
+    }
+
     // Images (Check generated data fields)
     const avatarData = document.getElementById('avatar-data');
-    if (avatarData && !avatarData.value) {
+    if (checks('avatar-data') && !avatarData.value) {
         // This might be caught by required on file input if users haven't selected anything, 
         // but let's be safe as file input value might be cleared if invalid.
         // Actually, the file input has 'required', so standard check catches it.
@@ -432,7 +898,17 @@ function handleImageUpload(inputId, dataId, previewId, options = {}) {
         }
     };
 
-    input.addEventListener('change', (e) => {
+    const clearImage = () => {
+        input.value = '';
+        dataField.value = '';
+        preview.classList.add('hidden');
+        if (options.extraPreviewId) {
+            const extraPreview = document.getElementById(options.extraPreviewId);
+            if (extraPreview) extraPreview.classList.add('hidden');
+        }
+    };
+
+    input.addEventListener('change', async (e) => {
         clearError();
         const file = e.target.files[0];
         if (!file) return;
@@ -451,68 +927,53 @@ function handleImageUpload(inputId, dataId, previewId, options = {}) {
             return;
         }
 
-        const reader = new FileReader();
-        reader.onload = (event) => {
-            // Validate dimensions if required
-            if (options.requireSquare || options.requireWide) {
-                const img = new Image();
-                img.onload = () => {
-                    if (options.requireSquare && Math.abs(img.width - img.height) > 10) { // Allow small tolerance
-                        showError('Please upload a square photo (width and height must be equal).');
-                        input.value = '';
-                        dataField.value = '';
-                        preview.classList.add('hidden');
-                        if (options.extraPreviewId) {
-                            const extraPreview = document.getElementById(options.extraPreviewId);
-                            if (extraPreview) extraPreview.classList.add('hidden');
-                        }
-                    } else if (options.requireWide && img.width < img.height + 100) {
-                        showError('Please upload a landscape image (width must be at least 100px greater than height).');
-                        input.value = '';
-                        dataField.value = '';
-                        preview.classList.add('hidden');
-                        if (options.extraPreviewId) {
-                            const extraPreview = document.getElementById(options.extraPreviewId);
-                            if (extraPreview) extraPreview.classList.add('hidden');
-                        }
-                    } else {
-                        // Success
-                        dataField.value = event.target.result;
-                        const previewImg = preview.querySelector('img');
-                        if (previewImg) {
-                            previewImg.src = event.target.result;
-                            previewImg.classList.remove('hidden');
-                        }
-                        preview.classList.remove('hidden');
-
-                        // Handle Extra Preview
-                        if (options.extraPreviewId) {
-                            const extraImg = document.getElementById(options.extraPreviewId);
-                            if (extraImg) {
-                                extraImg.src = event.target.result;
-                                extraImg.classList.remove('hidden');
-                            }
-                        }
-                    }
-                };
-                img.src = event.target.result;
-            } else {
-                // No dimension check
-                dataField.value = event.target.result;
-                const previewImg = preview.querySelector('img');
-                if (previewImg) {
-                    previewImg.src = event.target.result;
-                    previewImg.classList.remove('hidden');
-                }
-                preview.classList.remove('hidden');
+        let cropped;
+        try {
+            cropped = await ImageCropper.open(await ImageManager.load(file), options.aspectRatio, options.cropTitle);
+        } catch (err) {
+            showError('This image could not be read. Please try another file.');
+            clearImage();
+            return;
+        }
+        if (!cropped) {
+            // Cropping was cancelled: keep whatever photo was there before
+            input.value = '';
+            return;
+        }
+
+        // The frame fixes the shape, but very small images can still end up below the minimum size
+        if (options.minWidthOverHeight && cropped.width < cropped.height + options.minWidthOverHeight) {
+            showError(`This image is too small. Please choose one at least ${Math.ceil(options.minWidthOverHeight * options.aspectRatio / (options.aspectRatio - 1))}px wide.`);
+            clearImage();
+            return;
+        }
+
+        dataField.value = cropped.base64;
+        const previewImg = preview.querySelector('img');
+        if (previewImg) {
+            previewImg.src = cropped.base64;
+            previewImg.classList.remove('hidden');
+        }
+        preview.classList.remove('hidden');
+
+        // Handle Extra Preview
+        if (options.extraPreviewId) {
+            const extraImg = document.getElementById(options.extraPreviewId);
+            if (extraImg) {
+                extraImg.src = cropped.base64;
+                extraImg.classList.remove('hidden');
             }
-        };
-        reader.readAsDataURL(file);
+        }
+        scheduleLocalSave();
     });
 }
 
-handleImageUpload('avatar-upload', 'avatar-data', 'avatar-preview', { requireSquare: true, errorId: 'avatar-error', extraPreviewId: 'preview-image' });
-handleImageUpload('title-upload', 'title-data', 'title-preview', { requireWide: true, errorId: 'title-error' });
+// Avatars are square; title photos use a fixed landscape ratio, which also keeps them at least
+// 100px wider than tall as the server requires
+const TITLE_ASPECT_RATIO = 16 / 9;
+
+handleImageUpload('avatar-upload', 'avatar-data', 'avatar-preview', { aspectRatio: 1, cropTitle: 'Crop Main Photo', errorId: 'avatar-error', extraPreviewId: 'preview-image' });
+handleImageUpload('title-upload', 'title-data', 'title-preview', { aspectRatio: TITLE_ASPECT_RATIO, minWidthOverHeight: 100, cropTitle: 'Crop Title Photo', errorId: 'title-error' });
 
 // Initialize Phone Input
 const phoneInputField = document.getElementById("contact-phone");
@@ -592,6 +1053,7 @@ if (phoneInputField) {
         return true;
     };
 
+    fieldValidators.phone = validatePhone;
     phoneInputField.addEventListener('blur', validatePhone);
     phoneInputField.addEventListener('input', resetPhoneError);
 }
@@ -702,14 +1164,17 @@ function renderTags() {
         const tagEl = document.createElement('div');
         tagEl.className = 'bg-primary/10 text-primary dark:bg-blue-900/40 dark:text-blue-400 rounded text-sm flex items-center group border border-transparent hover:border-primary/30 dark:hover:border-blue-500 transition-colors overflow-hidden';
         tagEl.innerHTML = `
-      <span class="cursor-pointer px-2 py-1 hover:bg-primary/5 dark:hover:bg-white/5 transition-colors" onclick="editTag(${index})" title="Click to edit">${tag}</span>
+      <span class="cursor-pointer px-2 py-1 hover:bg-primary/5 dark:hover:bg-white/5 transition-colors" onclick="editTag(${index})" title="Click to edit"></span>
       <span class="text-primary/20 dark:text-blue-400/30 select-none py-0.5">|</span>
       <button type="button" class="text-primary/50 dark:text-blue-400/60 hover:text-red-500 hover:bg-red-500/10 focus:outline-none px-2 py-1 transition-colors" onclick="removeTag(${index})" title="Remove tag">
         &times;
       </button>
     `;
+        // Tags can come from a shared draft, so never render them as HTML
+        tagEl.querySelector('span').textContent = tag;
         tagsList.appendChild(tagEl);
     });
+    scheduleLocalSave();
 }
 
 window.removeTag = (index) => {
@@ -783,12 +1248,633 @@ function addCurrentTag() {
     }
 }
 
+// Profile Update Mode
+const updateModeCheckbox = document.getElementById('update-mode');
+const updateProfilePanel = document.getElementById('update-profile-panel');
+const existingProfileSelect = document.getElementById('existing-profile');
+const loadProfileBtn = document.getElementById('load-profile-btn');
+const loadProfileError = document.getElementById('load-profile-error');
+
+const showLoadProfileError = (msg) => {
+    if (!loadProfileError) return;
+    loadProfileError.textContent = msg;
+    loadProfileError.classList.toggle('hidden', !msg);
+};
+
+// A published profile already has a main photo, so a new one is optional when updating
+const setLoadedProfile = (profile) => {
+    loadedProfile = profile;
+    const avatarUpload = document.getElementById('avatar-upload');
+    if (avatarUpload) avatarUpload.required = !profile;
+    const submitTextEl = document.getElementById('submit-text');
+    if (submitTextEl) submitTextEl.textContent = profile ? 'Submit Profile Update' : 'Submit Candidate Profile';
+};
+
+// Show a published photo in an upload preview without marking it as a new upload
+const showExistingImage = (dataId, previewId, src, extraPreviewId) => {
+    const dataField = document.getElementById(dataId);
+    const preview = document.getElementById(previewId);
+    if (dataField) dataField.value = '';
+    if (!preview) return;
+    const previewImg = preview.querySelector('img');
+    if (src && previewImg) {
+        previewImg.src = resolveProfileAsset(src);
+        previewImg.classList.remove('hidden');
+        preview.classList.remove('hidden');
+    } else {
+        preview.classList.add('hidden');
+    }
+    const extraImg = extraPreviewId ? document.getElementById(extraPreviewId) : null;
+    if (extraImg && src) {
+        extraImg.src = resolveProfileAsset(src);
+        extraImg.classList.remove('hidden');
+    }
+};
+
+const selectOption = (selectId, values) => {
+    const select = document.getElementById(selectId);
+    if (!select) return;
+    const option = Array.from(select.options).find(o => o.value && values.includes(o.value));
+    select.value = option ? option.value : '';
+};
+
+const fillFormFromProfile = (profile) => {
+    const fm = profile.frontmatter || {};
+    setLoadedProfile({ path: profile.path, pageUrl: profile.pageUrl });
+
+    document.getElementById('candidate-name').value = fm.candidate || '';
+    document.getElementById('position-title').value = fm.title || '';
+    document.getElementById('party').value = fm.party || '';
+    document.getElementById('election-date').value = String(fm.election_date || '').slice(0, 10);
+    document.getElementById('website').value = fm.website || '';
+
+    const categories = Array.isArray(fm.categories) ? fm.categories : [];
+    selectOption('category', categories);
+    selectOption('state', categories);
+
+    currentTags = Array.isArray(fm.tags) ? fm.tags.map(String) : [];
+    renderTags();
+
+    const about = document.getElementById('about');
+    about.value = fm.about || '';
+    about.dispatchEvent(new Event('input'));
+
+    setSections(profile.sections);
+    easyMDE.value(profile.content || '');
+
+    ['avatar-upload', 'title-upload'].forEach(id => {
+        const input = document.getElementById(id);
+        if (input) input.value = '';
+    });
+    showExistingImage('avatar-data', 'avatar-preview', fm.avatar, 'preview-image');
+    showExistingImage('title-data', 'title-preview', fm.image);
+};
+
+if (updateModeCheckbox && updateProfilePanel) {
+    updateModeCheckbox.addEventListener('change', () => {
+        updateProfilePanel.classList.toggle('hidden', !updateModeCheckbox.checked);
+        if (!updateModeCheckbox.checked) {
+            setLoadedProfile(null);
+            showLoadProfileError('');
+        }
+    });
+}
+
+if (loadProfileBtn && existingProfileSelect) {
+    loadProfileBtn.addEventListener('click', async () => {
+        showLoadProfileError('');
+        const path = existingProfileSelect.value;
+        if (!path) {
+            showLoadProfileError('Please select a profile to load.');
+            return;
+        }
+
+        const profileUrl = window.CANDIDATE_FORM_CONFIG?.profileUrl;
+        if (!profileUrl) {
+            showLoadProfileError('Profile loading is not available right now.');
+            return;
+        }
+
+        loadProfileBtn.disabled = true;
+        try {
+            const response = await fetch(`${profileUrl}?path=${encodeURIComponent(path)}`);
+            const result = await response.json();
+            if (!result.success) throw new Error(result.message || 'Could not load profile');
+            fillFormFromProfile(result);
+        } catch (err) {
+            console.error(err);
+            showLoadProfileError(err.message);
+        } finally {
+            loadProfileBtn.disabled = false;
+        }
+    });
+}
+
+// Saved Drafts
+// Form fields saved in a draft, keyed by the API's field names
+const DRAFT_FIELDS = {
+    candidate: 'candidate-name',
+    title: 'position-title',
+    party: 'party',
+    electionDate: 'election-date',
+    website: 'website',
+    category: 'category',
+    state: 'state',
+    about: 'about',
+    contactEmail: 'contact-email',
+    contactPhone: 'contact-phone',
+    contactNotes: 'contact-notes',
+    submitterName: 'submitter-name',
+    submitterRelationship: 'submitter-relationship',
+};
+
+const saveDraftBtn = document.getElementById('save-draft-btn');
+const saveDraftError = document.getElementById('save-draft-error');
+const draftLinkPanel = document.getElementById('draft-link-panel');
+const draftLinkInput = document.getElementById('draft-link');
+const copyDraftLinkBtn = document.getElementById('copy-draft-link-btn');
+
+// Token of the draft this form was saved to or resumed from, so later saves keep the same link
+let draftToken = null;
+
+const showSaveDraftError = (msg) => {
+    if (!saveDraftError) return;
+    saveDraftError.textContent = msg;
+    saveDraftError.classList.toggle('hidden', !msg);
+};
+
+const showDraftLink = (token, expiresAt) => {
+    draftToken = token;
+    const link = `${window.location.origin}${window.location.pathname}?draft=${encodeURIComponent(token)}`;
+    // Keep the token in the address bar so a refresh resumes the draft too
+    window.history.replaceState(null, '', link);
+    if (!draftLinkPanel || !draftLinkInput) return;
+    draftLinkInput.value = link;
+    const expiresEl = document.getElementById('draft-expires');
+    if (expiresEl) expiresEl.textContent = expiresAt ? `The link works until ${new Date(expiresAt).toLocaleDateString()}.` : '';
+    draftLinkPanel.classList.remove('hidden');
+};
+
+// Collect everything entered so far, including processed images still referenced in the biography
+const gatherDraft = () => {
+    const fields = {};
+    Object.entries(DRAFT_FIELDS).forEach(([key, id]) => {
+        const el = document.getElementById(id);
+        if (el && el.value) fields[key] = el.value;
+    });
+
+    const content = easyMDE.value();
+    const images = [];
+    const imageRegex = /!\[.*?\]\(image:([a-z0-9-]+)\)/g;
+    let match;
+    while ((match = imageRegex.exec(content)) !== null) {
+        const imgData = ImageManager.store.get(match[1]);
+        if (imgData && !images.some(img => img.id === match[1])) {
+            images.push({ id: match[1], filename: imgData.filename, data: imgData.base64 });
+        }
+    }
+
+    return {
+        fields,
+        tags: currentTags,
+        sections: collectSections(),
+        content,
+        images,
+        avatarImage: document.getElementById('avatar-data').value || undefined,
+        titleImage: document.getElementById('title-data').value || undefined,
+        existingProfilePath: loadedProfile ? loadedProfile.path : undefined,
+    };
+};
+
+const restoreDraft = (draft) => {
+    const fields = draft.fields || {};
+    Object.entries(DRAFT_FIELDS).forEach(([key, id]) => {
+        const el = document.getElementById(id);
+        if (el) el.value = fields[key] || '';
+    });
+    document.getElementById('about').dispatchEvent(new Event('input'));
+
+    currentTags = Array.isArray(draft.tags) ? draft.tags.map(String) : [];
+    renderTags();
+
+    // Images keep their ids so the image:<id> references in the biography resolve again
+    (draft.images || []).forEach(img => {
+        ImageManager.store.set(img.id, { blobUrl: img.data, base64: img.data, filename: img.filename });
+    });
+    setSections(draft.sections);
+    easyMDE.value(draft.content || '');
+
+    if (draft.existingProfilePath) {
+        if (updateModeCheckbox) updateModeCheckbox.checked = true;
+        if (updateProfilePanel) updateProfilePanel.classList.remove('hidden');
+        if (existingProfileSelect) existingProfileSelect.value = draft.existingProfilePath;
+        setLoadedProfile({ path: draft.existingProfilePath, pageUrl: `/${draft.existingProfilePath}/` });
+    }
+
+    showExistingImage('avatar-data', 'avatar-preview', draft.avatarImage, 'preview-image');
+    document.getElementById('avatar-data').value = draft.avatarImage || '';
+    // The file input cannot be refilled, so a restored photo stands in for it
+    const avatarUpload = document.getElementById('avatar-upload');
+    if (avatarUpload) avatarUpload.required = !loadedProfile && !draft.avatarImage;
+    showExistingImage('title-data', 'title-preview', draft.titleImage);
+    document.getElementById('title-data').value = draft.titleImage || '';
+};
+
+if (saveDraftBtn) {
+    saveDraftBtn.addEventListener('click', async () => {
+        showSaveDraftError('');
+        const draftUrl = window.CANDIDATE_FORM_CONFIG?.draftUrl;
+        if (!draftUrl) {
+            showSaveDraftError('Saving drafts is not available right now.');
+            return;
+        }
+
+        saveDraftBtn.disabled = true;
+        try {
+            const response = await fetch(draftUrl, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ token: draftToken || undefined, draft: gatherDraft() })
+            });
+            const result = await response.json();
+            if (!result.success) {
+                throw new Error([result.message || 'Could not save draft', ...(result.errors || [])].join(' '));
+            }
+            showDraftLink(result.token, result.expiresAt);
+        } catch (err) {
+            console.error(err);
+            showSaveDraftError(err.message);
+        } finally {
+            saveDraftBtn.disabled = false;
+        }
+    });
+}
+
+if (copyDraftLinkBtn && draftLinkInput) {
+    copyDraftLinkBtn.addEventListener('click', async () => {
+        try {
+            await navigator.clipboard.writeText(draftLinkInput.value);
+            copyDraftLinkBtn.textContent = 'Copied';
+            setTimeout(() => { copyDraftLinkBtn.textContent = 'Copy'; }, 2000);
+        } catch (err) {
+            // Clipboard access can be blocked; leave the link selected for manual copying
+            draftLinkInput.select();
+        }
+    });
+}
+
+// Local Persistence
+// Fields are kept in localStorage; images are too large for it, so they go to IndexedDB as blobs
+const LOCAL_DRAFT_KEY = 'candidate-form-draft';
+const LOCAL_DRAFT_DB = 'candidate-form';
+const LOCAL_IMAGE_STORE = 'images';
+const LOCAL_SAVE_DELAY_MS = 1000;
+
+const localDraftNotice = document.getElementById('local-draft-notice');
+const pledgeCheckboxEl = document.getElementById('pledge-checkbox');
+
+let localSaveTimer = null;
+let localSaveQueue = Promise.resolve();
+let localDraftDiscarded = false;
+// Image key -> data URL currently stored in IndexedDB, so unchanged images are not rewritten
+const persistedImages = new Map();
+
+const openImageDb = () => new Promise((resolve, reject) => {
+    const request = indexedDB.open(LOCAL_DRAFT_DB, 1);
+    request.onupgradeneeded = () => request.result.createObjectStore(LOCAL_IMAGE_STORE, { keyPath: 'id' });
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+});
+
+// Run one transaction against the image store and resolve with the request's result
+const withImageStore = async (mode, fn) => {
+    const db = await openImageDb();
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(LOCAL_IMAGE_STORE, mode);
+        const request = fn(tx.objectStore(LOCAL_IMAGE_STORE));
+        tx.oncomplete = () => { db.close(); resolve(request ? request.result : undefined); };
+        tx.onerror = () => { db.close(); reject(tx.error); };
+    });
+};
+
+const blobToDataUrl = (blob) => new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(blob);
+});
+
+// Bring the IndexedDB images in line with the form: write new or changed ones, drop the rest
+const syncLocalImages = async (images) => {
+    const changed = [...images].filter(([key, img]) => persistedImages.get(key) !== img.data);
+    const removed = [...persistedImages.keys()].filter(key => !images.has(key));
+    if (changed.length === 0 && removed.length === 0) return;
+
+    const records = await Promise.all(changed.map(async ([key, img]) => ({
+        id: key,
+        filename: img.filename,
+        blob: await (await fetch(img.data)).blob(),
+    })));
+    await withImageStore('readwrite', store => {
+        records.forEach(record => store.put(record));
+        removed.forEach(key => store.delete(key));
+    });
+    changed.forEach(([key, img]) => persistedImages.set(key, img.data));
+    removed.forEach(key => persistedImages.delete(key));
+};
+
+const saveLocalDraft = async () => {
+    if (localDraftDiscarded) return;
+    const { images, avatarImage, titleImage, ...draft } = gatherDraft();
+
+    localStorage.setItem(LOCAL_DRAFT_KEY, JSON.stringify({
+        ...draft,
+        images: images.map(({ id, filename }) => ({ id, filename })),
+        // The pledge only counts as accepted again if it has not changed since
+        pledgeAccepted: pledgeCheckboxEl && pledgeCheckboxEl.checked ? pledgeCheckboxEl.dataset.pledgeHash : null,
+        draftToken,
+        savedAt: new Date().toISOString(),
+    }));
+
+    // Photos are keyed by their hidden field ids, which cannot clash with img-<id> keys
+    const imageEntries = new Map(images.map(img => [img.id, img]));
+    if (avatarImage) imageEntries.set('avatar-data', { filename: 'avatar', data: avatarImage });
+    if (titleImage) imageEntries.set('title-data', { filename: 'title', data: titleImage });
+    await syncLocalImages(imageEntries);
+};
+
+// Debounced save after any change; saves run one at a time so image writes never interleave
+function scheduleLocalSave() {
+    if (localDraftDiscarded) return;
+    clearTimeout(localSaveTimer);
+    localSaveTimer = setTimeout(() => {
+        localSaveTimer = null;
+        localSaveQueue = localSaveQueue.then(saveLocalDraft).catch(err => console.error('Could not save form locally', err));
+    }, LOCAL_SAVE_DELAY_MS);
+}
+
+// Restore the form from this browser's storage; returns the save time, or null if nothing was saved
+const restoreLocalDraft = async () => {
+    const saved = JSON.parse(localStorage.getItem(LOCAL_DRAFT_KEY) || 'null');
+    if (!saved) return null;
+
+    const imageData = new Map();
+    try {
+        const records = await withImageStore('readonly', store => store.getAll()) || [];
+        for (const record of records) {
+            imageData.set(record.id, await blobToDataUrl(record.blob));
+        }
+    } catch (err) {
+        // Fields are still worth restoring without the images
+        console.error('Could not restore saved images', err);
+    }
+    imageData.forEach((data, key) => persistedImages.set(key, data));
+
+    restoreDraft({
+        ...saved,
+        images: (saved.images || [])
+            .filter(img => imageData.has(img.id))
+            .map(img => ({ ...img, data: imageData.get(img.id) })),
+        avatarImage: imageData.get('avatar-data'),
+        titleImage: imageData.get('title-data'),
+    });
+    if (pledgeCheckboxEl) pledgeCheckboxEl.checked = !!saved.pledgeAccepted && saved.pledgeAccepted === pledgeCheckboxEl.dataset.pledgeHash;
+    draftToken = saved.draftToken || null;
+
+    return saved.savedAt;
+};
+
+const clearLocalDraft = async () => {
+    localDraftDiscarded = true;
+    clearTimeout(localSaveTimer);
+    localStorage.removeItem(LOCAL_DRAFT_KEY);
+    easyMDE.clearAutosavedValue();
+    try {
+        await localSaveQueue;
+        await withImageStore('readwrite', store => store.clear());
+    } catch (err) {
+        console.error('Could not clear saved images', err);
+    }
+};
+
+document.querySelectorAll('.discard-draft-btn').forEach(btn => {
+    btn.addEventListener('click', async () => {
+        if (!window.confirm('Discard everything entered in this form? This cannot be undone.')) return;
+        await clearLocalDraft();
+        // Reload without ?draft= so a resumed server draft is not loaded again
+        window.location.replace(window.location.pathname);
+    });
+});
+
+const candidateForm = document.getElementById('candidate-form');
+if (candidateForm) {
+    candidateForm.addEventListener('input', scheduleLocalSave);
+    candidateForm.addEventListener('change', scheduleLocalSave);
+}
+easyMDE.codemirror.on('change', scheduleLocalSave);
+
+// Write the fields straight away if the page is closed during the save delay
+window.addEventListener('pagehide', () => {
+    if (localSaveTimer) {
+        clearTimeout(localSaveTimer);
+        saveLocalDraft().catch(err => console.error(err));
+    }
+});
+
+// Resume a draft from a ?draft=<token> link, otherwise restore progress saved in this browser
+const resumeToken = new URLSearchParams(window.location.search).get('draft');
+if (resumeToken && window.CANDIDATE_FORM_CONFIG?.draftUrl) {
+    (async () => {
+        try {
+            const response = await fetch(`${window.CANDIDATE_FORM_CONFIG.draftUrl}?token=${encodeURIComponent(resumeToken)}`, { cache: 'no-store' });
+            const result = await response.json();
+            if (!result.success) throw new Error(result.message || 'Could not load draft');
+            restoreDraft(result.draft);
+            showDraftLink(result.token, result.expiresAt);
+        } catch (err) {
+            console.error(err);
+            showSaveDraftError(`Your saved draft could not be loaded: ${err.message}`);
+        }
+    })();
+} else {
+    restoreLocalDraft().then(savedAt => {
+        if (!savedAt || !localDraftNotice) return;
+        document.getElementById('local-draft-text').textContent =
+            `We restored the progress saved in this browser on ${new Date(savedAt).toLocaleString()}.`;
+        localDraftNotice.classList.remove('hidden');
+    }).catch(err => console.error('Could not restore saved form', err));
+}
+
+// Profile fields as they are submitted and published (names, party, tags and categories normalized)
+const collectProfileFields = () => ({
+    candidate: toTitleCase(document.getElementById('candidate-name').value),
+    title: toTitleCase(document.getElementById('position-title').value),
+    party: formatParty(document.getElementById('party').value),
+    electionDate: document.getElementById('election-date').value,
+    website: document.getElementById('website').value.trim() || undefined,
+    // Categories are [Category, State]
+    categories: [document.getElementById('category').value, document.getElementById('state').value].map(c => toTitleCase(c)),
+    tags: currentTags.map(t => formatTag(t)),
+    about: document.getElementById('about').value,
+});
+
+// Chunked image uploads
+// When an upload endpoint is configured, images are sent ahead of the submission in small chunks,
+// so a dropped connection only costs the chunk that failed. Submitting again resumes where it stopped.
+const UPLOAD_ATTEMPTS = 3;
+// Staged uploads expire on the server after 24 hours; start over well before that
+const UPLOAD_REUSE_MS = 20 * 60 * 60 * 1000;
+const uploadProgressList = document.getElementById('upload-progress');
+// Upload state per image (avatar, title or inline image path), kept between submit attempts
+const stagedUploads = new Map();
+
+const uploadRequest = async (url, options) => {
+    const response = await fetch(url, options);
+    const result = await response.json().catch(() => ({}));
+    if (!response.ok || !result.success) {
+        const error = new Error(result.message || `Upload failed (${response.status})`);
+        error.status = response.status;
+        error.errors = result.errors;
+        throw error;
+    }
+    return result;
+};
+
+// Retry network failures and server errors with a growing delay; the server's validation answers are final
+const withRetries = async (attempt) => {
+    for (let i = 1; ; i++) {
+        try {
+            return await attempt();
+        } catch (error) {
+            const retryable = !error.status || error.status >= 500 || error.status === 429;
+            if (!retryable || i >= UPLOAD_ATTEMPTS) throw error;
+            await new Promise(resolve => setTimeout(resolve, 1000 * 2 ** (i - 1)));
+        }
+    }
+};
+
+const showUploadProgress = (key, label, text, failed = false) => {
+    if (!uploadProgressList) return;
+    let row = uploadProgressList.querySelector(`[data-upload-key="${CSS.escape(key)}"]`);
+    if (!row) {
+        row = document.createElement('li');
+        row.dataset.uploadKey = key;
+        uploadProgressList.appendChild(row);
+    }
+    row.className = failed ? 'text-red-600 dark:text-red-400' : 'text-gray-600 dark:text-gray-300';
+    row.textContent = `${label}: ${text}`;
+    uploadProgressList.classList.remove('hidden');
+};
+
+// Upload one image (base64 or data URL) and return its staged image id
+const stageImage = async (uploadUrl, key, kind, label, base64) => {
+    let upload = stagedUploads.get(key);
+    // A replaced image, or one staged too long ago, starts over
+    if (!upload || upload.base64 !== base64 || Date.now() - upload.startedAt > UPLOAD_REUSE_MS) {
+        upload = { base64, sent: new Set(), startedAt: Date.now() };
+        stagedUploads.set(key, upload);
+    }
+    if (upload.complete) {
+        showUploadProgress(key, label, 'uploaded');
+        return upload.imageId;
+    }
+
+    const binary = atob(base64.replace(/^data:[^;,]*;base64,/, ''));
+    const bytes = Uint8Array.from(binary, c => c.charCodeAt(0));
+
+    try {
+        if (!upload.imageId) {
+            const started = await withRetries(() => uploadRequest(`${uploadUrl}?action=start`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ kind, size: bytes.length }),
+            }));
+            Object.assign(upload, {
+                imageId: started.imageId,
+                uploadToken: started.uploadToken,
+                chunkSize: started.chunkSize,
+                chunkCount: started.chunkCount,
+            });
+        }
+
+        const target = `${uploadUrl}?imageId=${encodeURIComponent(upload.imageId)}`;
+        for (let index = 0; index < upload.chunkCount; index++) {
+            if (upload.sent.has(index)) continue;
+            showUploadProgress(key, label, `uploading ${Math.round((upload.sent.size / upload.chunkCount) * 100)}%`);
+            const chunk = bytes.subarray(index * upload.chunkSize, (index + 1) * upload.chunkSize);
+            await withRetries(() => uploadRequest(`${target}&action=chunk&index=${index}`, {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/octet-stream', 'X-Upload-Token': upload.uploadToken },
+                body: chunk,
+            }));
+            upload.sent.add(index);
+        }
+
+        showUploadProgress(key, label, 'checking');
+        await withRetries(() => uploadRequest(`${target}&action=complete`, {
+            method: 'POST',
+            headers: { 'X-Upload-Token': upload.uploadToken },
+        }));
+        upload.complete = true;
+        showUploadProgress(key, label, 'uploaded');
+        return upload.imageId;
+    } catch (error) {
+        // The server rejected the image or lost the upload: the next attempt starts from scratch
+        if (error.status && error.status < 500 && error.status !== 429) stagedUploads.delete(key);
+        showUploadProgress(key, label, `${error.message}. Submit again to resume.`, true);
+        const uploadError = new Error(`${label} could not be uploaded. Submit again to resume.`);
+        uploadError.errors = error.errors;
+        throw uploadError;
+    }
+};
+
+// Swap the payload's base64 images (and their WebP copies) for staged upload ids
+const stageSubmissionImages = async (uploadUrl, payload) => {
+    const staged = { ...payload };
+    const photos = [
+        ['avatarImage', 'avatar', 'Main photo'],
+        ['avatarImageWebp', 'avatar', 'Main photo (WebP)'],
+        ['titleImage', 'title', 'Title photo'],
+        ['titleImageWebp', 'title', 'Title photo (WebP)'],
+    ];
+    for (const [field, kind, label] of photos) {
+        if (!payload[field]) continue;
+        staged[`${field}Id`] = await stageImage(uploadUrl, field, kind, label, payload[field]);
+        delete staged[field];
+    }
+    staged.additionalImages = [];
+    for (const [index, img] of payload.additionalImages.entries()) {
+        const entry = { path: img.path };
+        entry.imageId = await stageImage(uploadUrl, img.path, 'inline', `Inline image ${index + 1}`, img.content);
+        if (img.webp) {
+            entry.webpImageId = await stageImage(uploadUrl, `${img.path}#webp`, 'inline', `Inline image ${index + 1} (WebP)`, img.webp);
+        }
+        staged.additionalImages.push(entry);
+    }
+    return staged;
+};
+
+// Add WebP copies of the new images; the site serves them first and keeps the JPEG/PNG as the fallback
+const addWebpCopies = async (payload) => {
+    const base64Only = (dataUrl) => dataUrl && dataUrl.split(',')[1];
+    if (payload.avatarImage) payload.avatarImageWebp = (await ImageManager.webpCopy(payload.avatarImage)) || undefined;
+    if (payload.titleImage) payload.titleImageWebp = (await ImageManager.webpCopy(payload.titleImage)) || undefined;
+    for (const img of payload.additionalImages) {
+        img.webp = base64Only(await ImageManager.webpCopy(img.dataUrl)) || undefined;
+        delete img.dataUrl;
+    }
+};
+
 // Form submission
 const form = document.getElementById('candidate-form');
 const successMessage = document.getElementById('success-message');
 const errorMessage = document.getElementById('error-message');
 const submitBtn = document.getElementById('submit-btn');
 
+// Sent with every attempt from this page, so retrying after a timeout returns the first
+// result instead of opening a second pull request
+const submissionKey = crypto.randomUUID();
+
 if (form) {
     form.addEventListener('submit', async (e) => {
         e.preventDefault();
@@ -826,19 +1912,7 @@ if (form) {
                 throw new Error('Please complete the security check');
             }
 
-            // Build categories array
-            const category = document.getElementById('category').value;
-            const state = document.getElementById('state').value;
-            const categories = [category, state];
-
-            // Build tags array
-            const tags = currentTags;
-            // Tag validation is already done in validateForm(), so we proceed.
-
-            // Email regex validation is already done in validateForm(), so we proceed.
-
-            // Build payload
-            // Build payload
+            // Tag and email validation is already done in validateForm(), so we proceed.
 
             // 1. Process Markdown Content for Images
             let finalContent = easyMDE.value();
@@ -863,7 +1937,8 @@ if (form) {
                         newText: `![${altText}](${targetPath})`,
                         imageData: {
                             path: targetPath, // e.g. "images/img-xyz-photo.jpg". Backend handles placement relative to candidate folder.
-                            content: imgData.base64.split(',')[1] // Remove data:image/jpeg;base64, prefix
+                            content: imgData.base64.split(',')[1], // Remove data:image/jpeg;base64, prefix
+                            dataUrl: imgData.base64 // Source for the WebP copy, removed by addWebpCopies
                         }
                     });
                 }
@@ -875,26 +1950,12 @@ if (form) {
                 additionalImages.push(rep.imageData);
             });
 
-            // Format Tags
-            const formattedTags = tags.map(t => formatTag(t));
-
-            // Format Categories (same logic as tags for now or just Title Case)
-            // Categories are [Category, State]. State is usually 2 letter uppercase or full name.
-            // If we assume categories are simple Title Case:
-            const formattedCategories = categories.map(c => toTitleCase(c));
-
             const payload = {
-                candidate: toTitleCase(document.getElementById('candidate-name').value),
-                title: toTitleCase(document.getElementById('position-title').value),
-                party: formatParty(document.getElementById('party').value),
-                electionDate: document.getElementById('election-date').value,
-                website: document.getElementById('website').value.trim() || undefined,
-                categories: formattedCategories,
-                tags: formattedTags,
-                about: document.getElementById('about').value,
+                ...collectProfileFields(),
+                ...collectSections(),
                 content: finalContent,
                 additionalImages: additionalImages,
-                avatarImage: document.getElementById('avatar-data').value,
+                avatarImage: document.getElementById('avatar-data').value || undefined,
                 titleImage: document.getElementById('title-data').value || undefined,
                 contactEmail: document.getElementById('contact-email').value,
                 contactPhone: (() => {
@@ -913,29 +1974,45 @@ if (form) {
                 contactNotes: document.getElementById('contact-notes').value || undefined,
                 submitterName: document.getElementById('submitter-name').value || undefined,
                 submitterRelationship: document.getElementById('submitter-relationship').value || undefined,
-                turnstileToken: turnstileToken
+                // Pledge version and text hash rendered into the page by Hugo
+                pledgeVersion: document.getElementById('pledge-checkbox').dataset.pledgeVersion,
+                pledgeHash: document.getElementById('pledge-checkbox').dataset.pledgeHash,
+                existingProfilePath: loadedProfile ? loadedProfile.path : undefined,
+                turnstileToken: turnstileToken,
+                idempotencyKey: submissionKey
             };
 
+            await addWebpCopies(payload);
+
             // Submit to Azure Function
             const apiUrl = window.CANDIDATE_FORM_CONFIG?.apiUrl || 'https://democracycandidate-prod-funcccd8ebf4.azurewebsites.net/api/submitCandidate';
+            const uploadUrl = window.CANDIDATE_FORM_CONFIG?.uploadUrl;
+            const body = uploadUrl ? await stageSubmissionImages(uploadUrl, payload) : payload;
             const response = await fetch(apiUrl, {
                 method: 'POST',
                 headers: {
                     'Content-Type': 'application/json',
                 },
-                body: JSON.stringify(payload)
+                body: JSON.stringify(body)
             });
 
             const result = await response.json();
 
             if (result.success) {
-                // Redirect to success page
+                // The submission is safely queued, so the local copy is no longer needed
+                await clearLocalDraft();
+
+                // Redirect to success page, which follows the pull request as it is created
                 // Use replace() so back button doesn't resubmit
-                const successUrl = `/running/success/?pr=${encodeURIComponent(result.pullRequestUrl)}&cid=${encodeURIComponent(result.correlationId || '')}`;
-                window.location.replace(successUrl);
+                const successParams = new URLSearchParams({ cid: result.correlationId || '' });
+                if (result.pullRequestUrl) successParams.set('pr', result.pullRequestUrl);
+                window.location.replace(`/running/success/?${successParams}`);
                 return;
             } else {
-                throw new Error(result.message || 'Submission failed');
+                // Carry server-side validation errors through to the error list below
+                const submitError = new Error(result.message || 'Submission failed');
+                submitError.errors = result.errors;
+                throw submitError;
             }
 
         } catch (error) {
@@ -969,3 +2046,21 @@ if (form) {
         }
     });
 }
+
+// Hooks for the scripts layered on this form (candidate-form-wizard.js, candidate-profile-preview.js,
+// candidate-image-gallery.js)
+window.CandidateForm = {
+    validateForm,
+    showErrorSummary,
+    hideErrorSummary,
+    gatherDraft,
+    collectProfileFields,
+    // Sanitized, safe for innerHTML
+    renderBiography: (markdown) => easyMDE.options.previewRender(markdown),
+    composeBiography,
+    refreshEditor: () => easyMDE.codemirror.refresh(),
+    editor: easyMDE.codemirror,
+    images: ImageManager,
+    askAltText,
+    scheduleLocalSave,
+};
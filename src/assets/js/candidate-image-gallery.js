@@ -0,0 +1,143 @@
+// Image gallery for the biography editor
+// Lists every image in ImageManager.store with how often the biography uses it, and lets the
+// candidate insert it again, replace the file everywhere it appears, edit its alt text or
+// remove the images the biography no longer uses.
+(() => {
+    const api = window.CandidateForm;
+    const list = document.getElementById('image-gallery-list');
+    const emptyText = document.getElementById('image-gallery-empty');
+    const purgeBtn = document.getElementById('image-gallery-purge');
+    if (!api || !list || !purgeBtn) return;
+
+    const { editor, images } = api;
+    const REFRESH_DELAY_MS = 300;
+    let refreshTimer = null;
+
+    // Decoded size of a data URL's base64 payload
+    const formatSize = (dataUrl) => {
+        const base64 = dataUrl.slice(dataUrl.indexOf(',') + 1);
+        const bytes = Math.floor((base64.length * 3) / 4) - (base64.endsWith('==') ? 2 : base64.endsWith('=') ? 1 : 0);
+        return bytes >= 1024 * 1024 ? `${(bytes / (1024 * 1024)).toFixed(1)} MB` : `${Math.max(1, Math.round(bytes / 1024))} KB`;
+    };
+
+    // Display name without the images/<id>- prefix the store adds
+    const displayName = (id, entry) => entry.filename.replace(`images/${id}-`, '');
+
+    // Every ![alt](image:<id>) reference, last first so replacing one keeps the earlier offsets valid
+    const references = (id) => {
+        const pattern = new RegExp(`!\\[([^\\]]*)\\]\\(image:${id}\\)`, 'g');
+        return Array.from(editor.getValue().matchAll(pattern)).reverse();
+    };
+
+    const insertAgain = (id) => {
+        const [latest] = references(id);
+        const alt = latest ? latest[1] : '';
+        const doc = editor.getDoc();
+        doc.replaceRange(`![${alt}](image:${id})`, doc.getCursor());
+        editor.focus();
+    };
+
+    const editAltText = (id, entry) => {
+        const matches = references(id);
+        const alt = api.askAltText(displayName(id, entry), matches.length > 0 ? matches[matches.length - 1][1] : '');
+        if (alt === null) return;
+        const doc = editor.getDoc();
+        editor.operation(() => {
+            matches.forEach(match => {
+                doc.replaceRange(`![${alt}](image:${id})`, doc.posFromIndex(match.index), doc.posFromIndex(match.index + match[0].length));
+            });
+        });
+    };
+
+    const replaceFile = (id, errorEl) => {
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = 'image/*';
+        input.addEventListener('change', async () => {
+            const file = input.files[0];
+            if (!file) return;
+            try {
+                await images.replace(id, file);
+                errorEl.classList.add('hidden');
+                // The markdown is unchanged, so redraw the preview and save explicitly
+                api.refreshEditor();
+                api.scheduleLocalSave();
+                render();
+            } catch (err) {
+                console.error(err);
+                errorEl.textContent = `Could not replace the image: ${err.message || 'the file could not be read'}.`;
+                errorEl.classList.remove('hidden');
+            }
+        });
+        input.click();
+    };
+
+    const actionButton = (label, onClick) => {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'text-primary dark:text-blue-400 hover:underline';
+        button.textContent = label;
+        button.addEventListener('click', onClick);
+        return button;
+    };
+
+    const render = () => {
+        const usage = images.usage(editor.getValue());
+        list.replaceChildren();
+
+        images.store.forEach((entry, id) => {
+            const count = usage.get(id) || 0;
+            const name = displayName(id, entry);
+
+            const item = document.createElement('li');
+            item.className = 'flex gap-3 text-sm';
+
+            const thumb = document.createElement('img');
+            thumb.src = entry.blobUrl;
+            thumb.alt = '';
+            thumb.className = 'h-14 w-14 flex-none rounded object-cover bg-gray-100 dark:bg-darkmode-theme-light';
+
+            const details = document.createElement('div');
+            details.className = 'min-w-0';
+            const title = document.createElement('p');
+            title.className = 'truncate font-semibold';
+            title.title = name;
+            title.textContent = name;
+            const meta = document.createElement('p');
+            meta.className = count === 0 ? 'text-amber-700 dark:text-amber-400' : 'text-gray-500';
+            meta.textContent = `${formatSize(entry.base64)} · ${count === 0 ? 'not used' : count === 1 ? 'used once' : `used ${count} times`}`;
+
+            const error = document.createElement('p');
+            error.className = 'hidden text-red-600';
+            const actions = document.createElement('div');
+            actions.className = 'flex flex-wrap gap-x-3';
+            actions.append(
+                actionButton('Insert', () => insertAgain(id)),
+                actionButton('Replace', () => replaceFile(id, error)),
+            );
+            if (count > 0) actions.append(actionButton('Alt text', () => editAltText(id, entry)));
+
+            details.append(title, meta, actions, error);
+            item.append(thumb, details);
+            list.appendChild(item);
+        });
+
+        emptyText.classList.toggle('hidden', images.store.size > 0);
+        purgeBtn.classList.toggle('hidden', !Array.from(usage.values()).includes(0));
+    };
+
+    purgeBtn.addEventListener('click', () => {
+        images.usage(editor.getValue()).forEach((count, id) => {
+            if (count === 0) images.remove(id);
+        });
+        render();
+    });
+
+    // Typing changes usage counts; redraw once the editing pauses
+    editor.on('change', () => {
+        clearTimeout(refreshTimer);
+        refreshTimer = setTimeout(render, REFRESH_DELAY_MS);
+    });
+
+    render();
+})();
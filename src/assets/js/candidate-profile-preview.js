@@ -0,0 +1,199 @@
+// Full profile preview for the contribute form
+// Fills the Hugo templates in contribute.html, which copy the markup of candidates/single.html
+// and components/candidate-card.html, with the form's values as they will be published.
+(() => {
+    const api = window.CandidateForm;
+    const modal = document.getElementById('profile-preview-modal');
+    const openBtn = document.getElementById('preview-profile-btn');
+    const closeBtn = document.getElementById('profile-preview-close');
+    const pageContainer = document.getElementById('profile-preview-page');
+    const cardContainer = document.getElementById('profile-preview-card');
+    const pageTemplate = document.getElementById('profile-page-template');
+    const cardTemplate = document.getElementById('profile-card-template');
+    if (!api || !modal || !openBtn || !pageTemplate || !cardTemplate) return;
+
+    // single.html treats an election as past 7 days after election day
+    const PAST_ELECTION_BUFFER_DAYS = 7;
+    const CARD_ABOUT_LENGTH = 150;
+
+    let returnFocusTo = null;
+
+    const slot = (root, name) => root.querySelector(`[data-preview="${name}"]`);
+
+    // Election dates are plain dates; parse them as local midnight like Hugo's time function does for the site timezone
+    const parseElectionDate = (value) => (value ? new Date(`${value}T00:00:00`) : null);
+
+    // Hugo's ":date_long" format for English, e.g. "November 5, 2026"
+    const formatDateLong = (date) => date.toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' });
+
+    // Hugo's humanize: first letter capitalized, the rest lower case
+    const humanize = (text) => {
+        const lower = text.toLowerCase();
+        return lower.charAt(0).toUpperCase() + lower.slice(1);
+    };
+
+    // Hugo's truncate: cut on a word boundary and add an ellipsis
+    const truncate = (text, length) => {
+        if (text.length <= length) return text;
+        const cut = text.slice(0, length);
+        const lastSpace = cut.lastIndexOf(' ');
+        return `${(lastSpace > 0 ? cut.slice(0, lastSpace) : cut).trim()} …`;
+    };
+
+    // Same icon choice as partials/components/party-icon.html
+    const fillParty = (root, party) => {
+        const item = slot(root, 'party');
+        if (!party) {
+            item.remove();
+            return;
+        }
+        const icon = slot(root, 'party-icon');
+        icon.className = party === 'Democrat' ? 'fa-solid fa-democrat mr-2'
+            : party === 'Republican' ? 'fa-solid fa-republican mr-2'
+                : 'fa-solid fa-flag-usa mr-2';
+        slot(root, 'party-name').textContent = party;
+    };
+
+    // Repeat a list item once per value, using the template's item as the pattern
+    const fillList = (container, itemName, values, fill) => {
+        const pattern = slot(container, itemName);
+        values.forEach(value => {
+            const item = pattern.cloneNode(true);
+            fill(item, value);
+            pattern.parentNode.insertBefore(item, pattern);
+        });
+        pattern.remove();
+    };
+
+    // Photos: a new upload, otherwise the published photo shown in the form when updating
+    const photoSrc = (dataId, previewId) => {
+        const data = document.getElementById(dataId);
+        if (data && data.value) return data.value;
+        const preview = document.querySelector(`#${previewId}:not(.hidden) img:not(.hidden)`);
+        return preview ? preview.getAttribute('src') : '';
+    };
+
+    const renderPage = (profile, photos) => {
+        const page = pageTemplate.content.cloneNode(true);
+        const electionDate = parseElectionDate(profile.electionDate);
+        const cutoff = new Date();
+        cutoff.setDate(cutoff.getDate() - PAST_ELECTION_BUFFER_DAYS);
+        const isPast = !!electionDate && electionDate < cutoff;
+
+        if (photos.title) {
+            slot(page, 'title-image').querySelector('img').src = photos.title;
+            slot(page, 'title-image').querySelector('img').alt = profile.title;
+        } else {
+            slot(page, 'title-image').remove();
+        }
+
+        slot(page, 'title').textContent = profile.title;
+        if (!electionDate || !isPast) slot(page, 'badge-past').remove();
+        if (!electionDate || isPast) slot(page, 'badge-upcoming').remove();
+        slot(page, 'candidate').textContent = profile.candidate;
+
+        const categories = profile.categories.filter(Boolean);
+        if (categories.length > 0) {
+            fillList(slot(page, 'categories'), 'category', categories, (link, category) => {
+                link.textContent = humanize(category);
+            });
+        } else {
+            slot(page, 'categories').remove();
+        }
+
+        slot(page, 'election-date').textContent = electionDate ? formatDateLong(electionDate) : '';
+        fillParty(page, profile.party);
+        if (!profile.website) slot(page, 'website').remove();
+
+        if (photos.avatar) {
+            slot(page, 'avatar').src = photos.avatar;
+        } else {
+            slot(page, 'avatar').remove();
+        }
+        slot(page, 'about').textContent = profile.about;
+        // Same renderer as the editor preview, so image:<id> references show the uploaded images,
+        // with the structured sections written out the way the function publishes them
+        const draft = api.gatherDraft();
+        slot(page, 'content').innerHTML = api.renderBiography(api.composeBiography(draft.sections, draft.content));
+        // Links in the biography open in a new tab so the form is not left behind
+        slot(page, 'content').querySelectorAll('a[href]').forEach(link => {
+            link.target = '_blank';
+            link.rel = 'noopener';
+        });
+
+        if (profile.tags.length > 0) {
+            fillList(slot(page, 'tags'), 'tag', profile.tags, (item, tag) => {
+                item.querySelector('a').textContent = tag;
+            });
+        } else {
+            slot(page, 'tags').remove();
+        }
+
+        pageContainer.replaceChildren(page);
+    };
+
+    const renderCard = (profile, photos) => {
+        const card = cardTemplate.content.cloneNode(true);
+        const electionDate = parseElectionDate(profile.electionDate);
+
+        if (photos.avatar) {
+            slot(card, 'avatar').src = photos.avatar;
+            slot(card, 'avatar').alt = profile.title;
+        } else {
+            slot(card, 'avatar').remove();
+        }
+        slot(card, 'title').textContent = profile.title;
+
+        if (profile.categories.some(Boolean)) {
+            slot(card, 'candidate').textContent = profile.candidate;
+            fillParty(card, profile.party);
+            if (electionDate) {
+                // The card has no past-election buffer: anything before today shows as past
+                const today = new Date();
+                today.setHours(0, 0, 0, 0);
+                slot(card, 'election-icon').className = electionDate >= today
+                    ? 'fa-solid fa-calendar-check mr-2'
+                    : 'fa-solid fa-clock-rotate-left mr-2';
+                slot(card, 'election-date').textContent = formatDateLong(electionDate);
+            } else {
+                slot(card, 'election').remove();
+            }
+        } else {
+            slot(card, 'meta').remove();
+        }
+
+        slot(card, 'about').textContent = truncate(profile.about, CARD_ABOUT_LENGTH);
+        cardContainer.replaceChildren(card);
+    };
+
+    const closePreview = () => {
+        modal.classList.add('hidden');
+        document.body.classList.remove('overflow-hidden');
+        if (returnFocusTo) returnFocusTo.focus();
+    };
+
+    const openPreview = () => {
+        const profile = api.collectProfileFields();
+        const photos = {
+            avatar: photoSrc('avatar-data', 'avatar-preview'),
+            title: photoSrc('title-data', 'title-preview'),
+        };
+        renderPage(profile, photos);
+        renderCard(profile, photos);
+
+        returnFocusTo = document.activeElement;
+        modal.classList.remove('hidden');
+        document.body.classList.add('overflow-hidden');
+        closeBtn.focus();
+    };
+
+    openBtn.addEventListener('click', openPreview);
+    closeBtn.addEventListener('click', closePreview);
+    // Clicking the backdrop (outside the dialog panel) closes it
+    modal.addEventListener('click', (e) => {
+        if (e.target === modal) closePreview();
+    });
+    document.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape' && !modal.classList.contains('hidden')) closePreview();
+    });
+})();